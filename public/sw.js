@@ -154,20 +154,130 @@ self.addEventListener('sync', (event) => {
   if (event.tag === 'chat-sync') {
     event.waitUntil(syncChatData());
   }
+
+  if (event.tag === 'message-queue') {
+    event.waitUntil(resendQueuedMessages());
+  }
 });
 
-// Sync chat data when back online
+// Sync chat data when back online. Mirrors pushPendingChanges in
+// src/services/syncService.js: send the queued chats to the sync server and
+// clear the queue entries that were sent.
 async function syncChatData() {
+  console.log('Service Worker: Syncing chat data...');
+
+  const db = await openChatDatabase();
+  if (!db) {
+    console.log('Service Worker: No chat database to sync');
+    return;
+  }
+
   try {
-    console.log('Service Worker: Syncing chat data...');
-    // This would sync any pending chat data when back online
-    // For now, just log that sync would happen
-    console.log('Service Worker: Chat data sync completed');
+    const state = await readFromStore(db, 'syncState', 'main');
+    if (!state?.enabled || !state.serverUrl) {
+      console.log('Service Worker: Sync is turned off');
+      return;
+    }
+
+    // Encrypted chats need the passphrase; the page sends them once unlocked
+    const queue = [];
+    const changes = [];
+    for (const entry of await readFromStore(db, 'syncQueue')) {
+      if (entry.type === 'delete') {
+        queue.push(entry);
+        changes.push({ type: 'delete', id: entry.id, lastUpdatedAt: entry.queuedAt });
+        continue;
+      }
+      const session = await readFromStore(db, 'chatSessions', entry.id);
+      if (session?.$enc) continue;
+      queue.push(entry);
+      if (session) {
+        changes.push({ type: 'put', id: session.id, lastUpdatedAt: session.lastUpdatedAt, session });
+      }
+    }
+
+    if (changes.length > 0) {
+      const response = await fetch(`${state.serverUrl.replace(/\/+$/, '')}/sync/push`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${state.token}`
+        },
+        body: JSON.stringify({ deviceId: state.deviceId, changes })
+      });
+      // Throwing makes the browser retry the sync later
+      if (!response.ok) {
+        throw new Error(`Sync server responded with ${response.status}`);
+      }
+    }
+
+    // Chats changed again while the request was in flight stay queued
+    const latest = new Map((await readFromStore(db, 'syncQueue')).map(entry => [entry.id, entry.queuedAt]));
+    const sent = queue.filter(entry => latest.get(entry.id) === entry.queuedAt);
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(['syncQueue'], 'readwrite');
+      sent.forEach(entry => transaction.objectStore('syncQueue').delete(entry.id));
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    console.log(`Service Worker: Chat data sync completed (${changes.length} changes)`);
   } catch (error) {
     console.error('Service Worker: Chat data sync failed', error);
+    throw error;
+  } finally {
+    db.close();
   }
 }
 
+// Messages queued offline are sent by the page, which holds the provider
+// settings; wake any open window. With none open they go out on the next launch.
+async function resendQueuedMessages() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage({ type: 'resend-pending-messages' }));
+}
+
+// Open the app's database at whatever version the page created. Returns null
+// when it does not exist yet or predates sync; creating or upgrading it is
+// left to the page, which runs the migrations.
+function openChatDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('PatelChatDB');
+
+    request.onupgradeneeded = () => {
+      request.transaction.abort();
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('syncQueue')) {
+        db.close();
+        resolve(null);
+        return;
+      }
+      resolve(db);
+    };
+    request.onerror = (event) => {
+      // Aborting the upgrade above lands here; there is simply nothing to sync
+      if (request.error?.name === 'AbortError') {
+        event.preventDefault();
+        resolve(null);
+        return;
+      }
+      reject(request.error);
+    };
+  });
+}
+
+// Read one record by key, or every record when no key is given
+function readFromStore(db, storeName, key) {
+  return new Promise((resolve, reject) => {
+    const store = db.transaction([storeName], 'readonly').objectStore(storeName);
+    const request = key === undefined ? store.getAll() : store.get(key);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 // Push notification handling (for future use)
 self.addEventListener('push', (event) => {
   console.log('Service Worker: Push received', event);
@@ -0,0 +1,215 @@
+// Reference sync server for Patel Chat's optional multi-device sync
+//
+// A single-user server built on Node's standard library only. Chats are kept
+// in one JSON file; every accepted change gets the next sequence number, and
+// clients pull everything after the last sequence number they have seen.
+//
+//   SYNC_TOKEN=<secret> node server/syncServer.js
+//
+// Environment:
+//   SYNC_TOKEN           Shared secret clients send as a Bearer token (required)
+//   SYNC_PORT            Port to listen on (default 8787)
+//   SYNC_DATA_FILE       Where chats are stored (default ./sync-data.json)
+//   SYNC_ALLOWED_ORIGIN  Value for Access-Control-Allow-Origin (default *)
+
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { timingSafeEqual } from 'node:crypto';
+import { resolve } from 'node:path';
+
+const TOKEN = process.env.SYNC_TOKEN;
+const PORT = Number(process.env.SYNC_PORT) || 8787;
+const DATA_FILE = resolve(process.env.SYNC_DATA_FILE || 'sync-data.json');
+const ALLOWED_ORIGIN = process.env.SYNC_ALLOWED_ORIGIN || '*';
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const PULL_PAGE_SIZE = 100;
+
+/**
+ * Stored data: `records` holds the latest version of each chat by id, or a
+ * tombstone for deleted chats so other devices learn about the deletion
+ */
+let data = { seq: 0, records: {} };
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const loadData = async () => {
+  try {
+    data = JSON.parse(await readFile(DATA_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+// Write to a temporary file first so a crash never leaves half a file behind.
+// Writes are queued: two pushes at once would otherwise share the temp file.
+let pendingSave = Promise.resolve();
+const saveData = () => {
+  const save = pendingSave.catch(() => {}).then(async () => {
+    const tempFile = `${DATA_FILE}.tmp`;
+    await writeFile(tempFile, JSON.stringify(data));
+    await rename(tempFile, DATA_FILE);
+  });
+  pendingSave = save;
+  return save;
+};
+
+const isAuthorized = (request) => {
+  const header = request.headers.authorization || '';
+  const given = Buffer.from(header.replace(/^Bearer /, ''));
+  const expected = Buffer.from(TOKEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+const readJsonBody = (request) => new Promise((resolveBody, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  request.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new HttpError(413, 'Request body is too large'));
+      request.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  request.on('end', () => {
+    try {
+      resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch {
+      reject(new HttpError(400, 'Request body is not valid JSON'));
+    }
+  });
+
+  request.on('error', reject);
+});
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+};
+
+const toChange = (record) => (
+  record.deleted
+    ? { type: 'delete', id: record.id, lastUpdatedAt: record.lastUpdatedAt }
+    : { type: 'put', id: record.id, lastUpdatedAt: record.lastUpdatedAt, session: record.session }
+);
+
+/**
+ * GET /sync/status - check the token and report what the server holds
+ */
+const handleStatus = (request, response) => {
+  const sessions = Object.values(data.records).filter(record => !record.deleted).length;
+  sendJson(response, 200, { ok: true, sessions, cursor: data.seq });
+};
+
+/**
+ * POST /sync/push - `{ deviceId, changes: [{ type, id, lastUpdatedAt, session? }] }`
+ * A change is accepted only if it is newer than the stored version
+ */
+const handlePush = async (request, response) => {
+  const { deviceId, changes } = await readJsonBody(request);
+  if (typeof deviceId !== 'string' || !Array.isArray(changes)) {
+    throw new HttpError(400, 'Expected { deviceId, changes }');
+  }
+
+  let accepted = 0;
+  let rejected = 0;
+
+  for (const change of changes) {
+    const isValid = typeof change?.id === 'string'
+      && typeof change.lastUpdatedAt === 'number'
+      && (change.type === 'delete' || (change.type === 'put' && change.session?.id === change.id));
+    const stored = data.records[change?.id];
+
+    if (!isValid || (stored && stored.lastUpdatedAt >= change.lastUpdatedAt)) {
+      rejected++;
+      continue;
+    }
+
+    data.seq++;
+    data.records[change.id] = {
+      id: change.id,
+      seq: data.seq,
+      deviceId,
+      lastUpdatedAt: change.lastUpdatedAt,
+      deleted: change.type === 'delete',
+      session: change.type === 'put' ? change.session : null
+    };
+    accepted++;
+  }
+
+  if (accepted > 0) {
+    await saveData();
+  }
+  sendJson(response, 200, { accepted, rejected, cursor: data.seq });
+};
+
+/**
+ * GET /sync/pull?since=<cursor>&deviceId=<id> - changes after the cursor,
+ * oldest first. A device's own changes are left out, but the cursor still
+ * moves past them.
+ */
+const handlePull = (request, response, url) => {
+  const since = Number(url.searchParams.get('since')) || 0;
+  const deviceId = url.searchParams.get('deviceId');
+
+  const page = Object.values(data.records)
+    .filter(record => record.seq > since)
+    .sort((a, b) => a.seq - b.seq)
+    .slice(0, PULL_PAGE_SIZE);
+  const cursor = page.length > 0 ? page[page.length - 1].seq : Math.max(since, data.seq);
+
+  sendJson(response, 200, {
+    changes: page.filter(record => record.deviceId !== deviceId).map(toChange),
+    cursor,
+    hasMore: cursor < data.seq
+  });
+};
+
+const routes = {
+  'GET /sync/status': handleStatus,
+  'POST /sync/push': handlePush,
+  'GET /sync/pull': handlePull
+};
+
+const server = createServer(async (request, response) => {
+  response.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+  response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  const url = new URL(request.url, 'http://localhost');
+  const handler = routes[`${request.method} ${url.pathname}`];
+
+  try {
+    if (!handler) throw new HttpError(404, 'Not found');
+    if (!isAuthorized(request)) throw new HttpError(401, 'Invalid sync token');
+    await handler(request, response, url);
+  } catch (error) {
+    if (!error.status) console.error('Error handling sync request:', error);
+    sendJson(response, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+  }
+});
+
+if (!TOKEN) {
+  console.error('Set SYNC_TOKEN to the shared secret clients will use, e.g. SYNC_TOKEN=$(openssl rand -hex 32)');
+  process.exit(1);
+}
+
+await loadData();
+server.listen(PORT, () => {
+  console.log(`Patel Chat sync server listening on port ${PORT}, storing data in ${DATA_FILE}`);
+});
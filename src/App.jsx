@@ -1,13 +1,19 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Menu, Settings, BarChart3, Search, Palette, Mic } from 'lucide-react';
+import { Menu, Settings, BarChart3, Search, Palette, Mic, Upload, Download, DatabaseBackup, Cloud, ShieldCheck, Lock, AlertTriangle, X } from 'lucide-react';
 import './App.css';
 
 // Import services
-import { initDB, getChatSessions, saveChatSession, deleteChatSession, getQuickPrompts, saveQuickPrompt, deleteQuickPrompt } from './services/indexedDBService.js';
-import { getApiKeyError, isGeminiAvailable } from './services/geminiService.js';
-import { createNewChatSession, calculateNextStateAfterDeletion } from './services/chatLogicService.js';
+import { initDB, onDBUpgradeBlocked, getChatSessions, saveChatSession, deleteChatSession, getQuickPrompts, saveQuickPrompt, deleteQuickPrompt, getPersonas, savePersona, deletePersona, deleteAttachmentsByChat, STORES } from './services/indexedDBService.js';
+import { getApiKeyError, getProviderConfigError, isGeminiAvailable } from './services/geminiService.js';
+import { createNewChatSession, calculateNextStateAfterDeletion, normalizeMessageTree, getActiveThread, getLatestLeafId } from './services/chatLogicService.js';
 import { initializeUserStats, updateUserStats, incrementStat, checkAchievements, updateStreakDays, getUsageInsights } from './services/statsService.js';
-import { getCurrentTheme, applyTheme } from './services/themeService.js';
+import { getCurrentTheme, applyTheme, CURRENT_THEME_KEY } from './services/themeService.js';
+import { subscribeToChanges, applyChangeToList } from './services/tabSyncService.js';
+import { isBackupReminderDue, getBackupSettings, saveBackupSettings } from './services/backupService.js';
+import { queueSessionChange, startAutoSync } from './services/syncService.js';
+import { resendPendingMessages, subscribeToReconnect } from './services/messageQueueService.js';
+import { reindexIfOutdated, scheduleChatIndexing, removeChatEmbeddings } from './services/embeddingService.js';
+import { isEncryptionEnabled, isLocked as isStorageLocked, waitUntilUnlocked, onLockChange, startAutoLock, lock } from './services/encryptionService.js';
 
 // Import components
 import Sidebar from './components/Sidebar.jsx';
@@ -15,6 +21,12 @@ import ChatArea from './components/ChatArea.jsx';
 import ThemeSelector from './components/ThemeSelector.jsx';
 import AdvancedSearch from './components/AdvancedSearch.jsx';
 import StatsPanel from './components/StatsPanel.jsx';
+import ImportDialog from './components/ImportDialog.jsx';
+import ExportDialog from './components/ExportDialog.jsx';
+import BackupDialog from './components/BackupDialog.jsx';
+import SyncDialog from './components/SyncDialog.jsx';
+import EncryptionDialog from './components/EncryptionDialog.jsx';
+import LockScreen from './components/LockScreen.jsx';
 import VoiceControls from './components/VoiceControls.jsx';
 import AchievementNotification, { AchievementToast } from './components/AchievementNotification.jsx';
 
@@ -23,18 +35,33 @@ function App() {
   const [chatSessions, setChatSessions] = useState([]);
   const [activeChatSessionId, setActiveChatSessionId] = useState(null);
   const [quickPrompts, setQuickPrompts] = useState([]);
+  const [personas, setPersonas] = useState([]);
   
   // UI state
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [showThemeSelector, setShowThemeSelector] = useState(false);
   const [showAdvancedSearch, setShowAdvancedSearch] = useState(false);
   const [showStatsPanel, setShowStatsPanel] = useState(false);
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const [showBackupDialog, setShowBackupDialog] = useState(false);
+  const [showBackupReminder, setShowBackupReminder] = useState(false);
+  const [showSyncDialog, setShowSyncDialog] = useState(false);
+  const [showEncryptionDialog, setShowEncryptionDialog] = useState(false);
+  const [storageStatus, setStorageStatus] = useState(null);
+  const [isStorageBlocked, setIsStorageBlocked] = useState(false);
+  const [isStorageNoticeDismissed, setIsStorageNoticeDismissed] = useState(false);
   const [searchResults, setSearchResults] = useState([]);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
   
   // App state
   const [isLoading, setIsLoading] = useState(true);
+  const [isLocked, setIsLocked] = useState(isStorageLocked);
+  const [isEncryptionOn, setIsEncryptionOn] = useState(isEncryptionEnabled);
   const [apiKeyMissing, setApiKeyMissing] = useState(false);
   const [globalError, setGlobalError] = useState(null);
+  // Chat a queued message is being sent to; it takes no new messages meanwhile
+  const [resendingChatId, setResendingChatId] = useState(null);
   
   // Achievement state
   const [achievementNotification, setAchievementNotification] = useState(null);
@@ -49,24 +76,33 @@ function App() {
     try {
       setIsLoading(true);
       
-      // Check API key
-      const keyError = getApiKeyError();
+      // Check that at least one AI provider is configured
+      const keyError = getProviderConfigError();
       if (keyError) {
         setApiKeyMissing(true);
         setGlobalError(keyError);
       }
 
-      // Initialize IndexedDB
-      await initDB();
+      // Initialize storage; falls back to localStorage or memory when IndexedDB is blocked.
+      // An upgrade held up by an older tab waits for that tab instead.
+      const stopBlockedListener = onDBUpgradeBlocked(() => setIsStorageBlocked(true));
+      setStorageStatus(await initDB());
+      stopBlockedListener();
+      setIsStorageBlocked(false);
+
+      // Encrypted data cannot be read until the lock screen is passed
+      await waitUntilUnlocked();
       
       // Load data
-      const [sessions, prompts] = await Promise.all([
+      const [sessions, prompts, savedPersonas] = await Promise.all([
         getChatSessions(),
-        getQuickPrompts()
+        getQuickPrompts(),
+        getPersonas()
       ]);
       
       setChatSessions(sessions);
       setQuickPrompts(prompts);
+      setPersonas(savedPersonas);
       
       // Set active session
       if (sessions.length > 0) {
@@ -75,6 +111,7 @@ function App() {
         // Create initial session
         const newSession = createNewChatSession();
         await saveChatSession(newSession);
+        queueSessionChange('put', newSession.id);
         setChatSessions([newSession]);
         setActiveChatSessionId(newSession.id);
       }
@@ -86,6 +123,8 @@ function App() {
       // Apply current theme
       const currentTheme = await getCurrentTheme();
       applyTheme(currentTheme);
+
+      setShowBackupReminder(isBackupReminderDue());
       
       // Register service worker
       if ('serviceWorker' in navigator) {
@@ -107,6 +146,7 @@ function App() {
     try {
       const newSession = createNewChatSession();
       await saveChatSession(newSession);
+      queueSessionChange('put', newSession.id);
       setChatSessions(prev => [newSession, ...prev]);
       setActiveChatSessionId(newSession.id);
       
@@ -129,6 +169,29 @@ function App() {
     if (window.innerWidth < 768) setIsSidebarOpen(false);
   };
 
+  const clearHighlightedMessage = useCallback(() => setHighlightedMessageId(null), []);
+
+  /**
+   * Open a chat at a message found by search, switching to the branch that
+   * contains it if another one is shown
+   */
+  const handleJumpToMessage = (sessionId, messageId) => {
+    const session = chatSessions.find(s => s.id === sessionId);
+    if (!session) return;
+
+    const messages = normalizeMessageTree(session.messages);
+    if (!messages.some(m => m.id === messageId)) return;
+
+    if (!getActiveThread(session).some(m => m.id === messageId)) {
+      handleUpdateChatSession({ ...session, activeLeafId: getLatestLeafId(messages, messageId) });
+    }
+
+    setActiveChatSessionId(sessionId);
+    setHighlightedMessageId(messageId);
+    setShowAdvancedSearch(false);
+    if (window.innerWidth < 768) setIsSidebarOpen(false);
+  };
+
   const handleDeleteChat = async (sessionIdToDelete) => {
     try {
       const { updatedSessions, newActiveSessionId } = calculateNextStateAfterDeletion(
@@ -138,6 +201,9 @@ function App() {
       );
       
       await deleteChatSession(sessionIdToDelete);
+      await deleteAttachmentsByChat(sessionIdToDelete);
+      removeChatEmbeddings(sessionIdToDelete);
+      queueSessionChange('delete', sessionIdToDelete);
       setChatSessions(updatedSessions);
       setActiveChatSessionId(newActiveSessionId);
     } catch (error) {
@@ -145,11 +211,25 @@ function App() {
     }
   };
 
+  const handleImportedChats = (importedSessions) => {
+    importedSessions.forEach((session) => {
+      queueSessionChange('put', session.id);
+      scheduleChatIndexing(session);
+    });
+    setChatSessions(prev =>
+      [...importedSessions, ...prev]
+    );
+    setActiveChatSessionId(importedSessions[0].id);
+  };
+
   const handleUpdateChatSession = useCallback(async (updatedSession) => {
     try {
-      await saveChatSession(updatedSession);
+      // Another tab may have saved a newer copy, in which case that one is kept
+      const savedSession = await saveChatSession(updatedSession);
+      queueSessionChange('put', savedSession.id);
+      scheduleChatIndexing(savedSession);
       setChatSessions(prevSessions =>
-        prevSessions.map(s => s.id === updatedSession.id ? updatedSession : s)
+        prevSessions.map(s => s.id === savedSession.id ? savedSession : s)
       );
       
       // Update stats for new messages
@@ -193,6 +273,25 @@ function App() {
     }
   };
 
+  // Personas management
+  const handleSavePersona = async (persona) => {
+    try {
+      await savePersona(persona);
+      setPersonas(prev => [persona, ...prev.filter(p => p.id !== persona.id)]);
+    } catch (error) {
+      console.error('Error saving persona:', error);
+    }
+  };
+
+  const handleDeletePersona = async (personaId) => {
+    try {
+      await deletePersona(personaId);
+      setPersonas(prev => prev.filter(p => p.id !== personaId));
+    } catch (error) {
+      console.error('Error deleting persona:', error);
+    }
+  };
+
   // Achievement system
   const showAchievement = (achievement) => {
     setAchievementNotification(achievement);
@@ -202,6 +301,125 @@ function App() {
     setAchievementToast(achievement);
   };
 
+  // Backup restores and other tabs can replace stored data wholesale
+  const reloadStoredData = useCallback(async () => {
+    try {
+      const [sessions, prompts, savedPersonas] = await Promise.all([
+        getChatSessions(),
+        getQuickPrompts(),
+        getPersonas()
+      ]);
+
+      setChatSessions(sessions);
+      setQuickPrompts(prompts);
+      setPersonas(savedPersonas);
+      setSearchResults([]);
+      setActiveChatSessionId(prev => sessions.some(s => s.id === prev) ? prev : sessions[0]?.id ?? null);
+
+      applyTheme(await getCurrentTheme());
+    } catch (error) {
+      console.error('Error reloading restored data:', error);
+      setGlobalError('Failed to load restored data');
+    }
+  }, []);
+
+  // Apply changes saved in other tabs
+  useEffect(() => {
+    const unsubscribe = subscribeToChanges((change) => {
+      // Everything is reloaded on unlock
+      if (isStorageLocked()) return;
+
+      if (change.type === 'reset') {
+        reloadStoredData();
+        return;
+      }
+
+      switch (change.store) {
+        case STORES.CHAT_SESSIONS:
+          setChatSessions(prev => applyChangeToList(prev, change));
+          if (change.type === 'delete') {
+            setActiveChatSessionId(prev => prev === change.id ? null : prev);
+          }
+          break;
+        case STORES.QUICK_PROMPTS:
+          setQuickPrompts(prev => applyChangeToList(prev, change));
+          break;
+        case STORES.PERSONAS:
+          setPersonas(prev => applyChangeToList(prev, change));
+          break;
+        case STORES.THEMES:
+          // An edited custom theme may be the one on screen
+          getCurrentTheme().then(applyTheme);
+          break;
+        default:
+          break;
+      }
+    });
+
+    // The applied theme is kept in localStorage, which notifies other tabs itself
+    const handleStorage = (event) => {
+      if (event.key === CURRENT_THEME_KEY) {
+        getCurrentTheme().then(applyTheme);
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [reloadStoredData]);
+
+  // Drop decrypted data from memory on lock and read it back on unlock. The
+  // first unlock happens during initializeApp, which loads the data itself.
+  useEffect(() => {
+    return onLockChange((locked) => {
+      setIsLocked(locked);
+      setIsEncryptionOn(isEncryptionEnabled());
+
+      if (locked) {
+        setChatSessions([]);
+        setQuickPrompts([]);
+        setPersonas([]);
+        setSearchResults([]);
+        setActiveChatSessionId(null);
+        setShowEncryptionDialog(false);
+      } else if (!isLoading) {
+        reloadStoredData();
+      }
+    });
+  }, [isLoading, reloadStoredData]);
+
+  useEffect(() => {
+    if (isLoading) return undefined;
+    return startAutoLock();
+  }, [isLoading]);
+
+  // Send messages written while offline, now if possible and again on every reconnect
+  useEffect(() => {
+    if (isLoading || isLocked) return undefined;
+
+    resendPendingMessages(handleUpdateChatSession, setResendingChatId);
+    return subscribeToReconnect(() => resendPendingMessages(handleUpdateChatSession, setResendingChatId));
+  }, [isLoading, isLocked, handleUpdateChatSession]);
+
+  // Bring the semantic search index up to date in the background
+  useEffect(() => {
+    if (isLoading || isLocked) return;
+    reindexIfOutdated();
+  }, [isLoading, isLocked]);
+
+  // Sync with the self-hosted server, if one is set up, once storage is ready
+  useEffect(() => {
+    if (isLoading) return undefined;
+    return startAutoSync();
+  }, [isLoading]);
+
+  const handleDismissBackupReminder = () => {
+    saveBackupSettings({ ...getBackupSettings(), lastReminderAt: Date.now() });
+    setShowBackupReminder(false);
+  };
+
   // Voice controls
   const handleVoiceInput = (text) => {
     // This would be handled by the ChatArea component
@@ -224,6 +442,12 @@ function App() {
       case 'SETTINGS':
         setShowThemeSelector(true);
         break;
+      case 'IMPORT':
+        setShowImportDialog(true);
+        break;
+      case 'EXPORT':
+        setShowExportDialog(true);
+        break;
       case 'INPUT':
         handleVoiceInput(text);
         break;
@@ -235,6 +459,10 @@ function App() {
   // Get active chat
   const activeChat = chatSessions.find(s => s.id === activeChatSessionId) || null;
 
+  if (isLocked) {
+    return <LockScreen />;
+  }
+
   // Loading screen
   if (isLoading) {
     return (
@@ -242,7 +470,11 @@ function App() {
         <div className="glass-panel p-8 rounded-lg text-center">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4"></div>
           <h2 className="text-xl font-semibold text-white mb-2">Loading Patel Chat</h2>
-          <p className="text-white/70">Initializing your AI assistant...</p>
+          <p className="text-white/70">
+            {isStorageBlocked
+              ? 'Patel Chat is updating its database. Close other Patel Chat tabs to continue.'
+              : 'Initializing your AI assistant...'}
+          </p>
         </div>
       </div>
     );
@@ -277,6 +509,56 @@ function App() {
             <Search className="h-5 w-5" />
           </button>
           
+          <button
+            onClick={() => setShowImportDialog(true)}
+            className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+            title="Import Chats"
+          >
+            <Upload className="h-5 w-5" />
+          </button>
+          
+          <button
+            onClick={() => setShowExportDialog(true)}
+            className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+            title="Export Chats"
+          >
+            <Download className="h-5 w-5" />
+          </button>
+          
+          <button
+            onClick={() => setShowBackupDialog(true)}
+            className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+            title="Backup & Restore"
+          >
+            <DatabaseBackup className="h-5 w-5" />
+          </button>
+          
+          <button
+            onClick={() => setShowSyncDialog(true)}
+            className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+            title="Sync"
+          >
+            <Cloud className="h-5 w-5" />
+          </button>
+          
+          <button
+            onClick={() => setShowEncryptionDialog(true)}
+            className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+            title="Encryption"
+          >
+            <ShieldCheck className="h-5 w-5" />
+          </button>
+          
+          {isEncryptionOn && (
+            <button
+              onClick={lock}
+              className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+              title="Lock"
+            >
+              <Lock className="h-5 w-5" />
+            </button>
+          )}
+          
           <button
             onClick={() => setShowStatsPanel(true)}
             className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
@@ -323,9 +605,16 @@ function App() {
           key={activeChatSessionId} 
           activeChatSession={activeChat}
           onUpdateChatSession={handleUpdateChatSession}
+          isResending={resendingChatId !== null && resendingChatId === activeChatSessionId}
           isApiKeyMissing={apiKeyMissing}
           quickPrompts={quickPrompts}
+          personas={personas}
+          onSavePersona={handleSavePersona}
+          onDeletePersona={handleDeletePersona}
           onDeleteCurrentChat={() => activeChatSessionId && handleDeleteChat(activeChatSessionId)}
+          onExportChat={() => setShowExportDialog(true)}
+          highlightedMessageId={highlightedMessageId}
+          onHighlightShown={clearHighlightedMessage}
         />
 
         {/* Modals and overlays */}
@@ -337,6 +626,7 @@ function App() {
         <AdvancedSearch
           chatSessions={chatSessions}
           onResults={setSearchResults}
+          onJumpToMessage={handleJumpToMessage}
           isOpen={showAdvancedSearch}
           onClose={() => setShowAdvancedSearch(false)}
         />
@@ -347,6 +637,35 @@ function App() {
           chatSessions={chatSessions}
         />
 
+        <ImportDialog
+          isOpen={showImportDialog}
+          onClose={() => setShowImportDialog(false)}
+          onImported={handleImportedChats}
+        />
+
+        <ExportDialog
+          isOpen={showExportDialog}
+          onClose={() => setShowExportDialog(false)}
+          chatSessions={chatSessions}
+          initialSelectedId={activeChatSessionId}
+        />
+
+        <BackupDialog
+          isOpen={showBackupDialog}
+          onClose={() => setShowBackupDialog(false)}
+          onRestored={reloadStoredData}
+        />
+
+        <SyncDialog
+          isOpen={showSyncDialog}
+          onClose={() => setShowSyncDialog(false)}
+        />
+
+        <EncryptionDialog
+          isOpen={showEncryptionDialog}
+          onClose={() => setShowEncryptionDialog(false)}
+        />
+
         {/* Achievement notifications */}
         <AchievementNotification
           achievement={achievementNotification}
@@ -371,12 +690,52 @@ function App() {
               <h2 className="text-xl sm:text-2xl font-semibold text-white mb-3">Configuration Required</h2>
               <p className="text-white/80 mb-2 text-sm sm:text-base">{globalError || getApiKeyError()}</p>
               <p className="text-xs sm:text-sm text-white/60">
-                Please set the <code className="bg-white/10 px-1 rounded">VITE_API_KEY</code> environment variable with your Google AI API key.
+                Please set the <code className="bg-white/10 px-1 rounded">VITE_API_KEY</code> environment variable with your Google AI API key,
+                or <code className="bg-white/10 px-1 rounded">VITE_OPENAI_BASE_URL</code> to use an OpenAI-compatible server.
               </p>
             </div>
           </div>
         )}
 
+        {/* Reduced persistence notice */}
+        {storageStatus?.limitations && !isStorageNoticeDismissed && (
+          <div className="fixed top-16 left-1/2 -translate-x-1/2 z-40 glass-panel px-4 py-3 rounded-md shadow-lg max-w-xl w-[calc(100%-2rem)] flex items-start text-sm text-yellow-100">
+            <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0 text-yellow-300" />
+            <p className="flex-1">{storageStatus.limitations}</p>
+            <button
+              onClick={() => setIsStorageNoticeDismissed(true)}
+              className="ml-3 text-white/70 hover:text-white"
+              aria-label="Dismiss storage notice"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+
+        {/* Backup reminder */}
+        {showBackupReminder && (
+          <div className="fixed bottom-5 left-5 glass-panel p-3 text-sm text-white rounded-md shadow-lg z-50 max-w-sm">
+            <p className="mb-2">It's time to back up your chats.</p>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => {
+                  handleDismissBackupReminder();
+                  setShowBackupDialog(true);
+                }}
+                className="glass-button px-3 py-1 rounded text-white hover:bg-white/20"
+              >
+                Back up now
+              </button>
+              <button
+                onClick={handleDismissBackupReminder}
+                className="px-3 py-1 rounded text-white/70 hover:text-white"
+              >
+                Later
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Global error display */}
         {globalError && !apiKeyMissing && (
           <div className="fixed bottom-5 right-5 glass-panel p-3 text-sm text-white rounded-md shadow-lg z-50 max-w-sm">
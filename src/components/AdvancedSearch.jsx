@@ -1,7 +1,40 @@
-import React, { useState, useEffect } from 'react';
-import { Search, Filter, Calendar, MessageSquare, User, Tag, X } from 'lucide-react';
-import { searchChatSessions, filterChatSessionsByDate, sortChatSessions } from '../services/chatLogicService.js';
-import { semanticSearch } from '../services/embeddingService.js';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Search, Filter, Calendar, MessageSquare, User, Tag, X, CornerDownRight, RefreshCw } from 'lucide-react';
+import {
+  searchChatSessions,
+  filterChatSessionsByDate,
+  sortChatSessions,
+  updateSearchIndex,
+  searchMessages,
+  parseSearchQuery
+} from '../services/chatLogicService.js';
+import {
+  EMBEDDING_MODELS,
+  semanticSearch,
+  getIndexStatus,
+  reindexAllChats,
+  subscribeToReindexProgress,
+  getEmbeddingModelId,
+  setEmbeddingModelId
+} from '../services/embeddingService.js';
+
+const SEMANTIC_RESULT_LIMIT = 30;
+const MESSAGE_HIT_LIMIT = 30;
+// Chats change with every streamed chunk; search once they settle
+const SEARCH_DEBOUNCE_MS = 300;
+const SNIPPET_LENGTH = 180;
+
+// Show the part of the message around the first matched term
+const getSnippet = (text, terms = []) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= SNIPPET_LENGTH) return flat;
+
+  const lower = flat.toLowerCase();
+  const firstMatch = Math.min(...terms.map(term => lower.indexOf(term)).filter(position => position >= 0));
+  const start = Number.isFinite(firstMatch) ? Math.max(0, Math.min(firstMatch - 40, flat.length - SNIPPET_LENGTH)) : 0;
+  const end = start + SNIPPET_LENGTH;
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+};
 
 /**
  * Advanced search component with multiple filters
@@ -9,6 +42,7 @@ import { semanticSearch } from '../services/embeddingService.js';
 const AdvancedSearch = ({ 
   chatSessions, 
   onResults, 
+  onJumpToMessage,
   isOpen, 
   onClose 
 }) => {
@@ -23,17 +57,72 @@ const AdvancedSearch = ({
     searchType: 'keyword' // keyword, semantic
   });
   const [results, setResults] = useState([]);
+  const [messageHits, setMessageHits] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
   const [activeFilters, setActiveFilters] = useState([]);
+  const [indexStatus, setIndexStatus] = useState(null);
+  const [reindexProgress, setReindexProgress] = useState(null);
+  const [embeddingModelId, setEmbeddingModelIdState] = useState(getEmbeddingModelId);
+  const [indexError, setIndexError] = useState(null);
+  // Semantic search is async; only the latest search may set results
+  const searchIdRef = useRef(0);
 
+  // Results are only refreshed while the dialog is open
   useEffect(() => {
-    if (searchQuery.trim() || hasActiveFilters()) {
-      performSearch();
-    } else {
+    if (!isOpen) return undefined;
+
+    if (!searchQuery.trim() && !hasActiveFilters()) {
+      searchIdRef.current++;
       setResults(chatSessions);
+      setMessageHits([]);
       onResults(chatSessions);
+      return undefined;
     }
-  }, [searchQuery, filters, chatSessions]);
+
+    const timer = setTimeout(performSearch, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [isOpen, searchQuery, filters, chatSessions]);
+
+  const isSemantic = filters.searchType === 'semantic';
+
+  // One index for the life of the component, updated with just the chats
+  // that changed; left as is while the dialog is closed, when nothing searches
+  const searchIndexRef = useRef(null);
+  const searchIndex = useMemo(() => {
+    if (!isOpen) return null;
+    searchIndexRef.current = updateSearchIndex(searchIndexRef.current, chatSessions);
+    return searchIndexRef.current;
+  }, [isOpen, chatSessions]);
+
+  // Keep the index status current while semantic search is selected
+  useEffect(() => {
+    if (!isOpen || !isSemantic) return undefined;
+
+    const refreshIndexStatus = () => getIndexStatus()
+      .then((status) => {
+        setIndexStatus(status);
+        setReindexProgress(status.progress);
+      })
+      .catch(error => console.error('Error reading the search index status:', error));
+
+    refreshIndexStatus();
+    return subscribeToReindexProgress((progress) => {
+      setReindexProgress(progress);
+      if (!progress) refreshIndexStatus();
+    });
+  }, [isOpen, isSemantic]);
+
+  const handleRebuildIndex = () => {
+    setIndexError(null);
+    // Progress arrives through the subscription
+    reindexAllChats().catch(error => setIndexError(error.message));
+  };
+
+  const handleEmbeddingModelChange = (id) => {
+    setEmbeddingModelId(id);
+    setEmbeddingModelIdState(id);
+    handleRebuildIndex();
+  };
 
   const hasActiveFilters = () => {
     return filters.dateRange !== 'all' || 
@@ -43,20 +132,23 @@ const AdvancedSearch = ({
   };
 
   const performSearch = async () => {
+    const searchId = ++searchIdRef.current;
     setIsSearching(true);
     
     try {
       let filteredSessions = [...chatSessions];
+      let hits = [];
 
       // Apply text search
       if (searchQuery.trim()) {
-        if (filters.searchType === 'semantic') {
-          // Semantic search (placeholder - would need full implementation)
-          filteredSessions = searchChatSessions(filteredSessions, searchQuery);
-        } else {
-          // Keyword search
-          filteredSessions = searchChatSessions(filteredSessions, searchQuery);
-        }
+        const { text } = parseSearchQuery(searchQuery);
+
+        // Semantic search ranks messages by meaning too, fused with the keyword ranking
+        const vectorHits = isSemantic && text ? await semanticSearch(text, null, SEMANTIC_RESULT_LIMIT) : [];
+        if (searchId !== searchIdRef.current) return;
+
+        hits = searchMessages(searchIndex, searchQuery, { vectorHits });
+        filteredSessions = searchChatSessions(filteredSessions, searchQuery, searchIndex, hits);
       }
 
       // Apply date filter
@@ -72,13 +164,18 @@ const AdvancedSearch = ({
       // Apply sorting
       filteredSessions = sortChatSessions(filteredSessions, filters.sortBy, filters.sortOrder);
 
+      const visibleChatIds = new Set(filteredSessions.map(session => session.id));
+
       setResults(filteredSessions);
+      setMessageHits(hits.filter(hit => visibleChatIds.has(hit.chatId)).slice(0, MESSAGE_HIT_LIMIT));
       onResults(filteredSessions);
       updateActiveFilters();
     } catch (error) {
       console.error('Search error:', error);
     } finally {
-      setIsSearching(false);
+      if (searchId === searchIdRef.current) {
+        setIsSearching(false);
+      }
     }
   };
 
@@ -229,6 +326,9 @@ const AdvancedSearch = ({
               placeholder="Search in chat titles and messages..."
             />
           </div>
+          <p className="mt-1 text-xs text-white/50">
+            Use "exact phrase", -word to exclude, from:user or from:bot, before:2024-12-31 and after:2024-01-01.
+          </p>
           
           {/* Search Type Toggle */}
           <div className="flex items-center mt-2 space-x-4">
@@ -255,6 +355,54 @@ const AdvancedSearch = ({
               Semantic Search
             </label>
           </div>
+
+          {isSemantic && (
+            <div className="mt-2 text-xs text-white/60 space-y-2">
+              <label className="flex items-center justify-between">
+                Embedding model
+                <select
+                  value={embeddingModelId}
+                  onChange={(e) => handleEmbeddingModelChange(e.target.value)}
+                  disabled={!!reindexProgress}
+                  className="glass-input ml-2 px-2 py-1 rounded text-white text-xs disabled:opacity-60"
+                >
+                  {EMBEDDING_MODELS.map(model => (
+                    <option key={model.id} value={model.id} className="bg-gray-800">
+                      {model.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {reindexProgress ? (
+                <div>
+                  <span>Indexing messages… {reindexProgress.done} of {reindexProgress.total}</span>
+                  <div className="mt-1 h-1.5 rounded bg-white/10 overflow-hidden">
+                    <div
+                      className="h-full bg-blue-400 transition-all"
+                      style={{ width: `${reindexProgress.total ? (reindexProgress.done / reindexProgress.total) * 100 : 100}%` }}
+                    />
+                  </div>
+                </div>
+              ) : indexStatus && (
+                <div className="flex items-center justify-between">
+                  <span>
+                    {indexStatus.indexed} of {indexStatus.total} messages indexed
+                    {indexStatus.outdated > 0 && ` · ${indexStatus.outdated} from another model`}
+                  </span>
+                  <button
+                    onClick={handleRebuildIndex}
+                    className="flex items-center text-blue-400 hover:text-blue-300"
+                  >
+                    <RefreshCw className="h-3 w-3 mr-1" />
+                    Rebuild index
+                  </button>
+                </div>
+              )}
+              {indexError && (
+                <p className="text-red-300">Indexing failed: {indexError}</p>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Filters */}
@@ -396,6 +544,44 @@ const AdvancedSearch = ({
           )}
         </div>
 
+        {/* Matching messages */}
+        {searchQuery.trim() && !isSearching && (
+          messageHits.length > 0 ? (
+            <div className="mb-6 space-y-2">
+              <h4 className="text-sm font-medium text-white/80">Matching Messages</h4>
+              {messageHits.map((hit) => (
+                <button
+                  key={hit.id}
+                  onClick={() => onJumpToMessage(hit.chatId, hit.messageId)}
+                  className="glass-button w-full text-left p-3 rounded-lg hover:bg-white/20"
+                >
+                  <div className="flex items-center justify-between text-xs text-white/60 mb-1">
+                    <span className="truncate mr-2">
+                      {chatSessions.find(session => session.id === hit.chatId)?.title || 'Untitled chat'}
+                      {` · ${hit.sender === 'user' ? 'You' : 'Assistant'}`}
+                      {hit.timestamp && ` · ${new Date(hit.timestamp).toLocaleDateString()}`}
+                    </span>
+                    {hit.similarity !== null && (
+                      <span className="flex-shrink-0 text-blue-300">{Math.round(hit.similarity * 100)}% match</span>
+                    )}
+                  </div>
+                  <p className="text-sm text-white">{getSnippet(hit.text, hit.terms)}</p>
+                  <span className="inline-flex items-center text-xs text-blue-400 mt-1">
+                    <CornerDownRight className="h-3 w-3 mr-1" />
+                    Go to message
+                  </span>
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="mb-6 text-sm text-white/60">
+              {isSemantic
+                ? 'No messages contain these words or are close in meaning to them. Try different words.'
+                : 'No messages match this query. Try fewer words or semantic search.'}
+            </p>
+          )
+        )}
+
         {/* Quick Actions */}
         <div className="flex justify-end space-x-3">
           <button
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { FileText, File, X } from 'lucide-react';
+import { getAttachmentBlob, getAttachmentKind, formatFileSize } from '../services/attachmentService.js';
+
+/**
+ * Object URL for an attachment: the draft's preview URL, or one created
+ * from the stored blob and revoked on unmount
+ */
+const useAttachmentUrl = (attachment) => {
+  const [storedUrl, setStoredUrl] = useState(null);
+
+  useEffect(() => {
+    if (attachment.previewUrl) return;
+
+    let objectUrl = null;
+    let cancelled = false;
+
+    getAttachmentBlob(attachment.id)
+      .then((blob) => {
+        if (cancelled || !blob) return;
+        objectUrl = URL.createObjectURL(blob);
+        setStoredUrl(objectUrl);
+      })
+      .catch(error => console.error('Error loading attachment:', error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment.id, attachment.previewUrl]);
+
+  return attachment.previewUrl || storedUrl;
+};
+
+const AttachmentItem = ({ attachment, onRemove }) => {
+  const url = useAttachmentUrl(attachment);
+  const kind = getAttachmentKind(attachment.mimeType, attachment.name);
+  const Icon = kind === 'text' ? FileText : File;
+
+  return (
+    <div className="relative group/attachment">
+      <a
+        href={url || undefined}
+        target="_blank"
+        rel="noopener noreferrer"
+        title={`${attachment.name} (${formatFileSize(attachment.size)})`}
+        className="block"
+      >
+        {kind === 'image' && url ? (
+          <img
+            src={url}
+            alt={attachment.name}
+            className="h-20 w-20 object-cover rounded border border-white/20"
+          />
+        ) : (
+          <div className="h-20 w-32 p-2 rounded border border-white/20 bg-white/10 flex flex-col justify-between">
+            <Icon className="h-5 w-5 text-white/70" />
+            <div className="min-w-0">
+              <p className="text-xs text-white truncate">{attachment.name}</p>
+              <p className="text-xs text-white/50">{formatFileSize(attachment.size)}</p>
+            </div>
+          </div>
+        )}
+      </a>
+
+      {onRemove && (
+        <button
+          onClick={() => onRemove(attachment)}
+          className="absolute -top-2 -right-2 bg-black/70 rounded-full p-0.5 text-white/80 hover:text-white"
+          title="Remove attachment"
+        >
+          <X className="h-3 w-3" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Thumbnails for message attachments; pass `onRemove` for a draft message
+ */
+const AttachmentList = ({ attachments = [], onRemove }) => {
+  if (attachments.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2 mb-2">
+      {attachments.map((attachment) => (
+        <AttachmentItem key={attachment.id} attachment={attachment} onRemove={onRemove} />
+      ))}
+    </div>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,317 @@
+import React, { useRef, useState } from 'react';
+import { DatabaseBackup, Download, Upload, Loader2, CheckCircle, AlertTriangle, Lock } from 'lucide-react';
+import {
+  downloadBackup,
+  readBackupFile,
+  openEncryptedBackup,
+  restoreBackup,
+  getBackupSummary,
+  getBackupSettings,
+  saveBackupSettings
+} from '../services/backupService.js';
+import { isEncryptionEnabled } from '../services/encryptionService.js';
+
+const STORE_LABELS = {
+  chatSessions: 'Chats',
+  quickPrompts: 'Quick prompts',
+  userStats: 'Statistics',
+  themes: 'Custom themes',
+  embeddings: 'Search index entries',
+  personas: 'Personas',
+  attachments: 'Attachments',
+  searchIndex: 'Search index statistics'
+};
+
+const REMINDER_OPTIONS = [
+  { days: 0, label: 'Off' },
+  { days: 7, label: 'Weekly' },
+  { days: 14, label: 'Every 2 weeks' },
+  { days: 30, label: 'Monthly' }
+];
+
+/**
+ * Back up the whole database to a file and restore it, merging or replacing
+ */
+const BackupDialog = ({ isOpen, onClose, onRestored }) => {
+  const [settings, setSettings] = useState(getBackupSettings);
+  const [isWorking, setIsWorking] = useState(false);
+  const [backup, setBackup] = useState(null);
+  const [backupFileName, setBackupFileName] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const fileInputRef = useRef(null);
+
+  const runTask = async (task) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      await task();
+    } catch (err) {
+      console.error('Error in backup task:', err);
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const isEncrypted = isEncryptionEnabled();
+
+  const handleDownload = () => runTask(async () => {
+    await downloadBackup(passphrase);
+    setPassphrase('');
+    setSettings(getBackupSettings());
+  });
+
+  const handleChooseFile = (file) => {
+    if (!file) return;
+    setReport(null);
+    runTask(async () => {
+      setBackup(null);
+      setBackupPassphrase('');
+      const loaded = await readBackupFile(file);
+      setBackup(loaded);
+      setBackupFileName(file.name);
+    });
+  };
+
+  const handleOpenEncrypted = () => runTask(async () => {
+    setBackup(await openEncryptedBackup(backup, backupPassphrase));
+    setBackupPassphrase('');
+  });
+
+  const handleRestore = () => runTask(async () => {
+    const restoreReport = await restoreBackup(backup, mode);
+    setReport(restoreReport);
+    setBackup(null);
+    onRestored();
+  });
+
+  const handleReminderChange = (reminderDays) => {
+    // Start the interval now rather than nagging straight away
+    const updated = { ...settings, reminderDays, lastReminderAt: Date.now() };
+    saveBackupSettings(updated);
+    setSettings(updated);
+  };
+
+  const handleClose = () => {
+    setBackup(null);
+    setReport(null);
+    setError(null);
+    setPassphrase('');
+    setBackupPassphrase('');
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  const summary = backup && !backup.encrypted ? getBackupSummary(backup) : null;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="glass-panel p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[80vh] overflow-y-auto custom-scrollbar">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <DatabaseBackup className="h-6 w-6 mr-2" />
+            Backup & Restore
+          </h2>
+          <button
+            onClick={handleClose}
+            className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+          >
+            ×
+          </button>
+        </div>
+
+        <section className="mb-6">
+          <h3 className="text-white font-medium mb-1">Back up</h3>
+          <p className="text-sm text-white/60 mb-3">
+            Saves chats, attachments, prompts, personas, themes, statistics and the search index to one file.
+            {settings.lastBackupAt
+              ? ` Last backup: ${new Date(settings.lastBackupAt).toLocaleString()}.`
+              : ' No backup made yet.'}
+            {isEncrypted && ' Encryption is on, so the backup file is encrypted with your passphrase.'}
+          </p>
+          {isEncrypted && (
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Current passphrase"
+              className="glass-input w-full mb-3 px-3 py-2 rounded text-white"
+            />
+          )}
+          <button
+            onClick={handleDownload}
+            disabled={isWorking || (isEncrypted && !passphrase)}
+            className="glass-button px-4 py-2 rounded-lg text-white hover:bg-white/20 disabled:opacity-50 flex items-center"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Download backup
+          </button>
+
+          <label className="flex items-center justify-between mt-4 text-sm text-white/80">
+            Remind me to back up
+            <select
+              value={settings.reminderDays}
+              onChange={(e) => handleReminderChange(Number(e.target.value))}
+              className="glass-input px-2 py-1 rounded text-white text-sm"
+            >
+              {REMINDER_OPTIONS.map(option => (
+                <option key={option.days} value={option.days} className="bg-gray-800">
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </section>
+
+        <section>
+          <h3 className="text-white font-medium mb-1">Restore</h3>
+          <p className="text-sm text-white/60 mb-3">Load a backup file made with Download backup.</p>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isWorking}
+            className="glass-button px-4 py-2 rounded-lg text-white hover:bg-white/20 disabled:opacity-50 flex items-center"
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Choose backup file
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              handleChooseFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+
+          {backup?.encrypted && (
+            <div className="mt-4 p-3 rounded bg-white/5 space-y-3">
+              <p className="text-sm text-white/80 truncate">
+                <span className="text-white">{backupFileName}</span>, made {new Date(backup.createdAt).toLocaleString()}
+              </p>
+              <p className="text-xs text-white/60">
+                This backup is encrypted. Enter the passphrase that was set when it was made.
+              </p>
+              <input
+                type="password"
+                value={backupPassphrase}
+                onChange={(e) => setBackupPassphrase(e.target.value)}
+                placeholder="Backup passphrase"
+                className="glass-input w-full px-3 py-2 rounded text-white"
+              />
+              <button
+                onClick={handleOpenEncrypted}
+                disabled={isWorking || !backupPassphrase}
+                className="glass-button w-full py-2 rounded-lg text-white hover:bg-white/20 disabled:opacity-50 flex items-center justify-center"
+              >
+                {isWorking ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Lock className="h-4 w-4 mr-2" />}
+                Open backup
+              </button>
+            </div>
+          )}
+
+          {backup && !backup.encrypted && (
+            <div className="mt-4 p-3 rounded bg-white/5 space-y-3">
+              <div className="text-sm text-white/80">
+                <p className="truncate">
+                  <span className="text-white">{backupFileName}</span>, made {new Date(backup.createdAt).toLocaleString()}
+                </p>
+                <ul className="mt-1 text-xs text-white/60">
+                  {Object.entries(summary).map(([storeName, count]) => (
+                    <li key={storeName}>{STORE_LABELS[storeName] || storeName}: {count}</li>
+                  ))}
+                </ul>
+              </div>
+
+              <div className="space-y-1 text-sm text-white">
+                <label className="flex items-start cursor-pointer">
+                  <input
+                    type="radio"
+                    checked={mode === 'merge'}
+                    onChange={() => setMode('merge')}
+                    className="mr-2 mt-1"
+                  />
+                  <span>
+                    Merge
+                    <span className="block text-xs text-white/60">Add what is missing; where both copies differ, keep the more recently updated one.</span>
+                  </span>
+                </label>
+                <label className="flex items-start cursor-pointer">
+                  <input
+                    type="radio"
+                    checked={mode === 'replace'}
+                    onChange={() => setMode('replace')}
+                    className="mr-2 mt-1"
+                  />
+                  <span>
+                    Replace
+                    <span className="block text-xs text-white/60">Delete everything stored here and restore the backup exactly.</span>
+                  </span>
+                </label>
+              </div>
+
+              <button
+                onClick={handleRestore}
+                disabled={isWorking}
+                className={`glass-button w-full py-2 rounded-lg disabled:opacity-50 flex items-center justify-center ${
+                  mode === 'replace' ? 'text-red-300 hover:bg-red-500/20' : 'text-white hover:bg-white/20'
+                }`}
+              >
+                {isWorking && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                {mode === 'replace' ? 'Replace all data' : 'Merge backup'}
+              </button>
+            </div>
+          )}
+        </section>
+
+        {error && (
+          <div className="mt-4 p-3 rounded bg-red-500/20 text-red-200 text-sm flex items-start">
+            <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {report && (
+          <div className="mt-4 space-y-2">
+            <div className="p-3 rounded bg-green-500/20 text-green-100 text-sm flex items-start">
+              <CheckCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+              <span>
+                {report.mode === 'replace'
+                  ? `Restored ${report.added} records.`
+                  : `Added ${report.added}, updated ${report.updated}, ${report.unchanged} already up to date.`}
+              </span>
+            </div>
+
+            {report.conflicts.length > 0 && (
+              <div className="p-3 rounded bg-yellow-500/20 text-yellow-100 text-xs space-y-1">
+                <p className="font-medium">
+                  {report.conflicts.length} record{report.conflicts.length !== 1 ? 's' : ''} differed between this device and the backup:
+                </p>
+                {report.conflicts.slice(0, 10).map(conflict => (
+                  <p key={`${conflict.store}-${conflict.id}`} className="truncate">
+                    {STORE_LABELS[conflict.store] || conflict.store}: {conflict.label} ({conflict.kept === 'backup' ? 'backup copy kept' : 'local copy kept'})
+                  </p>
+                ))}
+                {report.conflicts.length > 10 && <p>…and {report.conflicts.length - 10} more</p>}
+              </div>
+            )}
+
+            {report.skippedStores.length > 0 && (
+              <p className="text-xs text-white/60">
+                Skipped data this version does not know about: {report.skippedStores.join(', ')}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BackupDialog;
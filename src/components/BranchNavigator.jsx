@@ -0,0 +1,78 @@
+import React from 'react';
+import { GitBranch, Download, Eye, X } from 'lucide-react';
+
+/**
+ * Lists every branch of a conversation so older ones stay browsable and exportable
+ */
+const BranchNavigator = ({
+  branches,
+  activeLeafId,
+  onSelectBranch,
+  onExportBranch,
+  onClose,
+  disabled
+}) => {
+  return (
+    <div className="p-4 border-b border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-white flex items-center">
+          <GitBranch className="h-4 w-4 mr-2" />
+          Branches
+          <span className="ml-2 text-xs text-white/50">({branches.length})</span>
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-white/50 hover:text-white"
+          title="Close branches"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="space-y-2 max-h-48 overflow-y-auto custom-scrollbar">
+        {branches.map((branch, index) => {
+          const isActive = branch.leafId === activeLeafId;
+
+          return (
+            <div
+              key={branch.leafId}
+              className={`glass-panel p-2 rounded flex items-center justify-between ${
+                isActive ? 'ring-1 ring-blue-400' : ''
+              }`}
+            >
+              <div className="flex-1 min-w-0 mr-2">
+                <p className="text-sm text-white truncate" title={branch.forkMessage.text}>
+                  {branch.forkMessage.text || `Branch ${branches.length - index}`}
+                </p>
+                <p className="text-xs text-white/50">
+                  {branch.thread.length} message{branch.thread.length !== 1 ? 's' : ''} · {new Date(branch.updatedAt).toLocaleString()}
+                  {isActive && <span className="ml-1 text-blue-300">· current</span>}
+                </p>
+              </div>
+
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => onSelectBranch(branch.leafId)}
+                  disabled={disabled || isActive}
+                  className="glass-button p-1 rounded text-white/70 hover:text-white disabled:opacity-30 disabled:cursor-not-allowed"
+                  title="View branch"
+                >
+                  <Eye className="h-3 w-3" />
+                </button>
+                <button
+                  onClick={() => onExportBranch(branch)}
+                  className="glass-button p-1 rounded text-white/70 hover:text-white"
+                  title="Export branch"
+                >
+                  <Download className="h-3 w-3" />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default BranchNavigator;
@@ -18,9 +18,11 @@ import {
 } from 'recharts';
 
 /**
- * Chart renderer component for displaying data visualizations
+ * Chart renderer component for displaying data visualizations. A numeric
+ * `width` renders the chart at a fixed size without measuring its container,
+ * which is what static rendering needs.
  */
-const ChartRenderer = ({ data, type = 'line', title, width = '100%', height = 300 }) => {
+const ChartRenderer = ({ data, type = 'line', title, width = '100%', height = 300, animate = true }) => {
   if (!data || !Array.isArray(data) || data.length === 0) {
     return (
       <div className="glass-panel p-4 rounded-lg text-center text-white/70">
@@ -61,6 +63,7 @@ const ChartRenderer = ({ data, type = 'line', title, width = '100%', height = 30
             {Object.keys(data[0] || {}).filter(key => key !== 'name').map((key, index) => (
               <Line
                 key={key}
+                isAnimationActive={animate}
                 type="monotone"
                 dataKey={key}
                 stroke={colors[index % colors.length]}
@@ -96,6 +99,7 @@ const ChartRenderer = ({ data, type = 'line', title, width = '100%', height = 30
             {Object.keys(data[0] || {}).filter(key => key !== 'name').map((key, index) => (
               <Area
                 key={key}
+                isAnimationActive={animate}
                 type="monotone"
                 dataKey={key}
                 stackId="1"
@@ -132,6 +136,7 @@ const ChartRenderer = ({ data, type = 'line', title, width = '100%', height = 30
             {Object.keys(data[0] || {}).filter(key => key !== 'name').map((key, index) => (
               <Bar
                 key={key}
+                isAnimationActive={animate}
                 dataKey={key}
                 fill={colors[index % colors.length]}
                 radius={[4, 4, 0, 0]}
@@ -157,6 +162,7 @@ const ChartRenderer = ({ data, type = 'line', title, width = '100%', height = 30
               outerRadius={80}
               fill="#8884d8"
               dataKey="value"
+              isAnimationActive={animate}
             >
               {pieData.map((entry, index) => (
                 <Cell key={`cell-${index}`} fill={entry.fill} />
@@ -189,9 +195,13 @@ const ChartRenderer = ({ data, type = 'line', title, width = '100%', height = 30
           {title}
         </h3>
       )}
-      <ResponsiveContainer width={width} height={height}>
-        {renderChart()}
-      </ResponsiveContainer>
+      {typeof width === 'number' ? (
+        React.cloneElement(renderChart(), { width, height })
+      ) : (
+        <ResponsiveContainer width={width} height={height}>
+          {renderChart()}
+        </ResponsiveContainer>
+      )}
     </div>
   );
 };
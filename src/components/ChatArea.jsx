@@ -1,111 +1,388 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Send, Loader2, Copy, Download, Trash2, Zap } from 'lucide-react';
-import { sendMessage } from '../services/geminiService.js';
-import ChartRenderer, { parseChartFromText } from './ChartRenderer.jsx';
-import CodeEditor, { extractCodeBlocks } from './CodeEditor.jsx';
-import DiagramRenderer, { extractDiagrams } from './DiagramRenderer.jsx';
+import { Send, Loader2, Copy, Download, Trash2, Zap, SlidersHorizontal, ScrollText, Square, RefreshCw, ChevronLeft, ChevronRight, GitBranch, Pencil, Paperclip } from 'lucide-react';
+import { streamReplyToSession } from '../services/geminiService.js';
+import { getAvailableProviders, resolveProvider } from '../services/providers/index.js';
+import {
+  DEFAULT_GENERATION_CONFIG,
+  getSessionGenerationConfig,
+  getMessageAlternatives,
+  getPromptForReply,
+  addMessageAlternative,
+  updateActiveAlternative,
+  selectMessageAlternative,
+  normalizeMessageTree,
+  getActiveThread,
+  getThreadToMessage,
+  getSiblingMessages,
+  getLatestLeafId,
+  getConversationBranches,
+  appendMessageToTree
+} from '../services/chatLogicService.js';
+import { parseMessageSegments, getSegmentCitations, addCitationLinks } from '../services/messageContentService.js';
+import { exportChatAsJSON } from '../services/exportService.js';
+import { createAttachment, validateAttachmentFile, MAX_MESSAGE_ATTACHMENT_BYTES } from '../services/attachmentService.js';
+import { isNetworkError, requestResendWhenOnline } from '../services/messageQueueService.js';
+import ChatSettingsPanel from './ChatSettingsPanel.jsx';
+import SystemPromptEditor from './SystemPromptEditor.jsx';
+import BranchNavigator from './BranchNavigator.jsx';
+import AttachmentList from './AttachmentList.jsx';
+import MarkdownRenderer, { RichBlock } from './MarkdownRenderer.jsx';
+import SourceList from './Citations.jsx';
+
+const HIGHLIGHT_DURATION_MS = 2500;
 
 const ChatArea = ({
   activeChatSession,
   onUpdateChatSession,
+  isResending,
   isApiKeyMissing,
   quickPrompts,
-  onDeleteCurrentChat
+  personas,
+  onSavePersona,
+  onDeletePersona,
+  onDeleteCurrentChat,
+  onExportChat,
+  highlightedMessageId,
+  onHighlightShown
 }) => {
   const [inputText, setInputText] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
   const [showQuickPrompts, setShowQuickPrompts] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showSystemPrompt, setShowSystemPrompt] = useState(false);
+  const [showBranches, setShowBranches] = useState(false);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [attachmentError, setAttachmentError] = useState(null);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  // A queued message sent in the background streams into this chat like a reply
+  const isLoading = isStreaming || isResending;
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const abortControllerRef = useRef(null);
+
+  const thread = getActiveThread(activeChatSession);
 
   useEffect(() => {
     scrollToBottom();
   }, [activeChatSession?.messages]);
 
+  // Bring a message opened from search into view once its branch is shown;
+  // declared after the effect above so it wins over scrolling to the bottom
+  const isHighlightInThread = thread.some(m => m.id === highlightedMessageId);
+  useEffect(() => {
+    if (!highlightedMessageId || !isHighlightInThread) return undefined;
+
+    document.getElementById(`message-${highlightedMessageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(onHighlightShown, HIGHLIGHT_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId, isHighlightInThread, onHighlightShown]);
+
+  // Drafts belong to the chat they were attached in
+  useEffect(() => {
+    setPendingAttachments((prev) => {
+      prev.forEach(attachment => URL.revokeObjectURL(attachment.previewUrl));
+      return [];
+    });
+    setAttachmentError(null);
+  }, [activeChatSession?.id]);
+
+  useEffect(() => {
+    const handleConnectionChange = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', handleConnectionChange);
+    window.addEventListener('offline', handleConnectionChange);
+    return () => {
+      window.removeEventListener('online', handleConnectionChange);
+      window.removeEventListener('offline', handleConnectionChange);
+    };
+  }, []);
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  const handleSendMessage = async () => {
-    const messageText = inputText.trim();
+  /**
+   * Stream a reply to `promptMessage` into the active session, with the Stop
+   * button wired to it. See streamReplyToSession for `buildSession` and
+   * `sessionWithoutReply`; errors other than a user stop are rethrown.
+   */
+  const streamReply = async (promptMessage, history, buildSession, sessionWithoutReply) => {
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    setIsStreaming(true);
 
-    if (!messageText || isLoading || isApiKeyMissing || !activeChatSession) return;
+    try {
+      await streamReplyToSession({
+        session: activeChatSession,
+        promptMessage,
+        history,
+        buildSession,
+        sessionWithoutReply,
+        onUpdateChatSession,
+        signal: abortController.signal
+      });
+    } finally {
+      abortControllerRef.current = null;
+      setIsStreaming(false);
+    }
+  };
 
+  /**
+   * Add a user message under `parentId` and stream the reply to it. Offline,
+   * the message is saved as pending and App sends it once the connection returns.
+   * @param {string} messageText - User's message
+   * @param {string|null} parentId - Message the new one replies to
+   * @param {Array} history - Thread leading up to the new message
+   * @param {Array} [attachments] - Stored attachment metadata for the message
+   */
+  const submitUserMessage = async (messageText, parentId, history, attachments = []) => {
     const userMessage = {
       id: `msg-${Date.now()}`,
       text: messageText,
       sender: 'user',
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      parentId,
+      ...(attachments.length > 0 && { attachments })
     };
 
-    const updatedSession = {
-      ...activeChatSession,
-      messages: [...activeChatSession.messages, userMessage],
-      lastUpdatedAt: Date.now()
+    const queueMessage = () => {
+      onUpdateChatSession(appendMessageToTree(activeChatSession, { ...userMessage, isPending: true }));
+      requestResendWhenOnline();
     };
 
+    if (!navigator.onLine) {
+      queueMessage();
+      return;
+    }
+
+    const updatedSession = appendMessageToTree(activeChatSession, userMessage);
     onUpdateChatSession(updatedSession);
-    setInputText('');
-    setIsLoading(true);
+
+    const aiMessage = {
+      id: `msg-${Date.now()}-ai`,
+      text: '',
+      sender: 'ai',
+      timestamp: Date.now(),
+      parentId: userMessage.id
+    };
+
+    let latestAiMessage = aiMessage;
 
     try {
-      const stream = await sendMessage(messageText, updatedSession.messages);
-
-      const aiMessageId = `msg-${Date.now()}-ai`;
-      let fullResponse = '';
-
-      const sessionWithPlaceholder = {
-        ...updatedSession,
-        messages: [
-          ...updatedSession.messages,
-          {
-            id: aiMessageId,
-            text: '',
-            sender: 'ai',
-            timestamp: Date.now()
-          }
-        ],
-        lastUpdatedAt: Date.now()
+      await streamReply(userMessage, history, (fields) => {
+        latestAiMessage = { ...latestAiMessage, ...fields };
+        return appendMessageToTree(updatedSession, latestAiMessage);
+      }, updatedSession);
+    } catch (error) {
+      // The request never got out; keep the message instead of an error reply
+      if (latestAiMessage === aiMessage && isNetworkError(error)) {
+        queueMessage();
+        return;
+      }
+
+      const errorMessage = {
+        id: `msg-${Date.now()}-error`,
+        text: `Sorry, I encountered an error: ${error.message}`,
+        sender: 'ai',
+        timestamp: Date.now(),
+        isError: true,
+        parentId: userMessage.id
       };
 
-      onUpdateChatSession(sessionWithPlaceholder);
+      onUpdateChatSession(appendMessageToTree(updatedSession, errorMessage));
+    }
+  };
+
+  const handleSendMessage = async () => {
+    const messageText = inputText.trim();
+    const drafts = pendingAttachments;
+
+    if ((!messageText && drafts.length === 0) || isLoading || isApiKeyMissing || !activeChatSession) return;
+
+    setInputText('');
+    setPendingAttachments([]);
+    setAttachmentError(null);
+
+    let attachments;
+    try {
+      attachments = await Promise.all(drafts.map(draft => createAttachment(draft.file, activeChatSession.id)));
+    } catch (error) {
+      console.error('Error saving attachments:', error);
+      setAttachmentError('Could not save the attachments. Please try again.');
+      setPendingAttachments(drafts);
+      setInputText(messageText);
+      return;
+    }
+    drafts.forEach(draft => URL.revokeObjectURL(draft.previewUrl));
 
-      for await (const chunk of stream) {
-        fullResponse = chunk.text;
+    const lastMessage = thread[thread.length - 1];
+    await submitUserMessage(messageText, lastMessage?.id ?? null, thread, attachments);
+  };
 
-        const updatedStreamSession = {
-          ...sessionWithPlaceholder,
-          messages: sessionWithPlaceholder.messages.map(msg =>
-            msg.id === aiMessageId ? { ...msg, text: fullResponse } : msg
-          ),
-          lastUpdatedAt: Date.now()
-        };
+  const addAttachmentFiles = (files) => {
+    let totalSize = pendingAttachments.reduce((sum, draft) => sum + draft.size, 0);
+    const accepted = [];
+    let error = null;
 
-        onUpdateChatSession(updatedStreamSession);
+    for (const file of files) {
+      const fileError = validateAttachmentFile(file);
+      if (fileError) {
+        error = fileError;
+        continue;
+      }
+      if (totalSize + file.size > MAX_MESSAGE_ATTACHMENT_BYTES) {
+        error = `Attachments on one message can add up to at most ${MAX_MESSAGE_ATTACHMENT_BYTES / (1024 * 1024)} MB.`;
+        continue;
       }
 
-      await stream.response;
+      totalSize += file.size;
+      accepted.push({
+        id: `draft-${Date.now()}-${accepted.length}`,
+        file,
+        name: file.name || 'pasted-file',
+        mimeType: file.type,
+        size: file.size,
+        previewUrl: URL.createObjectURL(file)
+      });
+    }
+
+    setAttachmentError(error);
+    if (accepted.length > 0) {
+      setPendingAttachments(prev => [...prev, ...accepted]);
+    }
+  };
+
+  const handleRemoveAttachment = (draft) => {
+    URL.revokeObjectURL(draft.previewUrl);
+    setPendingAttachments(prev => prev.filter(a => a.id !== draft.id));
+  };
+
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length === 0) return;
+
+    e.preventDefault();
+    addAttachmentFiles(files);
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer?.types?.includes('Files')) return;
+    e.preventDefault();
+    setIsDraggingFiles(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setIsDraggingFiles(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!e.dataTransfer?.files?.length) return;
+    e.preventDefault();
+    setIsDraggingFiles(false);
+    addAttachmentFiles(Array.from(e.dataTransfer.files));
+  };
+
+  const handleStartEdit = (message) => {
+    setEditingMessageId(message.id);
+    setEditText(message.text);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingMessageId(null);
+    setEditText('');
+  };
+
+  /**
+   * Send an edited copy of a user message as a new branch next to the original
+   */
+  const handleSubmitEdit = async (message) => {
+    const messageText = editText.trim();
+    const attachments = message.attachments || [];
+    if ((!messageText && attachments.length === 0) || isLoading || isApiKeyMissing) return;
+
+    const messages = normalizeMessageTree(activeChatSession.messages);
+    const parentId = messages.find(m => m.id === message.id)?.parentId ?? null;
+    const history = parentId ? getThreadToMessage(messages, parentId) : [];
+
+    handleCancelEdit();
+    await submitUserMessage(messageText, parentId, history, attachments);
+  };
+
+  const handleSelectBranch = (leafId) => {
+    if (isLoading) return;
+
+    onUpdateChatSession({
+      ...activeChatSession,
+      activeLeafId: leafId
+    });
+  };
+
+  const handleSelectSibling = (sibling) => {
+    const messages = normalizeMessageTree(activeChatSession.messages);
+    handleSelectBranch(getLatestLeafId(messages, sibling.id));
+    handleCancelEdit();
+  };
+
+  const handleRegenerate = async (message) => {
+    if (isLoading || isApiKeyMissing || !isOnline) return;
+
+    const context = getPromptForReply(thread, message.id);
+    if (!context) return;
+
+    // The first update starts a new alternative; later ones stream into it
+    let regenerated = null;
+    const buildSession = (fields) => {
+      regenerated = regenerated
+        ? updateActiveAlternative(regenerated, fields)
+        : addMessageAlternative(message, fields);
+
+      return {
+        ...activeChatSession,
+        messages: activeChatSession.messages.map(msg => msg.id === message.id ? regenerated : msg),
+        lastUpdatedAt: Date.now()
+      };
+    };
+
+    try {
+      await streamReply(context.prompt, context.history, buildSession, activeChatSession);
     } catch (error) {
-      const errorMessage = {
-        id: `msg-${Date.now()}-error`,
+      const errorFields = {
         text: `Sorry, I encountered an error: ${error.message}`,
-        sender: 'ai',
         timestamp: Date.now(),
         isError: true
       };
 
-      const errorSession = {
+      regenerated = regenerated
+        ? updateActiveAlternative(regenerated, errorFields)
+        : addMessageAlternative(message, errorFields);
+      onUpdateChatSession({
         ...activeChatSession,
-        messages: [...updatedSession.messages, errorMessage],
+        messages: activeChatSession.messages.map(msg => msg.id === message.id ? regenerated : msg),
         lastUpdatedAt: Date.now()
-      };
-
-      onUpdateChatSession(errorSession);
-    } finally {
-      setIsLoading(false);
+      });
     }
   };
 
+  const handleSelectAlternative = (message, index) => {
+    if (isLoading) return;
+
+    onUpdateChatSession({
+      ...activeChatSession,
+      messages: activeChatSession.messages.map(msg =>
+        msg.id === message.id ? selectMessageAlternative(msg, index) : msg
+      ),
+      lastUpdatedAt: Date.now()
+    });
+  };
+
+  const handleStopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -127,116 +404,126 @@ const ChatArea = ({
     }
   };
 
-  const exportChat = () => {
-    if (!activeChatSession) return;
+  const handleProviderChange = (providerId) => {
+    onUpdateChatSession({
+      ...activeChatSession,
+      provider: providerId,
+      // Model names belong to one provider, so fall back to the new provider's default
+      generationConfig: {
+        ...getSessionGenerationConfig(activeChatSession),
+        model: DEFAULT_GENERATION_CONFIG.model
+      },
+      lastUpdatedAt: Date.now()
+    });
+  };
+
+  const handleSaveGenerationConfig = (generationConfig) => {
+    onUpdateChatSession({
+      ...activeChatSession,
+      generationConfig,
+      lastUpdatedAt: Date.now()
+    });
+    setShowSettings(false);
+  };
+
+  const handleSaveSystemInstruction = (systemInstruction) => {
+    onUpdateChatSession({
+      ...activeChatSession,
+      systemInstruction,
+      lastUpdatedAt: Date.now()
+    });
+    setShowSystemPrompt(false);
+  };
 
-    const chatData = {
+  const exportBranch = (branch) => {
+    exportChatAsJSON({
+      id: `${activeChatSession.id}_branch_${branch.leafId}`,
       title: activeChatSession.title,
-      messages: activeChatSession.messages,
+      messages: branch.thread,
+      activeLeafId: branch.leafId,
       exportedAt: new Date().toISOString()
-    };
-
-    const blob = new Blob([JSON.stringify(chatData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${activeChatSession.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    }, `_branch_${branch.leafId}`);
   };
 
   const renderMessageContent = (message) => {
-    const content = message.text;
-
-    const chartConfig = parseChartFromText(content);
-    if (chartConfig) {
-      return (
-        <div>
-          <div className="mb-4">{content}</div>
-          <ChartRenderer {...chartConfig} />
-        </div>
-      );
-    }
+    const segments = parseMessageSegments(message.text);
 
-    const codeBlocks = extractCodeBlocks(content);
-    if (codeBlocks.length > 0) {
-      let remainingContent = content;
-      const elements = [];
-
-      codeBlocks.forEach((block, index) => {
-        const parts = remainingContent.split(block.fullMatch);
-        if (parts[0]) {
-          elements.push(
-            <div key={`text-${index}`} className="mb-4 whitespace-pre-wrap">
-              {parts[0]}
-            </div>
-          );
-        }
-
-        elements.push(
-          <CodeEditor
-            key={`code-${index}`}
-            initialCode={block.code}
-            language={block.language}
-            readOnly={true}
-            title={`${block.language} Code`}
-          />
-        );
+    return (
+      <div>
+        {segments.map((segment) => {
+          if (segment.type !== 'text') {
+            return <RichBlock key={segment.start} segment={segment} />;
+          }
 
-        remainingContent = parts.slice(1).join(block.fullMatch);
-      });
+          const citations = getSegmentCitations(message.citations, segment);
+          const content = citations.length
+            ? addCitationLinks(segment.content, citations, message.sources)
+            : segment.content;
 
-      if (remainingContent) {
-        elements.push(
-          <div key="remaining" className="mt-4 whitespace-pre-wrap">
-            {remainingContent}
-          </div>
-        );
-      }
+          return <MarkdownRenderer key={segment.start} content={content} />;
+        })}
+      </div>
+    );
+  };
 
-      return <div>{elements}</div>;
-    }
+  const renderAlternativeSwitcher = (message) => {
+    const alternatives = getMessageAlternatives(message);
+    if (alternatives.length < 2) return null;
 
-    const diagrams = extractDiagrams(content);
-    if (diagrams.length > 0) {
-      let remainingContent = content;
-      const elements = [];
-
-      diagrams.forEach((diagram, index) => {
-        const parts = remainingContent.split(diagram.fullMatch);
-        if (parts[0]) {
-          elements.push(
-            <div key={`text-${index}`} className="mb-4 whitespace-pre-wrap">
-              {parts[0]}
-            </div>
-          );
-        }
-
-        elements.push(
-          <DiagramRenderer
-            key={`diagram-${index}`}
-            diagramText={diagram.content}
-            title={`Diagram ${index + 1}`}
-          />
-        );
+    const activeIndex = message.activeAlternative ?? alternatives.length - 1;
 
-        remainingContent = parts.slice(1).join(diagram.fullMatch);
-      });
+    return (
+      <div className="flex items-center text-xs text-white/60">
+        <button
+          onClick={() => handleSelectAlternative(message, activeIndex - 1)}
+          disabled={isLoading || activeIndex === 0}
+          className="p-1 rounded hover:text-white disabled:opacity-30 disabled:cursor-not-allowed"
+          title="Previous answer"
+        >
+          <ChevronLeft className="h-3 w-3" />
+        </button>
+        <span>{activeIndex + 1}/{alternatives.length}</span>
+        <button
+          onClick={() => handleSelectAlternative(message, activeIndex + 1)}
+          disabled={isLoading || activeIndex === alternatives.length - 1}
+          className="p-1 rounded hover:text-white disabled:opacity-30 disabled:cursor-not-allowed"
+          title="Next answer"
+        >
+          <ChevronRight className="h-3 w-3" />
+        </button>
+      </div>
+    );
+  };
 
-      if (remainingContent) {
-        elements.push(
-          <div key="remaining" className="mt-4 whitespace-pre-wrap">
-            {remainingContent}
-          </div>
-        );
-      }
+  const renderBranchSwitcher = (message) => {
+    const messages = normalizeMessageTree(activeChatSession.messages);
+    const siblings = getSiblingMessages(messages, message);
+    if (siblings.length < 2) return null;
 
-      return <div>{elements}</div>;
-    }
+    const activeIndex = siblings.findIndex(m => m.id === message.id);
 
-    return <div className="whitespace-pre-wrap">{content}</div>;
+    return (
+      <div className="flex items-center text-xs text-white/60" title="Edited versions of this message">
+        <GitBranch className="h-3 w-3 mr-1" />
+        <button
+          onClick={() => handleSelectSibling(siblings[activeIndex - 1])}
+          disabled={isLoading || activeIndex === 0}
+          className="p-1 rounded hover:text-white disabled:opacity-30 disabled:cursor-not-allowed"
+          title="Previous version"
+        >
+          <ChevronLeft className="h-3 w-3" />
+        </button>
+        <span>{activeIndex + 1}/{siblings.length}</span>
+        <button
+          onClick={() => handleSelectSibling(siblings[activeIndex + 1])}
+          disabled={isLoading || activeIndex === siblings.length - 1}
+          className="p-1 rounded hover:text-white disabled:opacity-30 disabled:cursor-not-allowed"
+          title="Next version"
+        >
+          <ChevronRight className="h-3 w-3" />
+        </button>
+      </div>
+    );
   };
 
   if (isApiKeyMissing) {
@@ -244,7 +531,7 @@ const ChatArea = ({
       <div className="flex-1 flex items-center justify-center">
         <div className="text-center text-white/70">
           <h2 className="text-xl font-semibold mb-2">API Key Required</h2>
-          <p>Please configure your Google AI API key to start chatting.</p>
+          <p>Please configure your Google AI API key or another AI provider to start chatting.</p>
         </div>
       </div>
     );
@@ -261,21 +548,90 @@ const ChatArea = ({
     );
   }
 
+  const availableProviders = getAvailableProviders();
+  const activeProvider = resolveProvider(activeChatSession.provider);
+  const branches = getConversationBranches(activeChatSession);
+
   return (
-    <div className="flex-1 flex flex-col glass-panel rounded-lg ml-0 md:ml-4">
+    <div
+      className="flex-1 flex flex-col glass-panel rounded-lg ml-0 md:ml-4 relative"
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {isDraggingFiles && (
+        <div className="absolute inset-0 z-10 rounded-lg border-2 border-dashed border-blue-400 bg-blue-500/10 flex items-center justify-center pointer-events-none">
+          <div className="text-center text-white">
+            <Paperclip className="h-8 w-8 mx-auto mb-2" />
+            <p className="text-sm">Drop images, PDFs or text files to attach them</p>
+          </div>
+        </div>
+      )}
+
       <div className="p-4 border-b border-white/10 flex items-center justify-between">
         <div className="flex-1 min-w-0">
           <h2 className="text-lg font-semibold text-white truncate">
             {activeChatSession.title}
           </h2>
           <p className="text-sm text-white/60">
-            {activeChatSession.messages.length} message{activeChatSession.messages.length !== 1 ? 's' : ''}
+            {thread.length} message{thread.length !== 1 ? 's' : ''}
+            {branches.length > 1 && ` · ${branches.length} branches`}
           </p>
         </div>
 
         <div className="flex items-center space-x-2">
+          {availableProviders.length > 1 && (
+            <select
+              value={activeProvider.id}
+              onChange={(e) => handleProviderChange(e.target.value)}
+              disabled={isLoading}
+              className="glass-input p-2 rounded-lg text-sm text-white"
+              title="AI provider"
+            >
+              {availableProviders.map((provider) => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.name}
+                </option>
+              ))}
+            </select>
+          )}
+
+          <button
+            onClick={() => setShowSystemPrompt(!showSystemPrompt)}
+            className={`glass-button p-2 rounded-lg transition-colors ${
+              showSystemPrompt || activeChatSession.systemInstruction
+                ? 'bg-blue-500/30 text-blue-300'
+                : 'text-white hover:bg-white/20'
+            }`}
+            title={activeChatSession.systemInstruction ? 'System instructions (custom)' : 'System instructions'}
+          >
+            <ScrollText className="h-4 w-4" />
+          </button>
+
+          <button
+            onClick={() => setShowSettings(!showSettings)}
+            className={`glass-button p-2 rounded-lg transition-colors ${
+              showSettings ? 'bg-blue-500/30 text-blue-300' : 'text-white hover:bg-white/20'
+            }`}
+            title="Chat settings"
+          >
+            <SlidersHorizontal className="h-4 w-4" />
+          </button>
+
+          {branches.length > 1 && (
+            <button
+              onClick={() => setShowBranches(!showBranches)}
+              className={`glass-button p-2 rounded-lg transition-colors ${
+                showBranches ? 'bg-blue-500/30 text-blue-300' : 'text-white hover:bg-white/20'
+              }`}
+              title="Conversation branches"
+            >
+              <GitBranch className="h-4 w-4" />
+            </button>
+          )}
+
           <button
-            onClick={exportChat}
+            onClick={onExportChat}
             className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
             title="Export chat"
           >
@@ -292,8 +648,42 @@ const ChatArea = ({
         </div>
       </div>
 
+      {showSystemPrompt && (
+        <SystemPromptEditor
+          systemInstruction={activeChatSession.systemInstruction}
+          personas={personas}
+          onSave={handleSaveSystemInstruction}
+          onSavePersona={onSavePersona}
+          onDeletePersona={onDeletePersona}
+          onClose={() => setShowSystemPrompt(false)}
+          disabled={isLoading}
+        />
+      )}
+
+      {showBranches && branches.length > 1 && (
+        <BranchNavigator
+          branches={branches}
+          activeLeafId={thread[thread.length - 1]?.id}
+          onSelectBranch={handleSelectBranch}
+          onExportBranch={exportBranch}
+          onClose={() => setShowBranches(false)}
+          disabled={isLoading}
+        />
+      )}
+
+      {showSettings && (
+        <ChatSettingsPanel
+          key={activeProvider.id}
+          generationConfig={getSessionGenerationConfig(activeChatSession)}
+          provider={activeProvider}
+          onSave={handleSaveGenerationConfig}
+          onClose={() => setShowSettings(false)}
+          disabled={isLoading}
+        />
+      )}
+
       <div className="flex-1 overflow-y-auto custom-scrollbar p-4 space-y-4">
-        {activeChatSession.messages.length === 0 ? (
+        {thread.length === 0 ? (
           <div className="flex items-center justify-center h-full">
             <div className="text-center text-white/50">
               <div className="w-16 h-16 mx-auto mb-4 rounded-full bg-white/10 flex items-center justify-center">
@@ -304,14 +694,16 @@ const ChatArea = ({
             </div>
           </div>
         ) : (
-          activeChatSession.messages.map((message) => (
+          thread.map((message, index) => (
             <div
               key={message.id}
+              id={`message-${message.id}`}
               className={`flex ${message.sender === 'user' ? 'justify-end' : 'justify-start'}`}
             >
               <div
                 className={`
-                  max-w-[80%] p-4 rounded-lg relative group
+                  max-w-[80%] p-4 rounded-lg relative group transition-shadow
+                  ${message.id === highlightedMessageId ? 'ring-2 ring-blue-400' : ''}
                   ${message.sender === 'user'
                     ? 'bg-blue-500/20 text-white border border-blue-500/30'
                     : message.isError
@@ -320,20 +712,88 @@ const ChatArea = ({
                   }
                 `}
               >
-                {renderMessageContent(message)}
+                <AttachmentList attachments={message.attachments} />
+
+                {editingMessageId === message.id ? (
+                  <div className="space-y-2">
+                    <textarea
+                      value={editText}
+                      onChange={(e) => setEditText(e.target.value)}
+                      className="glass-input w-full p-2 rounded text-white text-sm resize-y"
+                      rows={3}
+                      autoFocus
+                    />
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        onClick={handleCancelEdit}
+                        className="glass-button px-3 py-1 rounded text-white text-sm"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={() => handleSubmitEdit(message)}
+                        disabled={(!editText.trim() && !message.attachments?.length) || isLoading}
+                        className="bg-blue-500/80 hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-1 rounded text-white text-sm"
+                      >
+                        Save &amp; Submit
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  renderMessageContent(message)
+                )}
+
+                {message.sender !== 'user' && (
+                  <SourceList sources={message.sources} searchQueries={message.searchQueries} />
+                )}
 
                 <div className="flex items-center justify-between mt-2 pt-2 border-t border-white/10">
                   <span className="text-xs text-white/50">
                     {new Date(message.timestamp).toLocaleTimeString()}
+                    {message.isStopped && (
+                      <span className="ml-2 text-yellow-300/80">· Stopped</span>
+                    )}
+                    {message.isPending && (
+                      <span className="ml-2 text-yellow-300/80">· Waiting for connection</span>
+                    )}
                   </span>
 
-                  <button
-                    onClick={() => copyToClipboard(message.text)}
-                    className="opacity-0 group-hover:opacity-100 glass-button p-1 rounded text-white/70 hover:text-white"
-                    title="Copy message"
-                  >
-                    <Copy className="h-3 w-3" />
-                  </button>
+                  <div className="flex items-center space-x-1">
+                    {renderBranchSwitcher(message)}
+                    {renderAlternativeSwitcher(message)}
+
+                    {message.sender === 'user' && editingMessageId !== message.id && (
+                      <button
+                        onClick={() => handleStartEdit(message)}
+                        disabled={isLoading}
+                        className="opacity-0 group-hover:opacity-100 glass-button p-1 rounded text-white/70 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                        title="Edit message (creates a new branch)"
+                      >
+                        <Pencil className="h-3 w-3" />
+                      </button>
+                    )}
+
+                    {message.sender !== 'user' &&
+                      index === thread.length - 1 &&
+                      getPromptForReply(thread, message.id) && (
+                      <button
+                        onClick={() => handleRegenerate(message)}
+                        disabled={isLoading || !isOnline}
+                        className="opacity-0 group-hover:opacity-100 glass-button p-1 rounded text-white/70 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                        title="Regenerate response"
+                      >
+                        <RefreshCw className="h-3 w-3" />
+                      </button>
+                    )}
+
+                    <button
+                      onClick={() => copyToClipboard(message.text)}
+                      className="opacity-0 group-hover:opacity-100 glass-button p-1 rounded text-white/70 hover:text-white"
+                      title="Copy message"
+                    >
+                      <Copy className="h-3 w-3" />
+                    </button>
+                  </div>
                 </div>
               </div>
             </div>
@@ -380,6 +840,14 @@ const ChatArea = ({
       )}
 
       <div className="p-4 border-t border-white/10">
+        <AttachmentList attachments={pendingAttachments} onRemove={handleRemoveAttachment} />
+        {attachmentError && (
+          <p className="text-xs text-red-300 mb-2">{attachmentError}</p>
+        )}
+        {!isOnline && (
+          <p className="text-xs text-yellow-300/80 mb-2">You are offline. Messages will be sent when the connection returns.</p>
+        )}
+
         <div className="flex items-end space-x-2">
           {quickPrompts.length > 0 && (
             <button
@@ -393,12 +861,32 @@ const ChatArea = ({
             </button>
           )}
 
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+            title="Attach files"
+          >
+            <Paperclip className="h-5 w-5" />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept="image/png,image/jpeg,image/webp,image/gif,image/heic,image/heif,application/pdf,text/*,.md,.csv,.json,.js,.jsx,.ts,.tsx,.py,.yaml,.yml,.log"
+            className="hidden"
+            onChange={(e) => {
+              addAttachmentFiles(Array.from(e.target.files || []));
+              e.target.value = '';
+            }}
+          />
+
           <div className="flex-1 relative">
             <textarea
               ref={inputRef}
               value={inputText}
               onChange={(e) => setInputText(e.target.value)}
               onKeyPress={handleKeyPress}
+              onPaste={handlePaste}
               className="glass-input w-full p-3 pr-12 rounded-lg text-white resize-none"
               placeholder="Type your message... (Enter to send, Shift+Enter for new line)"
               rows={1}
@@ -413,17 +901,24 @@ const ChatArea = ({
               }}
             />
 
-            <button
-              onClick={() => handleSendMessage()}
-              disabled={!inputText.trim() || isLoading}
-              className="absolute right-2 bottom-2 glass-button p-2 rounded-lg text-white hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {isLoading ? (
-                <Loader2 className="h-4 w-4 animate-spin" />
-              ) : (
+            {isStreaming ? (
+              <button
+                onClick={handleStopGeneration}
+                className="absolute right-2 bottom-2 glass-button p-2 rounded-lg text-red-300 hover:bg-red-500/20"
+                title="Stop generating"
+              >
+                <Square className="h-4 w-4" />
+              </button>
+            ) : (
+              <button
+                onClick={() => handleSendMessage()}
+                disabled={isLoading || (!inputText.trim() && pendingAttachments.length === 0)}
+                className="absolute right-2 bottom-2 glass-button p-2 rounded-lg text-white hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Send message"
+              >
                 <Send className="h-4 w-4" />
-              )}
-            </button>
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, RotateCcw, X } from 'lucide-react';
+import { DEFAULT_GENERATION_CONFIG } from '../services/chatLogicService.js';
+
+const parseOptionalNumber = (value, parse = parseFloat) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const parsed = parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const toDraft = (config) => ({
+  ...config,
+  temperature: config.temperature ?? '',
+  topK: config.topK ?? '',
+  topP: config.topP ?? '',
+  maxOutputTokens: config.maxOutputTokens ?? '',
+  stopSequences: (config.stopSequences || []).join(', ')
+});
+
+/**
+ * Per-chat model and generation parameter settings
+ */
+const ChatSettingsPanel = ({
+  generationConfig,
+  provider,
+  onSave,
+  onClose,
+  disabled
+}) => {
+  const [draft, setDraft] = useState(() => toDraft(generationConfig));
+
+  const handleChange = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = () => {
+    onSave({
+      model: draft.model.trim(),
+      temperature: parseOptionalNumber(draft.temperature),
+      topK: parseOptionalNumber(draft.topK, v => parseInt(v, 10)),
+      topP: parseOptionalNumber(draft.topP),
+      maxOutputTokens: parseOptionalNumber(draft.maxOutputTokens, v => parseInt(v, 10)),
+      stopSequences: draft.stopSequences
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean),
+      searchEnabled: draft.searchEnabled
+    });
+  };
+
+  const handleReset = () => {
+    setDraft(toDraft(DEFAULT_GENERATION_CONFIG));
+  };
+
+  return (
+    <div className="p-4 border-b border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-white flex items-center">
+          <SlidersHorizontal className="h-4 w-4 mr-2" />
+          Chat Settings
+          <span className="ml-2 text-xs text-white/50">({provider.name})</span>
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-white/50 hover:text-white"
+          title="Close settings"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {/* Model */}
+        <div className="sm:col-span-2">
+          <label className="block text-xs text-white/70 mb-1">Model</label>
+          <input
+            type="text"
+            list={`models-${provider.id}`}
+            value={draft.model}
+            onChange={(e) => handleChange('model', e.target.value)}
+            className="glass-input w-full p-2 rounded text-white text-sm"
+            placeholder={`Default (${provider.defaultModel})`}
+          />
+          <datalist id={`models-${provider.id}`}>
+            {(provider.suggestedModels || []).map((model) => (
+              <option key={model} value={model} />
+            ))}
+          </datalist>
+        </div>
+
+        {/* Temperature */}
+        <div>
+          <label className="block text-xs text-white/70 mb-1">Temperature (0-2)</label>
+          <input
+            type="number"
+            min="0"
+            max="2"
+            step="0.1"
+            value={draft.temperature}
+            onChange={(e) => handleChange('temperature', e.target.value)}
+            className="glass-input w-full p-2 rounded text-white text-sm"
+            placeholder="Default"
+          />
+        </div>
+
+        {/* Max Tokens */}
+        <div>
+          <label className="block text-xs text-white/70 mb-1">Max output tokens</label>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={draft.maxOutputTokens}
+            onChange={(e) => handleChange('maxOutputTokens', e.target.value)}
+            className="glass-input w-full p-2 rounded text-white text-sm"
+            placeholder="Default"
+          />
+        </div>
+
+        {/* Top P */}
+        <div>
+          <label className="block text-xs text-white/70 mb-1">Top P (0-1)</label>
+          <input
+            type="number"
+            min="0"
+            max="1"
+            step="0.05"
+            value={draft.topP}
+            onChange={(e) => handleChange('topP', e.target.value)}
+            className="glass-input w-full p-2 rounded text-white text-sm"
+            placeholder="Default"
+          />
+        </div>
+
+        {/* Top K */}
+        <div>
+          <label className="block text-xs text-white/70 mb-1">Top K</label>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={draft.topK}
+            onChange={(e) => handleChange('topK', e.target.value)}
+            disabled={!provider.capabilities?.topK}
+            className="glass-input w-full p-2 rounded text-white text-sm disabled:opacity-50"
+            placeholder={provider.capabilities?.topK ? 'Default' : 'Not supported'}
+          />
+        </div>
+
+        {/* Stop Sequences */}
+        <div className="sm:col-span-2">
+          <label className="block text-xs text-white/70 mb-1">Stop sequences (comma separated)</label>
+          <input
+            type="text"
+            value={draft.stopSequences}
+            onChange={(e) => handleChange('stopSequences', e.target.value)}
+            className="glass-input w-full p-2 rounded text-white text-sm"
+            placeholder="None"
+          />
+        </div>
+
+        {/* Search Tool */}
+        <label className="flex items-center text-sm text-white/80 sm:col-span-2">
+          <input
+            type="checkbox"
+            checked={draft.searchEnabled}
+            onChange={(e) => handleChange('searchEnabled', e.target.checked)}
+            disabled={!provider.capabilities?.search}
+            className="mr-2"
+          />
+          Allow web search
+          {!provider.capabilities?.search && (
+            <span className="ml-2 text-xs text-white/50">(not supported by this provider)</span>
+          )}
+        </label>
+      </div>
+
+      <div className="flex justify-end space-x-2 mt-3">
+        <button
+          onClick={handleReset}
+          className="glass-button px-3 py-1 rounded text-white text-sm flex items-center"
+        >
+          <RotateCcw className="h-3 w-3 mr-1" />
+          Reset
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={disabled}
+          className="bg-blue-500/80 hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-1 rounded text-white text-sm"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChatSettingsPanel;
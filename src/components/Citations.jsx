@@ -0,0 +1,87 @@
+import React from 'react';
+import { ExternalLink, Globe, Search } from 'lucide-react';
+import { isWebUrl } from '../services/messageContentService.js';
+
+const getDomain = (uri) => {
+  try {
+    return new URL(uri).hostname.replace(/^www\./, '');
+  } catch {
+    return uri;
+  }
+};
+
+/**
+ * Source cards and search queries for a grounded answer
+ */
+const SourceList = ({ sources = [], searchQueries = [] }) => {
+  if (sources.length === 0 && searchQueries.length === 0) return null;
+
+  return (
+    <div className="mt-4 pt-3 border-t border-white/10 space-y-3">
+      {sources.length > 0 && (
+        <div>
+          <h4 className="text-xs font-medium text-white/70 mb-2 flex items-center">
+            <Globe className="h-3 w-3 mr-1" />
+            Sources
+          </h4>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {sources.map((source, index) => {
+              const content = (
+                <>
+                  <span className="text-xs text-blue-300 font-medium">[{index + 1}]</span>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-xs text-white truncate">{source.title}</p>
+                    {getDomain(source.uri) !== source.title && (
+                      <p className="text-xs text-white/50 truncate">{getDomain(source.uri)}</p>
+                    )}
+                  </div>
+                </>
+              );
+
+              // Sources can come from imported files, so only web addresses become links
+              if (!isWebUrl(source.uri)) {
+                return (
+                  <div key={`${source.uri}-${index}`} className="glass-button p-2 rounded text-left flex items-start space-x-2">
+                    {content}
+                  </div>
+                );
+              }
+
+              return (
+                <a
+                  key={`${source.uri}-${index}`}
+                  href={source.uri}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="glass-button p-2 rounded text-left hover:bg-white/20 flex items-start space-x-2"
+                >
+                  {content}
+                  <ExternalLink className="h-3 w-3 text-white/50 flex-shrink-0" />
+                </a>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {searchQueries.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Search className="h-3 w-3 text-white/50" />
+          {searchQueries.map((query) => (
+            <a
+              key={query}
+              href={`https://www.google.com/search?q=${encodeURIComponent(query)}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="px-2 py-1 rounded-full text-xs bg-white/10 text-white/80 hover:bg-white/20"
+            >
+              {query}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SourceList;
@@ -1,5 +1,6 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { Download, Maximize2, Minimize2 } from 'lucide-react';
+import { loadMermaid, renderMermaidSvg } from '../services/mermaidService.js';
 
 /**
  * Diagram renderer component using Mermaid.js
@@ -15,55 +16,13 @@ const DiagramRenderer = ({
   const [isLoading, setIsLoading] = useState(true);
 
   useEffect(() => {
-    if (!window.mermaid) {
-      loadMermaid();
-    } else {
-      renderDiagram();
-    }
-  }, [diagramText]);
-
-  const loadMermaid = () => {
-    const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/mermaid@10.6.1/dist/mermaid.min.js';
-    script.onload = () => {
-      window.mermaid.initialize({
-        startOnLoad: false,
-        theme: 'dark',
-        themeVariables: {
-          primaryColor: '#3b82f6',
-          primaryTextColor: '#ffffff',
-          primaryBorderColor: '#1e40af',
-          lineColor: '#6b7280',
-          sectionBkgColor: '#1f2937',
-          altSectionBkgColor: '#374151',
-          gridColor: '#4b5563',
-          secondaryColor: '#8b5cf6',
-          tertiaryColor: '#10b981'
-        },
-        flowchart: {
-          htmlLabels: true,
-          curve: 'basis'
-        },
-        sequence: {
-          diagramMarginX: 50,
-          diagramMarginY: 10,
-          actorMargin: 50,
-          width: 150,
-          height: 65,
-          boxMargin: 10,
-          boxTextMargin: 5,
-          noteMargin: 10,
-          messageMargin: 35
-        }
+    loadMermaid()
+      .then(renderDiagram)
+      .catch(() => {
+        setError('Failed to load Mermaid library');
+        setIsLoading(false);
       });
-      renderDiagram();
-    };
-    script.onerror = () => {
-      setError('Failed to load Mermaid library');
-      setIsLoading(false);
-    };
-    document.head.appendChild(script);
-  };
+  }, [diagramText]);
 
   const renderDiagram = async () => {
     if (!diagramRef.current || !window.mermaid || !diagramText) {
@@ -78,13 +37,8 @@ const DiagramRenderer = ({
       // Clear previous content
       diagramRef.current.innerHTML = '';
 
-      // Generate unique ID for this diagram
-      const diagramId = `diagram-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
       // Validate and render the diagram
-      const { svg } = await window.mermaid.render(diagramId, diagramText);
-      
-      diagramRef.current.innerHTML = svg;
+      diagramRef.current.innerHTML = await renderMermaidSvg(diagramText);
       setIsLoading(false);
     } catch (err) {
       console.error('Mermaid rendering error:', err);
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { ShieldCheck, Lock, Loader2, AlertTriangle } from 'lucide-react';
+import {
+  AUTO_LOCK_OPTIONS,
+  isEncryptionEnabled,
+  getAutoLockMinutes,
+  setAutoLockMinutes,
+  enableEncryption,
+  disableEncryption,
+  lock
+} from '../services/encryptionService.js';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Turn passphrase encryption of stored conversations on or off and set the auto-lock timeout
+ */
+const EncryptionDialog = ({ isOpen, onClose }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [autoLockMinutes, setAutoLockMinutesState] = useState(getAutoLockMinutes);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isEnabled = isEncryptionEnabled();
+
+  const runTask = async (task) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      await task();
+      setPassphrase('');
+      setConfirmation('');
+    } catch (err) {
+      console.error('Error changing encryption:', err);
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleEnable = () => {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+    if (passphrase !== confirmation) {
+      setError('The passphrases do not match.');
+      return;
+    }
+    runTask(() => enableEncryption(passphrase));
+  };
+
+  const handleDisable = () => runTask(() => disableEncryption(passphrase));
+
+  const handleAutoLockChange = (minutes) => {
+    setAutoLockMinutes(minutes);
+    setAutoLockMinutesState(minutes);
+  };
+
+  const handleLockNow = () => {
+    handleClose();
+    lock();
+  };
+
+  const handleClose = () => {
+    setPassphrase('');
+    setConfirmation('');
+    setError(null);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="glass-panel p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[80vh] overflow-y-auto custom-scrollbar">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <ShieldCheck className="h-6 w-6 mr-2" />
+            Encryption
+          </h2>
+          <button
+            onClick={handleClose}
+            className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+          >
+            ×
+          </button>
+        </div>
+
+        <p className="text-sm text-white/60 mb-4">
+          Encrypts chats, attachment files, quick prompts, personas and the search index on this device with a passphrase.
+          Backups are encrypted with the same passphrase; exports and chats sent to a sync server are not.
+          A forgotten passphrase cannot be recovered.
+        </p>
+
+        {isEnabled ? (
+          <div className="space-y-6">
+            <label className="flex items-center justify-between text-sm text-white/80">
+              Lock after inactivity
+              <select
+                value={autoLockMinutes}
+                onChange={(e) => handleAutoLockChange(Number(e.target.value))}
+                className="glass-input px-2 py-1 rounded text-white text-sm"
+              >
+                {AUTO_LOCK_OPTIONS.map(minutes => (
+                  <option key={minutes} value={minutes} className="bg-gray-800">
+                    {minutes ? `${minutes} minutes` : 'Never'}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <button
+              onClick={handleLockNow}
+              className="glass-button w-full py-2 rounded-lg text-white hover:bg-white/20 flex items-center justify-center"
+            >
+              <Lock className="h-4 w-4 mr-2" />
+              Lock now
+            </button>
+
+            <section>
+              <h3 className="text-white font-medium mb-2">Turn off encryption</h3>
+              <input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder="Current passphrase"
+                className="glass-input w-full px-3 py-2 rounded text-white mb-3"
+              />
+              <button
+                onClick={handleDisable}
+                disabled={isWorking || !passphrase}
+                className="glass-button w-full py-2 rounded-lg text-red-300 hover:bg-red-500/20 disabled:opacity-50 flex items-center justify-center"
+              >
+                {isWorking && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Decrypt and turn off
+              </button>
+            </section>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Passphrase"
+              className="glass-input w-full px-3 py-2 rounded text-white"
+            />
+            <input
+              type="password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              placeholder="Repeat passphrase"
+              className="glass-input w-full px-3 py-2 rounded text-white"
+            />
+            <button
+              onClick={handleEnable}
+              disabled={isWorking || !passphrase}
+              className="glass-button w-full py-2 rounded-lg text-white hover:bg-white/20 disabled:opacity-50 flex items-center justify-center"
+            >
+              {isWorking && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Encrypt my data
+            </button>
+          </div>
+        )}
+
+        {error && (
+          <div className="mt-4 p-3 rounded bg-red-500/20 text-red-200 text-sm flex items-start">
+            <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EncryptionDialog;
@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react';
+import { Download, Loader2, AlertTriangle } from 'lucide-react';
+import { EXPORT_FORMATS, exportChats } from '../services/exportService.js';
+import { printChatAsPDF } from '../services/htmlExportService.js';
+import { getActiveThread } from '../services/chatLogicService.js';
+
+const FORMAT_OPTIONS = [
+  ...Object.entries(EXPORT_FORMATS).map(([id, { label }]) => ({ id, label })),
+  { id: 'pdf', label: 'PDF (print)' }
+];
+
+/**
+ * Export one, several or all chats as JSON, Markdown, HTML, PDF or plain text
+ */
+const ExportDialog = ({ isOpen, onClose, chatSessions, initialSelectedId }) => {
+  const [format, setFormat] = useState('markdown');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setSelectedIds(initialSelectedId ? [initialSelectedId] : []);
+      setError(null);
+    }
+  }, [isOpen, initialSelectedId]);
+
+  const toggleSession = (id) => {
+    setSelectedIds(ids => ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id]);
+  };
+
+  const allSelected = chatSessions.length > 0 && selectedIds.length === chatSessions.length;
+  const canPrint = selectedIds.length === 1;
+  const canExport = selectedIds.length > 0 && (format !== 'pdf' || canPrint);
+
+  const handleExport = async () => {
+    if (!canExport || isExporting) return;
+
+    setIsExporting(true);
+    setError(null);
+
+    try {
+      // Keep the sidebar order rather than the order chats were ticked
+      const sessions = chatSessions.filter(s => selectedIds.includes(s.id));
+
+      if (format === 'pdf') {
+        await printChatAsPDF(sessions[0].title, getActiveThread(sessions[0]));
+      } else {
+        await exportChats(sessions, format);
+      }
+      onClose();
+    } catch (err) {
+      console.error('Error exporting chats:', err);
+      setError(err.message || 'Failed to export chats');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="glass-panel p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Download className="h-6 w-6 mr-2" />
+            Export Chats
+          </h2>
+          <button
+            onClick={onClose}
+            className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="mb-4">
+          <p className="text-sm text-white/70 mb-2">Format</p>
+          <div className="flex flex-wrap gap-2">
+            {FORMAT_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setFormat(option.id)}
+                className={`glass-button px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                  format === option.id ? 'bg-blue-500/30 text-blue-300' : 'text-white hover:bg-white/20'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-white/50 mt-2">
+            {format === 'json'
+              ? 'Includes every branch and can be imported again.'
+              : 'Contains the active branch of each chat.'}
+            {format === 'pdf' && ' Choose "Save as PDF" in the print dialog.'}
+            {selectedIds.length > 1 && format !== 'pdf' && ' Several chats are downloaded as a zip.'}
+          </p>
+        </div>
+
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-sm text-white/70">
+            Chats ({selectedIds.length} of {chatSessions.length} selected)
+          </p>
+          <button
+            onClick={() => setSelectedIds(allSelected ? [] : chatSessions.map(s => s.id))}
+            className="text-xs text-blue-300 hover:text-blue-200"
+          >
+            {allSelected ? 'Select none' : 'Select all'}
+          </button>
+        </div>
+
+        <div className="flex-1 min-h-0 overflow-y-auto custom-scrollbar space-y-1 mb-4">
+          {chatSessions.map(session => (
+            <label
+              key={session.id}
+              className="flex items-center p-2 rounded hover:bg-white/10 cursor-pointer text-sm text-white"
+            >
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(session.id)}
+                onChange={() => toggleSession(session.id)}
+                className="mr-3"
+              />
+              <span className="truncate flex-1">{session.title}</span>
+              <span className="text-xs text-white/50 ml-2">
+                {new Date(session.lastUpdatedAt).toLocaleDateString()}
+              </span>
+            </label>
+          ))}
+        </div>
+
+        {format === 'pdf' && selectedIds.length > 1 && (
+          <p className="text-xs text-yellow-200 mb-3">PDF export prints one chat at a time.</p>
+        )}
+
+        {error && (
+          <div className="mb-3 p-3 rounded bg-red-500/20 text-red-200 text-sm flex items-start">
+            <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        <button
+          onClick={handleExport}
+          disabled={!canExport || isExporting}
+          className="glass-button w-full py-2 rounded-lg text-white hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+        >
+          {isExporting ? (
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <Download className="h-4 w-4 mr-2" />
+          )}
+          {isExporting ? 'Exporting...' : 'Export'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,131 @@
+import React, { useRef, useState } from 'react';
+import { Upload, Loader2, CheckCircle, AlertTriangle } from 'lucide-react';
+import { importChatsFromFile } from '../services/importService.js';
+
+/**
+ * Import chats from our own exports, ChatGPT or Claude
+ */
+const ImportDialog = ({ isOpen, onClose, onImported }) => {
+  const [isImporting, setIsImporting] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleFile = async (file) => {
+    if (!file || isImporting) return;
+
+    setIsImporting(true);
+    setResult(null);
+    setError(null);
+
+    try {
+      const importResult = await importChatsFromFile(file);
+      setResult(importResult);
+      if (importResult.imported.length > 0) {
+        onImported(importResult.imported);
+      }
+    } catch (err) {
+      console.error('Error importing chats:', err);
+      setError(err.message || 'Failed to import chats');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleClose = () => {
+    setResult(null);
+    setError(null);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="glass-panel p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[80vh] overflow-y-auto custom-scrollbar">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Upload className="h-6 w-6 mr-2" />
+            Import Chats
+          </h2>
+          <button
+            onClick={handleClose}
+            className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+          >
+            ×
+          </button>
+        </div>
+
+        <div
+          onClick={() => fileInputRef.current?.click()}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setIsDragging(false);
+            handleFile(e.dataTransfer.files[0]);
+          }}
+          className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors ${
+            isDragging ? 'border-blue-400 bg-blue-500/10' : 'border-white/30 hover:bg-white/5'
+          }`}
+        >
+          {isImporting ? (
+            <Loader2 className="h-8 w-8 mx-auto mb-2 text-white animate-spin" />
+          ) : (
+            <Upload className="h-8 w-8 mx-auto mb-2 text-white/70" />
+          )}
+          <p className="text-white text-sm">
+            {isImporting ? 'Importing...' : 'Drop a file here or click to choose one'}
+          </p>
+          <p className="text-white/50 text-xs mt-2">
+            Patel Chat JSON, Markdown or zip exports, ChatGPT <code>conversations.json</code>, or a ChatGPT/Claude export archive (.zip)
+          </p>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.md,.markdown,.zip,application/json,application/zip,text/markdown"
+            className="hidden"
+            onChange={(e) => {
+              handleFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </div>
+
+        {error && (
+          <div className="mt-4 p-3 rounded bg-red-500/20 text-red-200 text-sm flex items-start">
+            <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {result && (
+          <div className="mt-4 space-y-2">
+            <div className="p-3 rounded bg-green-500/20 text-green-100 text-sm flex items-start">
+              <CheckCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+              <span>
+                Imported {result.imported.length} chat{result.imported.length !== 1 ? 's' : ''}
+                {result.duplicates > 0 && `, skipped ${result.duplicates} already in your history`}.
+              </span>
+            </div>
+
+            {result.errors.length > 0 && (
+              <div className="p-3 rounded bg-yellow-500/20 text-yellow-100 text-xs space-y-1">
+                <p className="font-medium">{result.errors.length} conversation{result.errors.length !== 1 ? 's' : ''} could not be read:</p>
+                {result.errors.slice(0, 5).map((message, index) => (
+                  <p key={index} className="truncate" title={message}>{message}</p>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Lock, Loader2 } from 'lucide-react';
+import { unlock } from '../services/encryptionService.js';
+
+/**
+ * Full-screen passphrase prompt shown while stored conversations are encrypted and locked
+ */
+const LockScreen = () => {
+  const [passphrase, setPassphrase] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase) return;
+
+    setIsUnlocking(true);
+    setError(null);
+    try {
+      // The app listens for the unlock itself; this screen just goes away
+      await unlock(passphrase);
+    } catch (err) {
+      setError(err.message || 'Could not unlock');
+      setPassphrase('');
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  return (
+    <div className="gradient-background flex items-center justify-center min-h-screen p-4">
+      <form onSubmit={handleSubmit} className="glass-panel p-8 rounded-lg w-full max-w-sm text-center">
+        <Lock className="h-12 w-12 text-white mx-auto mb-4" />
+        <h2 className="text-xl font-semibold text-white mb-2">Patel Chat is locked</h2>
+        <p className="text-white/70 text-sm mb-6">Enter your passphrase to decrypt your conversations.</p>
+
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase"
+          autoFocus
+          className="glass-input w-full px-3 py-2 rounded text-white mb-3"
+        />
+
+        {error && <p className="text-red-300 text-sm mb-3">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={isUnlocking || !passphrase}
+          className="glass-button w-full py-2 rounded-lg text-white hover:bg-white/20 disabled:opacity-50 flex items-center justify-center"
+        >
+          {isUnlocking && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+          Unlock
+        </button>
+
+        <p className="text-white/50 text-xs mt-4">
+          A forgotten passphrase cannot be recovered; a backup made before it was set can still be restored.
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default LockScreen;
@@ -0,0 +1,127 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
+// Selecting rendered math copies its LaTeX source
+import 'katex/contrib/copy-tex';
+import ChartRenderer from './ChartRenderer.jsx';
+import CodeEditor from './CodeEditor.jsx';
+import DiagramRenderer from './DiagramRenderer.jsx';
+import MathBlock from './MathBlock.jsx';
+import { createFenceSegment } from '../services/messageContentService.js';
+import { remarkSingleDollarMath } from '../services/mathSyntaxService.js';
+
+const getCodeLanguage = (codeNode) => {
+  const className = codeNode.properties?.className || [];
+  const languageClass = className.find(name => String(name).startsWith('language-'));
+  return languageClass ? languageClass.slice('language-'.length) : '';
+};
+
+const getCodeText = (codeNode) => {
+  return codeNode.children.map(child => child.value || '').join('').replace(/\n$/, '');
+};
+
+/**
+ * Rich renderer for a non-text message segment
+ */
+export const RichBlock = ({ segment }) => {
+  switch (segment.type) {
+    case 'diagram':
+      return <DiagramRenderer diagramText={segment.content} title="Diagram" />;
+    case 'chart':
+      return <ChartRenderer {...segment.config} />;
+    case 'math':
+      return <MathBlock latex={segment.content} />;
+    default:
+      return (
+        <CodeEditor
+          initialCode={segment.content}
+          language={segment.language}
+          readOnly={true}
+          title={`${segment.language} Code`}
+        />
+      );
+  }
+};
+
+/**
+ * Fenced blocks nested in Markdown (e.g. inside list items) get the same rich renderers
+ */
+const FencedBlock = ({ node, children }) => {
+  const codeNode = node?.children?.find(child => child.tagName === 'code');
+  if (!codeNode) return <pre>{children}</pre>;
+
+  return <RichBlock segment={createFenceSegment(getCodeLanguage(codeNode), getCodeText(codeNode))} />;
+};
+
+/**
+ * Links open in a new tab, except in-page footnote links. Citation links
+ * (text like "[1]") render as superscript markers.
+ */
+const MarkdownLink = ({ href = '', title, id, children }) => {
+  if (href.startsWith('#')) {
+    return <a href={href} id={id}>{children}</a>;
+  }
+
+  const isCitation = typeof children === 'string' && /^\[\d+\]$/.test(children);
+  const link = (
+    <a
+      href={href}
+      title={title}
+      target="_blank"
+      rel="noopener noreferrer"
+      className={isCitation ? 'citation-link' : undefined}
+    >
+      {children}
+    </a>
+  );
+
+  return isCitation ? <sup className="ml-0.5">{link}</sup> : link;
+};
+
+// remark-rehype already prefixes footnote ids; prefixing again breaks their links.
+// Math classes must survive sanitizing so rehype-katex, which runs after it, can find them.
+const sanitizeSchema = {
+  ...defaultSchema,
+  clobberPrefix: '',
+  attributes: {
+    ...defaultSchema.attributes,
+    code: [['className', /^language-./, 'math-inline', 'math-display']]
+  }
+};
+
+const components = {
+  pre: FencedBlock,
+  a: MarkdownLink
+};
+
+// Static markup (HTML export) keeps plain code blocks and uses MathML, which
+// needs no KaTeX stylesheet or fonts
+const staticComponents = {
+  a: MarkdownLink
+};
+
+// remark-math handles $$; single-dollar math uses a rule that leaves prices such as "$5 and $10" as text
+const remarkPlugins = [remarkGfm, [remarkMath, { singleDollarTextMath: false }], remarkSingleDollarMath];
+
+/**
+ * Sanitizing GitHub-flavored Markdown renderer for chat messages
+ */
+const MarkdownRenderer = ({ content, isStatic = false }) => {
+  return (
+    <div className="markdown-content">
+      <ReactMarkdown
+        remarkPlugins={remarkPlugins}
+        rehypePlugins={[[rehypeSanitize, sanitizeSchema], [rehypeKatex, { output: isStatic ? 'mathml' : 'htmlAndMathml' }]]}
+        components={isStatic ? staticComponents : components}
+      >
+        {content}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default MarkdownRenderer;
@@ -0,0 +1,41 @@
+import React, { useMemo, useState } from 'react';
+import katex from 'katex';
+import { Copy, Check } from 'lucide-react';
+
+/**
+ * Display math rendered with KaTeX, with a copy-as-LaTeX button
+ */
+const MathBlock = ({ latex }) => {
+  const [copied, setCopied] = useState(false);
+
+  // KaTeX escapes its input and leaves \href/\url disabled unless `trust` is set
+  const html = useMemo(() => katex.renderToString(latex, {
+    displayMode: true,
+    throwOnError: false
+  }), [latex]);
+
+  const copyLatex = async () => {
+    try {
+      await navigator.clipboard.writeText(latex);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (error) {
+      console.error('Failed to copy LaTeX:', error);
+    }
+  };
+
+  return (
+    <div className="group/math relative my-4 px-3 rounded bg-black/10 overflow-x-auto custom-scrollbar">
+      <button
+        onClick={copyLatex}
+        className="absolute top-2 right-2 opacity-0 group-hover/math:opacity-100 glass-button p-1 rounded text-white/70 hover:text-white"
+        title="Copy as LaTeX"
+      >
+        {copied ? <Check className="h-3 w-3" /> : <Copy className="h-3 w-3" />}
+      </button>
+      <div dangerouslySetInnerHTML={{ __html: html }} />
+    </div>
+  );
+};
+
+export default MathBlock;
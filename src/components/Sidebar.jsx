@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { Plus, MessageSquare, Trash2, Search, Zap, Edit3, X } from 'lucide-react';
+import { getActiveThread } from '../services/chatLogicService.js';
 
 const Sidebar = ({
   chatSessions,
@@ -189,53 +190,57 @@ const Sidebar = ({
             ) : (
               /* Chat Sessions List */
               <div className="p-4 space-y-2">
-                {filteredSessions.map((session) => (
-                  <div
-                    key={session.id}
-                    onClick={() => onSelectChat(session.id)}
-                    className={`
-                      glass-panel p-3 rounded-lg cursor-pointer transition-all group hover:bg-white/10
-                      ${activeChatSessionId === session.id ? 'bg-white/20 border border-white/30' : ''}
-                    `}
-                  >
-                    <div className="flex items-start justify-between">
-                      <div className="flex-1 min-w-0">
-                        <div className="flex items-center space-x-2 mb-1">
-                          <MessageSquare className="h-4 w-4 text-white/70 flex-shrink-0" />
-                          <h3 className="text-white font-medium text-sm truncate">
-                            {session.title}
-                          </h3>
+                {filteredSessions.map((session) => {
+                  const thread = getActiveThread(session);
+
+                  return (
+                    <div
+                      key={session.id}
+                      onClick={() => onSelectChat(session.id)}
+                      className={`
+                        glass-panel p-3 rounded-lg cursor-pointer transition-all group hover:bg-white/10
+                        ${activeChatSessionId === session.id ? 'bg-white/20 border border-white/30' : ''}
+                      `}
+                    >
+                      <div className="flex items-start justify-between">
+                        <div className="flex-1 min-w-0">
+                          <div className="flex items-center space-x-2 mb-1">
+                            <MessageSquare className="h-4 w-4 text-white/70 flex-shrink-0" />
+                            <h3 className="text-white font-medium text-sm truncate">
+                              {session.title}
+                            </h3>
+                          </div>
+                          
+                          {thread.length > 0 && (
+                            <p className="text-white/60 text-xs line-clamp-2 mb-2">
+                              {thread[thread.length - 1].text}
+                            </p>
+                          )}
+                          
+                          <div className="flex items-center justify-between text-xs text-white/50">
+                            <span>
+                              {thread.length} message{thread.length !== 1 ? 's' : ''}
+                            </span>
+                            <span>
+                              {new Date(session.lastUpdatedAt).toLocaleDateString()}
+                            </span>
+                          </div>
                         </div>
                         
-                        {session.messages.length > 0 && (
-                          <p className="text-white/60 text-xs line-clamp-2 mb-2">
-                            {session.messages[session.messages.length - 1].text}
-                          </p>
-                        )}
-                        
-                        <div className="flex items-center justify-between text-xs text-white/50">
-                          <span>
-                            {session.messages.length} message{session.messages.length !== 1 ? 's' : ''}
-                          </span>
-                          <span>
-                            {new Date(session.lastUpdatedAt).toLocaleDateString()}
-                          </span>
-                        </div>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onDeleteChat(session.id);
+                          }}
+                          className="opacity-0 group-hover:opacity-100 glass-button p-1 rounded text-red-400 hover:bg-red-500/20 ml-2 flex-shrink-0"
+                          title="Delete chat"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
                       </div>
-                      
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          onDeleteChat(session.id);
-                        }}
-                        className="opacity-0 group-hover:opacity-100 glass-button p-1 rounded text-red-400 hover:bg-red-500/20 ml-2 flex-shrink-0"
-                        title="Delete chat"
-                      >
-                        <Trash2 className="h-4 w-4" />
-                      </button>
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
 
                 {filteredSessions.length === 0 && searchTerm && (
                   <div className="text-center text-white/50 py-8">
@@ -0,0 +1,192 @@
+import React, { useEffect, useState } from 'react';
+import { Cloud, RefreshCw, Loader2, CheckCircle, AlertTriangle } from 'lucide-react';
+import {
+  loadSyncSettings,
+  saveSyncSettings,
+  syncNow,
+  testSyncConnection,
+  getPendingChangeCount
+} from '../services/syncService.js';
+import { isEncryptionEnabled } from '../services/encryptionService.js';
+
+/**
+ * Connect to a self-hosted sync server (server/syncServer.js) and sync chats with it
+ */
+const SyncDialog = ({ isOpen, onClose }) => {
+  const [serverUrl, setServerUrl] = useState('');
+  const [token, setToken] = useState('');
+  const [syncState, setSyncState] = useState(null);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [isWorking, setIsWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const refreshStatus = async () => {
+    const state = await loadSyncSettings();
+    setSyncState(state);
+    setPendingCount(await getPendingChangeCount());
+    return state;
+  };
+
+  useEffect(() => {
+    if (!isOpen) return;
+    refreshStatus().then((state) => {
+      setServerUrl(state.serverUrl);
+      setToken(state.token);
+    });
+  }, [isOpen]);
+
+  const runTask = async (task) => {
+    setIsWorking(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await task();
+    } catch (err) {
+      console.error('Error in sync task:', err);
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setIsWorking(false);
+      await refreshStatus();
+    }
+  };
+
+  const handleConnect = () => runTask(async () => {
+    const status = await testSyncConnection(serverUrl.trim(), token.trim());
+    await saveSyncSettings({ enabled: true, serverUrl: serverUrl.trim(), token: token.trim() });
+    const result = await syncNow();
+    setMessage(`Connected. The server holds ${status.sessions} chats; sent ${result.pushed} and received ${result.pulled} changes.`);
+  });
+
+  const handleSyncNow = () => runTask(async () => {
+    const result = await syncNow();
+    setMessage(`Sent ${result.pushed} and received ${result.pulled} changes.`);
+  });
+
+  const handleDisconnect = () => runTask(async () => {
+    await saveSyncSettings({ enabled: false, serverUrl: syncState.serverUrl, token: syncState.token });
+    setMessage('Sync is off. Chats stay on this device and on the server.');
+  });
+
+  const handleClose = () => {
+    setMessage(null);
+    setError(null);
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  const isEnabled = syncState?.enabled;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="glass-panel p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[80vh] overflow-y-auto custom-scrollbar">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Cloud className="h-6 w-6 mr-2" />
+            Sync
+          </h2>
+          <button
+            onClick={handleClose}
+            className="glass-button p-2 rounded-lg text-white hover:bg-white/20"
+          >
+            ×
+          </button>
+        </div>
+
+        <p className="text-sm text-white/60 mb-4">
+          Keep chat history in step across devices through your own sync server
+          (run <code className="text-white/80">npm run sync-server</code>). Attachment files stay on the device they were added on.
+        </p>
+
+        {isEncryptionEnabled() && (
+          <div className="mb-4 p-3 rounded bg-yellow-500/20 text-yellow-100 text-sm flex items-start">
+            <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+            Passphrase encryption only protects chats on this device. Synced chats are sent to and stored on the server unencrypted.
+          </div>
+        )}
+
+        <div className="space-y-3">
+          <label className="block text-sm text-white/80">
+            Server URL
+            <input
+              type="url"
+              value={serverUrl}
+              onChange={(e) => setServerUrl(e.target.value)}
+              placeholder="https://sync.example.com"
+              disabled={isEnabled}
+              className="glass-input w-full mt-1 px-3 py-2 rounded text-white disabled:opacity-60"
+            />
+          </label>
+          <label className="block text-sm text-white/80">
+            Token
+            <input
+              type="password"
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+              placeholder="SYNC_TOKEN set on the server"
+              disabled={isEnabled}
+              className="glass-input w-full mt-1 px-3 py-2 rounded text-white disabled:opacity-60"
+            />
+          </label>
+        </div>
+
+        {isEnabled ? (
+          <div className="mt-4 space-y-3">
+            <div className="text-sm text-white/60">
+              <p>
+                {syncState.lastSyncedAt
+                  ? `Last synced ${new Date(syncState.lastSyncedAt).toLocaleString()}.`
+                  : 'Not synced yet.'}
+              </p>
+              <p>{pendingCount} chat{pendingCount !== 1 ? 's' : ''} waiting to be sent.</p>
+              {syncState.lastError && <p className="text-red-300">Last attempt failed: {syncState.lastError}</p>}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={handleSyncNow}
+                disabled={isWorking}
+                className="glass-button flex-1 py-2 rounded-lg text-white hover:bg-white/20 disabled:opacity-50 flex items-center justify-center"
+              >
+                {isWorking ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <RefreshCw className="h-4 w-4 mr-2" />}
+                Sync now
+              </button>
+              <button
+                onClick={handleDisconnect}
+                disabled={isWorking}
+                className="glass-button flex-1 py-2 rounded-lg text-red-300 hover:bg-red-500/20 disabled:opacity-50"
+              >
+                Turn off sync
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            onClick={handleConnect}
+            disabled={isWorking || !serverUrl.trim() || !token.trim()}
+            className="glass-button w-full mt-4 py-2 rounded-lg text-white hover:bg-white/20 disabled:opacity-50 flex items-center justify-center"
+          >
+            {isWorking && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Connect and sync
+          </button>
+        )}
+
+        {error && (
+          <div className="mt-4 p-3 rounded bg-red-500/20 text-red-200 text-sm flex items-start">
+            <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="mt-4 p-3 rounded bg-green-500/20 text-green-100 text-sm flex items-start">
+            <CheckCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+            {message}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SyncDialog;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { ScrollText, Save, Trash2, X } from 'lucide-react';
+import { DEFAULT_SYSTEM_INSTRUCTION } from '../services/geminiService.js';
+
+/**
+ * Per-chat system instruction editor with reusable personas
+ */
+const SystemPromptEditor = ({
+  systemInstruction,
+  personas,
+  onSave,
+  onSavePersona,
+  onDeletePersona,
+  onClose,
+  disabled
+}) => {
+  const [draft, setDraft] = useState(systemInstruction || '');
+  const [selectedPersonaId, setSelectedPersonaId] = useState(
+    () => personas.find(p => p.systemInstruction === systemInstruction)?.id || ''
+  );
+  const [personaName, setPersonaName] = useState('');
+
+  const selectedPersona = personas.find(p => p.id === selectedPersonaId) || null;
+
+  const handlePersonaSelect = (personaId) => {
+    setSelectedPersonaId(personaId);
+    const persona = personas.find(p => p.id === personaId);
+    setDraft(persona ? persona.systemInstruction : '');
+  };
+
+  const handleSavePersona = () => {
+    if (!personaName.trim() || !draft.trim()) return;
+
+    const persona = {
+      id: `persona-${Date.now()}`,
+      name: personaName.trim(),
+      systemInstruction: draft,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    onSavePersona(persona);
+    setSelectedPersonaId(persona.id);
+    setPersonaName('');
+  };
+
+  const handleUpdatePersona = () => {
+    if (!selectedPersona || !draft.trim()) return;
+
+    onSavePersona({
+      ...selectedPersona,
+      systemInstruction: draft,
+      updatedAt: Date.now()
+    });
+  };
+
+  const handleDeletePersona = () => {
+    if (!selectedPersona) return;
+    if (!confirm(`Delete persona "${selectedPersona.name}"?`)) return;
+
+    onDeletePersona(selectedPersona.id);
+    setSelectedPersonaId('');
+  };
+
+  return (
+    <div className="p-4 border-b border-white/10">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-white flex items-center">
+          <ScrollText className="h-4 w-4 mr-2" />
+          System Instructions
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-white/50 hover:text-white"
+          title="Close system instructions"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {/* Persona Selection */}
+      <div className="flex items-center space-x-2 mb-2">
+        <select
+          value={selectedPersonaId}
+          onChange={(e) => handlePersonaSelect(e.target.value)}
+          className="glass-input flex-1 p-2 rounded text-white text-sm"
+        >
+          <option value="">Default assistant</option>
+          {personas.map((persona) => (
+            <option key={persona.id} value={persona.id}>
+              {persona.name}
+            </option>
+          ))}
+        </select>
+        {selectedPersona && (
+          <>
+            <button
+              onClick={handleUpdatePersona}
+              disabled={!draft.trim() || draft === selectedPersona.systemInstruction}
+              className="glass-button p-2 rounded text-white hover:bg-white/20 disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Update persona with these instructions"
+            >
+              <Save className="h-4 w-4" />
+            </button>
+            <button
+              onClick={handleDeletePersona}
+              className="glass-button p-2 rounded text-red-400 hover:bg-red-500/20"
+              title="Delete persona"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </>
+        )}
+      </div>
+
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        className="glass-input w-full p-2 rounded text-white text-sm resize-y custom-scrollbar"
+        placeholder={`Leave empty to use the default instructions:\n\n${DEFAULT_SYSTEM_INSTRUCTION}`}
+        rows={6}
+      />
+
+      {/* Save as Persona */}
+      <div className="flex items-center space-x-2 mt-2">
+        <input
+          type="text"
+          value={personaName}
+          onChange={(e) => setPersonaName(e.target.value)}
+          className="glass-input flex-1 p-2 rounded text-white text-sm"
+          placeholder="Persona name..."
+        />
+        <button
+          onClick={handleSavePersona}
+          disabled={!personaName.trim() || !draft.trim()}
+          className="glass-button px-3 py-2 rounded text-white text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Save as persona
+        </button>
+      </div>
+
+      <div className="flex justify-end space-x-2 mt-3">
+        <button
+          onClick={() => handlePersonaSelect('')}
+          className="glass-button px-3 py-1 rounded text-white text-sm"
+        >
+          Use default
+        </button>
+        <button
+          onClick={() => onSave(draft.trim() ? draft : '')}
+          disabled={disabled}
+          className="bg-blue-500/80 hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-1 rounded text-white text-sm"
+        >
+          Apply to chat
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SystemPromptEditor;
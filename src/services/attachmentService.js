@@ -0,0 +1,190 @@
+// Attachment service for files sent with chat messages
+
+import { getAttachment, saveAttachment } from './indexedDBService.js';
+
+// Inline request data is capped at 20 MB and base64 adds a third on top
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const MAX_MESSAGE_ATTACHMENT_BYTES = 14 * 1024 * 1024;
+// Shared by the new message and the history it is sent with
+export const MAX_REQUEST_ATTACHMENT_BYTES = 14 * 1024 * 1024;
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'markdown', 'csv', 'json', 'js', 'jsx', 'ts', 'tsx', 'py', 'html', 'css', 'xml', 'yaml', 'yml', 'log'];
+
+const getExtension = (name = '') => {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+};
+
+/**
+ * Classify an attachment by MIME type, or by file extension for source and
+ * data files that browsers report with no or an application/* type
+ * @param {string} mimeType - MIME type
+ * @param {string} [name] - File name
+ * @returns {string|null} 'image', 'pdf', 'text', or null if unsupported
+ */
+export const getAttachmentKind = (mimeType = '', name = '') => {
+  if (/^image\/(png|jpeg|webp|heic|heif|gif)$/.test(mimeType)) return 'image';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('text/') || mimeType === 'application/json') return 'text';
+  if (TEXT_EXTENSIONS.includes(getExtension(name))) return 'text';
+  return null;
+};
+
+/**
+ * Check a file before it is attached to a draft message
+ * @param {File} file - Dropped, pasted or picked file
+ * @returns {string|null} Error message, or null if the file can be attached
+ */
+export const validateAttachmentFile = (file) => {
+  if (!getAttachmentKind(file.type, file.name)) {
+    return `${file.name} is not a supported file type. Attach images, PDFs or text files.`;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name} is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB.`;
+  }
+  return null;
+};
+
+/**
+ * Store a file as a blob and return the metadata kept on the message
+ * @param {File} file - File to store
+ * @param {string} chatId - Chat session the attachment belongs to
+ * @returns {Promise<Object>} Attachment metadata `{ id, name, mimeType, size }`
+ */
+export const createAttachment = async (file, chatId) => {
+  const attachment = {
+    id: `att-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: file.name || 'pasted-file',
+    mimeType: file.type || (getAttachmentKind(file.type, file.name) === 'text' ? 'text/plain' : ''),
+    size: file.size
+  };
+
+  await saveAttachment({
+    ...attachment,
+    chatId,
+    blob: file,
+    createdAt: Date.now()
+  });
+
+  return attachment;
+};
+
+/**
+ * Base64-encode a blob without the data URL prefix
+ * @param {Blob} blob - Blob to encode
+ * @returns {Promise<string>} Base64 data
+ */
+export const blobToBase64 = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  const chunkSize = 0x8000;
+
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+
+  return btoa(binary);
+};
+
+/**
+ * Load stored attachments as base64 inline data for a provider request.
+ * Attachments whose blob is gone are skipped.
+ * @param {Array} attachments - Attachment metadata from a message
+ * @returns {Promise<Array>} `{ name, mimeType, kind, data }` entries
+ */
+export const loadAttachmentData = async (attachments = []) => {
+  const loaded = await Promise.all(attachments.map(async (attachment) => {
+    try {
+      const stored = await getAttachment(attachment.id);
+      if (!stored?.blob) return null;
+
+      const kind = getAttachmentKind(attachment.mimeType, attachment.name);
+      return {
+        name: attachment.name,
+        // Code and data files are all plain text to the model
+        mimeType: kind === 'text' ? 'text/plain' : attachment.mimeType,
+        kind,
+        data: await blobToBase64(stored.blob)
+      };
+    } catch (error) {
+      console.error('Error loading attachment:', error);
+      return null;
+    }
+  }));
+
+  return loaded.filter(Boolean);
+};
+
+/**
+ * Total size of attachments from their metadata
+ * @param {Array} [attachments] - Attachment metadata
+ * @returns {number} Bytes
+ */
+export const getAttachmentsSize = (attachments = []) => {
+  return attachments.reduce((sum, attachment) => sum + (attachment.size || 0), 0);
+};
+
+/**
+ * Attach inline data to history messages that carry attachments, newest
+ * first, while they fit in `budget`. Older attachments that no longer fit
+ * are left out and named in their message's text instead.
+ * @param {Array} history - Chat history
+ * @param {number} [budget] - Bytes the history attachments may add up to
+ * @returns {Promise<Array>} History with `attachmentData` on messages that had attachments
+ */
+export const loadHistoryAttachments = (history, budget = MAX_REQUEST_ATTACHMENT_BYTES) => {
+  let remaining = budget;
+  const keptIds = new Set();
+
+  [...history].reverse().forEach((message) => {
+    (message.attachments || []).forEach((attachment) => {
+      if ((attachment.size || 0) > remaining) return;
+      remaining -= attachment.size || 0;
+      keptIds.add(attachment.id);
+    });
+  });
+
+  return Promise.all(history.map(async (message) => {
+    if (!message.attachments?.length) return message;
+
+    const kept = message.attachments.filter(attachment => keptIds.has(attachment.id));
+    const omitted = message.attachments.filter(attachment => !keptIds.has(attachment.id));
+    const note = omitted.length
+      ? `\n\n[Attached earlier but not resent, to keep the request within the size limit: ${omitted.map(a => a.name).join(', ')}]`
+      : '';
+
+    return { ...message, text: `${message.text || ''}${note}`, attachmentData: await loadAttachmentData(kept) };
+  }));
+};
+
+/**
+ * Decode a text attachment's base64 data
+ * @param {string} data - Base64 data
+ * @returns {string} UTF-8 text
+ */
+export const decodeAttachmentText = (data) => {
+  const binary = atob(data);
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Get the stored blob for an attachment
+ * @param {string} id - Attachment id
+ * @returns {Promise<Blob|null>} Blob, or null if it is gone
+ */
+export const getAttachmentBlob = async (id) => {
+  const stored = await getAttachment(id);
+  return stored?.blob || null;
+};
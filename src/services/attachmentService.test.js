@@ -0,0 +1,52 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+
+vi.stubGlobal('localStorage', {
+  getItem: () => null,
+  setItem: () => {},
+  removeItem: () => {}
+});
+
+const { initDB } = await import('./indexedDBService.js');
+const { createAttachment, loadHistoryAttachments, decodeAttachmentText, blobToBase64 } = await import('./attachmentService.js');
+
+const textFile = (name, text) => new File([text], name, { type: 'text/plain' });
+
+describe('blobToBase64', () => {
+  it('encodes a blob without a data URL prefix', async () => {
+    expect(await blobToBase64(new Blob(['hello']))).toBe('aGVsbG8=');
+  });
+});
+
+describe('loadHistoryAttachments', () => {
+  beforeAll(() => initDB());
+
+  it('keeps the newest attachments that fit and names the rest', async () => {
+    const oldest = await createAttachment(textFile('old.txt', 'oldest'), 'chat-1');
+    const middle = await createAttachment(textFile('middle.txt', 'middle'), 'chat-1');
+    const newest = await createAttachment(textFile('new.txt', 'newest'), 'chat-1');
+    const history = [
+      { id: 'm1', sender: 'user', text: 'First file', attachments: [oldest] },
+      { id: 'm2', sender: 'ai', text: 'Got it' },
+      { id: 'm3', sender: 'user', text: 'Two more', attachments: [middle, newest] }
+    ];
+
+    // Room for two of the three six-byte files
+    const loaded = await loadHistoryAttachments(history, 12);
+
+    expect(loaded[0].attachmentData).toEqual([]);
+    expect(loaded[0].text).toContain('old.txt');
+    expect(loaded[1]).toBe(history[1]);
+    expect(loaded[2].text).toBe('Two more');
+    expect(loaded[2].attachmentData.map(a => decodeAttachmentText(a.data))).toEqual(['middle', 'newest']);
+  });
+
+  it('sends no history attachments when the new message uses the whole budget', async () => {
+    const attachment = await createAttachment(textFile('notes.txt', 'notes'), 'chat-1');
+
+    const [message] = await loadHistoryAttachments([{ id: 'm1', sender: 'user', text: '', attachments: [attachment] }], 0);
+
+    expect(message.attachmentData).toEqual([]);
+    expect(message.text).toContain('notes.txt');
+  });
+});
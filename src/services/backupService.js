@@ -0,0 +1,291 @@
+// Backup service for saving and restoring the whole local database
+
+import { z } from 'zod';
+import { STORES, getAllFromStore, putManyInStore, replaceStores } from './indexedDBService.js';
+import { downloadFile } from './exportService.js';
+import { CURRENT_THEME_KEY } from './themeService.js';
+import { blobToBase64 } from './attachmentService.js';
+import { isEncryptionEnabled, verifyPassphrase, encryptWithPassphrase, decryptWithPassphrase } from './encryptionService.js';
+
+export const BACKUP_FORMAT = 'patel-chat-backup';
+export const BACKUP_VERSION = 1;
+
+const BACKUP_SETTINGS_KEY = 'patel-chat-backup-settings';
+
+// Sync state holds this device's id and the server token, which must not be
+// copied to another device through a backup
+const BACKUP_STORES = Object.values(STORES).filter(name => name !== STORES.SYNC_QUEUE && name !== STORES.SYNC_STATE);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const backupSchema = z.object({
+  format: z.literal(BACKUP_FORMAT),
+  version: z.number().int().positive(),
+  createdAt: z.string(),
+  stores: z.record(z.string(), z.array(z.object({ id: z.string() }).passthrough())),
+  settings: z.object({ currentThemeId: z.string().nullable() }).partial().optional()
+});
+
+// With encryption on, `stores` and `settings` are sealed in `encrypted`
+const encryptedBackupSchema = z.object({
+  format: z.literal(BACKUP_FORMAT),
+  version: z.number().int().positive(),
+  createdAt: z.string(),
+  encrypted: z.object({ salt: z.string(), iv: z.string(), data: z.string() })
+});
+
+// Blobs (attachment files) are not JSON; store them as base64 with their type
+const serializeRecord = async (record) => {
+  const serialized = { ...record };
+  for (const [key, value] of Object.entries(record)) {
+    if (value instanceof Blob) {
+      serialized[key] = { $blob: { type: value.type, data: await blobToBase64(value) } };
+    }
+  }
+  return serialized;
+};
+
+const deserializeRecord = (record) => {
+  const restored = { ...record };
+  for (const [key, value] of Object.entries(record)) {
+    if (value && typeof value === 'object' && value.$blob) {
+      const bytes = Uint8Array.from(atob(value.$blob.data), char => char.charCodeAt(0));
+      restored[key] = new Blob([bytes], { type: value.$blob.type });
+    }
+  }
+  return restored;
+};
+
+/**
+ * Compare records while ignoring blob contents; attachment files never change
+ * once stored, so the same id means the same file
+ */
+const recordFingerprint = (record) => {
+  return JSON.stringify(record, (key, value) => (
+    value instanceof Blob || value?.$blob ? '[blob]' : value
+  ));
+};
+
+const getRecordTime = (record) => {
+  return record.lastUpdatedAt ?? record.updatedAt ?? record.timestamp ?? record.createdAt ?? 0;
+};
+
+const getRecordLabel = (record) => record.title || record.name || record.id;
+
+/**
+ * Read every store into a versioned backup object
+ * @returns {Promise<Object>} Backup `{ format, version, createdAt, stores, settings }`
+ */
+export const createBackup = async () => {
+  const stores = {};
+
+  for (const storeName of BACKUP_STORES) {
+    const records = await getAllFromStore(storeName);
+    stores[storeName] = await Promise.all(records.map(serializeRecord));
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    stores,
+    settings: {
+      currentThemeId: localStorage.getItem(CURRENT_THEME_KEY)
+    }
+  };
+};
+
+/**
+ * Count the records in each store of a backup
+ * @param {Object} backup - Backup object
+ * @returns {Object} Record counts keyed by store name
+ */
+export const getBackupSummary = (backup) => {
+  return Object.fromEntries(
+    Object.entries(backup.stores).map(([storeName, records]) => [storeName, records.length])
+  );
+};
+
+/**
+ * Download a backup of the whole database and remember when it was made.
+ * With encryption on the file is encrypted too, so the passphrase is needed.
+ * @param {string} [passphrase] - Current passphrase; required when encryption is on
+ * @returns {Promise<Object>} Record counts keyed by store name
+ */
+export const downloadBackup = async (passphrase) => {
+  const backup = await createBackup();
+  const date = backup.createdAt.slice(0, 10);
+  let file = backup;
+
+  if (isEncryptionEnabled()) {
+    await verifyPassphrase(passphrase);
+    const { stores, settings, ...header } = backup;
+    file = { ...header, encrypted: await encryptWithPassphrase(passphrase, JSON.stringify({ stores, settings })) };
+  }
+
+  downloadFile(JSON.stringify(file), `patel_chat_backup_${date}.json`, 'application/json');
+  saveBackupSettings({ ...getBackupSettings(), lastBackupAt: Date.now() });
+
+  return getBackupSummary(backup);
+};
+
+const validateBackup = (data) => {
+  const result = backupSchema.safeParse(data);
+  if (!result.success) {
+    throw new Error('This is not a Patel Chat backup file. Chat exports can be loaded with Import Chats instead.');
+  }
+  return result.data;
+};
+
+/**
+ * Read and validate a backup file. Encrypted backups come back with only
+ * `createdAt` and `encrypted`; open them with openEncryptedBackup.
+ * @param {File} file - Backup file chosen by the user
+ * @returns {Promise<Object>} Validated backup
+ */
+export const readBackupFile = async (file) => {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  const encrypted = encryptedBackupSchema.safeParse(data);
+  const backup = encrypted.success ? encrypted.data : validateBackup(data);
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of Patel Chat. Update the app to restore it.');
+  }
+
+  return backup;
+};
+
+/**
+ * Decrypt a backup made while encryption was on
+ * @param {Object} backup - Encrypted backup from readBackupFile
+ * @param {string} passphrase - Passphrase that was set when the backup was made
+ * @returns {Promise<Object>} Validated backup; rejects when the passphrase is wrong
+ */
+export const openEncryptedBackup = async (backup, passphrase) => {
+  const { encrypted, ...header } = backup;
+  const contents = JSON.parse(await decryptWithPassphrase(passphrase, encrypted));
+  return validateBackup({ ...header, ...contents });
+};
+
+/**
+ * Merge one store: new records are added, and when both sides have a record
+ * with the same id but different content, the more recently updated one wins
+ * (the local one on a tie)
+ */
+const mergeStore = async (storeName, records, report) => {
+  const existing = new Map((await getAllFromStore(storeName)).map(record => [record.id, record]));
+  const toSave = [];
+
+  for (const record of records) {
+    const local = existing.get(record.id);
+
+    if (!local) {
+      toSave.push(deserializeRecord(record));
+      report.added++;
+    } else if (recordFingerprint(local) === recordFingerprint(record)) {
+      report.unchanged++;
+    } else {
+      const keepBackup = getRecordTime(record) > getRecordTime(local);
+      if (keepBackup) {
+        toSave.push(deserializeRecord(record));
+        report.updated++;
+      }
+      report.conflicts.push({
+        store: storeName,
+        id: record.id,
+        label: getRecordLabel(local),
+        kept: keepBackup ? 'backup' : 'local'
+      });
+    }
+  }
+
+  if (toSave.length > 0) {
+    await putManyInStore(storeName, toSave);
+  }
+};
+
+/**
+ * Restore a backup. `replace` makes each store in the backup an exact copy of
+ * it; `merge` keeps local data and reports records that differ.
+ * @param {Object} backup - Backup from readBackupFile
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Promise<Object>} Report `{ mode, added, updated, unchanged, conflicts, skippedStores }`
+ */
+export const restoreBackup = async (backup, mode) => {
+  const knownStores = BACKUP_STORES;
+  const storeNames = Object.keys(backup.stores).filter(name => knownStores.includes(name));
+  const report = {
+    mode,
+    added: 0,
+    updated: 0,
+    unchanged: 0,
+    conflicts: [],
+    skippedStores: Object.keys(backup.stores).filter(name => !knownStores.includes(name))
+  };
+
+  if (mode === 'replace') {
+    const itemsByStore = Object.fromEntries(storeNames.map(storeName => (
+      [storeName, backup.stores[storeName].map(deserializeRecord)]
+    )));
+    await replaceStores(itemsByStore);
+    report.added = storeNames.reduce((total, storeName) => total + itemsByStore[storeName].length, 0);
+
+    if (backup.settings?.currentThemeId) {
+      localStorage.setItem(CURRENT_THEME_KEY, backup.settings.currentThemeId);
+    }
+    return report;
+  }
+
+  for (const storeName of storeNames) {
+    await mergeStore(storeName, backup.stores[storeName], report);
+  }
+
+  return report;
+};
+
+/**
+ * Get the auto-backup reminder settings
+ * @returns {Object} `{ reminderDays, lastBackupAt, lastReminderAt }`; reminderDays 0 means off
+ */
+export const getBackupSettings = () => {
+  try {
+    return {
+      reminderDays: 0,
+      lastBackupAt: null,
+      lastReminderAt: null,
+      ...JSON.parse(localStorage.getItem(BACKUP_SETTINGS_KEY) || '{}')
+    };
+  } catch (error) {
+    console.error('Error reading backup settings:', error);
+    return { reminderDays: 0, lastBackupAt: null, lastReminderAt: null };
+  }
+};
+
+/**
+ * Save the auto-backup reminder settings
+ * @param {Object} settings - Settings from getBackupSettings
+ */
+export const saveBackupSettings = (settings) => {
+  try {
+    localStorage.setItem(BACKUP_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving backup settings:', error);
+  }
+};
+
+/**
+ * Whether the backup reminder should be shown: the reminder is on and neither
+ * a backup nor a dismissed reminder happened within the interval
+ * @param {Object} [settings] - Settings from getBackupSettings
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean}
+ */
+export const isBackupReminderDue = (settings = getBackupSettings(), now = Date.now()) => {
+  if (!settings.reminderDays) return false;
+  const lastSeen = Math.max(settings.lastBackupAt || 0, settings.lastReminderAt || 0);
+  return now - lastSeen >= settings.reminderDays * DAY_MS;
+};
@@ -0,0 +1,65 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+
+const { downloadFile } = vi.hoisted(() => ({ downloadFile: vi.fn() }));
+vi.mock('./exportService.js', () => ({ downloadFile }));
+
+const settings = new Map();
+vi.stubGlobal('localStorage', {
+  getItem: key => settings.get(key) ?? null,
+  setItem: (key, value) => settings.set(key, String(value)),
+  removeItem: key => settings.delete(key)
+});
+
+const { initDB, saveChatSession, deleteChatSession } = await import('./indexedDBService.js');
+const { enableEncryption, disableEncryption } = await import('./encryptionService.js');
+const { downloadBackup, readBackupFile, openEncryptedBackup } = await import('./backupService.js');
+
+const chat = {
+  id: 'chat-1',
+  title: 'Salary review',
+  createdAt: 1,
+  lastUpdatedAt: 1,
+  activeLeafId: 'm1',
+  messages: [{ id: 'm1', text: 'My salary is 90k', sender: 'user', timestamp: 1, parentId: null }]
+};
+
+// The downloaded file, as readBackupFile receives it
+const downloadedFile = () => {
+  const content = downloadFile.mock.lastCall[0];
+  return { text: async () => content };
+};
+
+describe('downloadBackup', () => {
+  beforeAll(() => initDB());
+  afterEach(async () => {
+    downloadFile.mockReset();
+    await deleteChatSession('chat-1');
+    settings.clear();
+  });
+
+  it('encrypts the backup file while encryption is on', async () => {
+    await saveChatSession(chat);
+    await enableEncryption('correct horse');
+
+    await expect(downloadBackup()).rejects.toThrow('Wrong passphrase');
+    await downloadBackup('correct horse');
+    expect(downloadFile.mock.lastCall[0]).not.toContain('salary');
+
+    const backup = await readBackupFile(downloadedFile());
+    expect(backup.stores).toBeUndefined();
+    await expect(openEncryptedBackup(backup, 'wrong horse')).rejects.toThrow('Wrong passphrase');
+    const opened = await openEncryptedBackup(backup, 'correct horse');
+    expect(opened.stores.chatSessions).toEqual([chat]);
+
+    await disableEncryption('correct horse');
+  });
+
+  it('writes a plain backup while encryption is off', async () => {
+    await saveChatSession(chat);
+
+    await downloadBackup();
+    const backup = await readBackupFile(downloadedFile());
+    expect(backup.stores.chatSessions).toEqual([chat]);
+  });
+});
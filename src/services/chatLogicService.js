@@ -1,5 +1,32 @@
 // Chat logic service for managing chat operations
 
+import { getDefaultProviderId } from './providers/index.js';
+
+/**
+ * Default generation parameters for a chat session.
+ * A null value (or empty model) means "use the provider's default".
+ */
+export const DEFAULT_GENERATION_CONFIG = {
+  model: '',
+  temperature: null,
+  topK: null,
+  topP: null,
+  maxOutputTokens: null,
+  stopSequences: [],
+  searchEnabled: true,
+};
+
+/**
+ * Get the generation config for a session, filling in defaults for
+ * sessions saved before the setting existed
+ * @param {Object} session - Chat session
+ * @returns {Object} Generation config
+ */
+export const getSessionGenerationConfig = (session) => ({
+  ...DEFAULT_GENERATION_CONFIG,
+  ...(session?.generationConfig || {}),
+});
+
 /**
  * Calculate the next state after deleting a chat session
  * @param {Array} currentSessions - Current chat sessions
@@ -89,31 +116,555 @@ export const createNewChatSession = () => {
       text: "Welcome to Patel Chat! I'm your AI assistant, ready to help with your queries, search the web, or just chat. How can I assist you today?",
       timestamp: timestamp + 1,
       isLoading: false,
+      parentId: null,
     }],
     createdAt: timestamp,
     lastUpdatedAt: timestamp,
     systemInstruction: '', 
+    provider: getDefaultProviderId(),
+    generationConfig: { ...DEFAULT_GENERATION_CONFIG },
+    activeLeafId: (timestamp + 1).toString(),
   };
 };
 
+/**
+ * Fill in `parentId` for messages saved before chats became trees. Legacy
+ * sessions stored a single linear thread, so each such message hangs off the
+ * one before it.
+ * @param {Array} messages - Messages of a session
+ * @returns {Array} Messages that all carry a parentId
+ */
+export const normalizeMessageTree = (messages) => {
+  return messages.map((message, index) =>
+    message.parentId !== undefined
+      ? message
+      : { ...message, parentId: index > 0 ? messages[index - 1].id : null }
+  );
+};
+
+/**
+ * Get the direct replies to a message, oldest first
+ * @param {Array} messages - Normalized messages of a session
+ * @param {string|null} parentId - Parent message id (null for roots)
+ * @returns {Array} Child messages
+ */
+export const getChildMessages = (messages, parentId) => {
+  return messages
+    .filter(m => m.parentId === parentId)
+    .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Get a message together with the other versions branching from the same parent
+ * @param {Array} messages - Normalized messages of a session
+ * @param {Object} message - Message object
+ * @returns {Array} Sibling messages including `message`, oldest first
+ */
+export const getSiblingMessages = (messages, message) => {
+  const parentId = messages.find(m => m.id === message.id)?.parentId ?? message.parentId ?? null;
+  return getChildMessages(messages, parentId);
+};
+
+/**
+ * Follow the most recent replies down from a message to the end of its branch
+ * @param {Array} messages - Normalized messages of a session
+ * @param {string} messageId - Message to start from
+ * @returns {string} Id of the most recent leaf below (or equal to) the message
+ */
+export const getLatestLeafId = (messages, messageId) => {
+  let currentId = messageId;
+  let children = getChildMessages(messages, currentId);
+
+  while (children.length > 0) {
+    currentId = children[children.length - 1].id;
+    children = getChildMessages(messages, currentId);
+  }
+
+  return currentId;
+};
+
+/**
+ * Get the path from the root to a message
+ * @param {Array} messages - Normalized messages of a session
+ * @param {string} leafId - Last message of the thread
+ * @returns {Array} Messages in conversation order
+ */
+export const getThreadToMessage = (messages, leafId) => {
+  const byId = new Map(messages.map(m => [m.id, m]));
+  const thread = [];
+  let current = byId.get(leafId);
+
+  while (current) {
+    thread.unshift(current);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+
+  return thread;
+};
+
+/**
+ * Get the branch of the conversation currently shown for a session
+ * @param {Object} session - Chat session
+ * @returns {Array} Messages of the active branch in conversation order
+ */
+export const getActiveThread = (session) => {
+  const messages = normalizeMessageTree(session?.messages || []);
+  if (messages.length === 0) return [];
+
+  const leafId = messages.some(m => m.id === session.activeLeafId)
+    ? session.activeLeafId
+    : messages[messages.length - 1].id;
+
+  return getThreadToMessage(messages, leafId);
+};
+
+/**
+ * List every branch of a session, identified by its leaf message
+ * @param {Object} session - Chat session
+ * @returns {Array} Branches `{ leafId, thread, forkMessage, updatedAt }`, newest first
+ */
+export const getConversationBranches = (session) => {
+  const messages = normalizeMessageTree(session?.messages || []);
+  const parentIds = new Set(messages.map(m => m.parentId));
+
+  return messages
+    .filter(m => !parentIds.has(m.id))
+    .map(leaf => {
+      const thread = getThreadToMessage(messages, leaf.id);
+      // The user message where this branch diverged from its siblings
+      const forkMessage = [...thread].reverse().find(m =>
+        m.sender === 'user' && getSiblingMessages(messages, m).length > 1
+      ) || thread.find(m => m.sender === 'user') || leaf;
+
+      return { leafId: leaf.id, thread, forkMessage, updatedAt: leaf.timestamp };
+    })
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Add a message to a session's tree and make it the active leaf
+ * @param {Object} session - Chat session
+ * @param {Object} message - Message to add (its parentId must be set)
+ * @returns {Object} Updated session
+ */
+export const appendMessageToTree = (session, message) => ({
+  ...session,
+  messages: [...normalizeMessageTree(session.messages), message],
+  activeLeafId: message.id,
+  lastUpdatedAt: Date.now(),
+});
+
+/**
+ * Message fields that vary between alternative answers
+ */
+const ALTERNATIVE_FIELDS = ['text', 'timestamp', 'isStopped', 'isError', 'sources', 'citations', 'searchQueries'];
+
+const pickAlternativeFields = (source) => {
+  const alternative = {};
+  for (const field of ALTERNATIVE_FIELDS) {
+    if (source[field] !== undefined) alternative[field] = source[field];
+  }
+  return alternative;
+};
+
+/**
+ * Get the alternative answers of a message; a message that was never
+ * regenerated has a single implicit alternative
+ * @param {Object} message - Message object
+ * @returns {Array} Alternatives
+ */
+export const getMessageAlternatives = (message) => {
+  return message.alternatives?.length ? message.alternatives : [pickAlternativeFields(message)];
+};
+
+/**
+ * Make an alternative the visible answer. The message's own fields always
+ * mirror the active alternative, so history, search and export keep reading
+ * `message.text`.
+ * @param {Object} message - Message object
+ * @param {number} index - Alternative index
+ * @returns {Object} Updated message
+ */
+export const selectMessageAlternative = (message, index) => {
+  const alternatives = getMessageAlternatives(message);
+  const activeAlternative = Math.max(0, Math.min(index, alternatives.length - 1));
+  const cleared = Object.fromEntries(ALTERNATIVE_FIELDS.map(field => [field, undefined]));
+
+  return {
+    ...message,
+    ...cleared,
+    ...alternatives[activeAlternative],
+    alternatives,
+    activeAlternative,
+  };
+};
+
+/**
+ * Append a new alternative answer and make it active
+ * @param {Object} message - Message object
+ * @param {Object} alternative - Alternative fields (text, timestamp, ...)
+ * @returns {Object} Updated message
+ */
+export const addMessageAlternative = (message, alternative) => {
+  const alternatives = [...getMessageAlternatives(message), pickAlternativeFields(alternative)];
+  return selectMessageAlternative({ ...message, alternatives }, alternatives.length - 1);
+};
+
+/**
+ * Patch the active alternative of a message (used while it streams)
+ * @param {Object} message - Message object
+ * @param {Object} fields - Fields to update
+ * @returns {Object} Updated message
+ */
+export const updateActiveAlternative = (message, fields) => {
+  const alternatives = getMessageAlternatives(message);
+  const activeAlternative = message.activeAlternative ?? alternatives.length - 1;
+  const updated = alternatives.map((alternative, index) =>
+    index === activeAlternative ? { ...alternative, ...pickAlternativeFields(fields) } : alternative
+  );
+  return selectMessageAlternative({ ...message, alternatives: updated }, activeAlternative);
+};
+
+/**
+ * Find the user prompt a bot message answers and the history preceding it
+ * @param {Array} messages - Messages of the session
+ * @param {string} messageId - Bot message id
+ * @returns {Object|null} `{ prompt, history }` or null if there is no prompt
+ */
+export const getPromptForReply = (messages, messageId) => {
+  const replyIndex = messages.findIndex(m => m.id === messageId);
+  if (replyIndex <= 0) return null;
+
+  for (let i = replyIndex - 1; i >= 0; i--) {
+    if (messages[i].sender === 'user') {
+      return { prompt: messages[i], history: messages.slice(0, i) };
+    }
+  }
+  return null;
+};
+
+// BM25 parameters: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Reciprocal rank fusion constant; dampens the weight of top ranks
+const RRF_K = 60;
+
+// Assistant messages are stored as 'ai' or 'bot' depending on where they came from
+const SENDER_ALIASES = { user: 'user', me: 'user', bot: 'bot', ai: 'bot', assistant: 'bot' };
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens in order
+ */
+export const tokenizeSearchText = (text) => {
+  return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+};
+
+// Start of a `YYYY-MM-DD` day in local time, or null if it is not a date
+const parseSearchDate = (value) => {
+  const time = new Date(`${value}T00:00:00`).getTime();
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(time) ? time : null;
+};
+
+/**
+ * Parse a search query. Supported syntax:
+ * - `"exact phrase"` - words in this order
+ * - `-word`, `-"phrase"` - leave out messages containing them
+ * - `from:user`, `from:bot` - only messages sent by you or by the assistant
+ * - `before:YYYY-MM-DD`, `after:YYYY-MM-DD` - sent before the day, or on or after it
+ * Anything else is a search term.
+ * @param {string} query - Raw query
+ * @returns {Object} `{ terms, phrases, excludedTerms, excludedPhrases, sender, before, after, text }`;
+ * `sender` is 'user', 'bot' or null; `text` is the query without operators, for vector search
+ */
+export const parseSearchQuery = (query) => {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    excludedTerms: [],
+    excludedPhrases: [],
+    sender: null,
+    before: null,
+    after: null,
+    text: ''
+  };
+  const freeText = [];
+  const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query || '')) !== null) {
+    const [, negated, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      const tokens = tokenizeSearchText(phrase);
+      if (tokens.length === 0) continue;
+      if (negated) {
+        parsed.excludedPhrases.push(tokens);
+      } else {
+        parsed.phrases.push(tokens);
+        freeText.push(phrase);
+      }
+      continue;
+    }
+
+    const [, operator, value] = word.match(/^(from|before|after):(.+)$/i) || [];
+    const name = operator?.toLowerCase();
+    const date = name === 'before' || name === 'after' ? parseSearchDate(value) : null;
+
+    if (name === 'from' && SENDER_ALIASES[value.toLowerCase()]) {
+      parsed.sender = SENDER_ALIASES[value.toLowerCase()];
+    } else if (date !== null) {
+      parsed[name] = date;
+    } else if (word.startsWith('-') && word.length > 1) {
+      parsed.excludedTerms.push(...tokenizeSearchText(word.slice(1)));
+    } else {
+      parsed.terms.push(...tokenizeSearchText(word));
+      freeText.push(word);
+    }
+  }
+
+  parsed.text = freeText.join(' ');
+  return parsed;
+};
+
+// Rebuild instead of updating once replaced documents outnumber live ones
+const MIN_STALE_DOCUMENTS = 500;
+
+const addDocument = (index, doc) => {
+  const docIndex = index.documents.length;
+  index.documents.push(doc);
+  index.documentCount++;
+  index.totalLength += doc.tokens.length;
+  index.documentsByKey.set(`${doc.chatId}:${doc.messageId}`, docIndex);
+
+  doc.tokens.forEach((token) => {
+    if (!index.postings.has(token)) index.postings.set(token, new Map());
+    const termPostings = index.postings.get(token);
+    termPostings.set(docIndex, (termPostings.get(docIndex) || 0) + 1);
+  });
+  return docIndex;
+};
+
+// Slots of removed documents stay empty so the other indexes keep their meaning
+const removeDocument = (index, docIndex) => {
+  const doc = index.documents[docIndex];
+  new Set(doc.tokens).forEach((token) => {
+    const termPostings = index.postings.get(token);
+    termPostings.delete(docIndex);
+    if (termPostings.size === 0) index.postings.delete(token);
+  });
+
+  const key = `${doc.chatId}:${doc.messageId}`;
+  if (index.documentsByKey.get(key) === docIndex) index.documentsByKey.delete(key);
+  index.documents[docIndex] = null;
+  index.documentCount--;
+  index.totalLength -= doc.tokens.length;
+};
+
+/**
+ * Re-index the messages of one session that changed since it was last indexed
+ */
+const indexSession = (index, session) => {
+  const previous = index.sessions.get(session.id);
+  if (previous?.session === session) return;
+
+  const stale = new Map(previous?.docs);
+  const docs = new Map();
+
+  (session.messages || []).forEach((message) => {
+    const timestamp = message.timestamp ?? session.createdAt;
+    const existingIndex = stale.get(message.id);
+    const existing = existingIndex !== undefined ? index.documents[existingIndex] : null;
+
+    if (existing && existing.text === message.text && existing.sender === message.sender && existing.timestamp === timestamp) {
+      docs.set(message.id, existingIndex);
+      stale.delete(message.id);
+      return;
+    }
+
+    const tokens = tokenizeSearchText(message.text);
+    if (tokens.length === 0) return;
+
+    docs.set(message.id, addDocument(index, {
+      chatId: session.id,
+      messageId: message.id,
+      sender: message.sender,
+      timestamp,
+      text: message.text,
+      tokens
+    }));
+  });
+
+  // Whatever is left was edited or deleted
+  stale.forEach(docIndex => removeDocument(index, docIndex));
+  index.sessions.set(session.id, { session, docs });
+};
+
+/**
+ * Bring an index up to date with the sessions. Only sessions that are new
+ * objects since the last update are looked at, and within them only messages
+ * whose text, sender or time changed are re-tokenized, so updating after a
+ * streamed chunk is cheap.
+ * @param {Object|null} index - Index from an earlier call, or null
+ * @param {Array} sessions - Current chat sessions
+ * @returns {Object} The updated index; a new one when the old one was null or had grown too sparse
+ */
+export const updateSearchIndex = (index, sessions) => {
+  const staleCount = index ? index.documents.length - index.documentCount : 0;
+  if (!index || (staleCount > MIN_STALE_DOCUMENTS && staleCount > index.documentCount)) {
+    index = {
+      documents: [],
+      postings: new Map(),
+      documentsByKey: new Map(),
+      sessions: new Map(),
+      documentCount: 0,
+      totalLength: 0
+    };
+  }
+
+  const sessionIds = new Set(sessions.map(session => session.id));
+  index.sessions.forEach((entry, sessionId) => {
+    if (sessionIds.has(sessionId)) return;
+    entry.docs.forEach(docIndex => removeDocument(index, docIndex));
+    index.sessions.delete(sessionId);
+  });
+  sessions.forEach(session => indexSession(index, session));
+
+  return index;
+};
+
+/**
+ * Build an inverted index over every message of the given sessions
+ * @param {Array} sessions - Chat sessions
+ * @returns {Object} Index for searchMessages; keep it and pass it to updateSearchIndex when the sessions change
+ */
+export const buildSearchIndex = (sessions) => updateSearchIndex(null, sessions);
+
+const containsPhrase = (tokens, phrase) => {
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((token, offset) => tokens[i + offset] === token)) return true;
+  }
+  return false;
+};
+
+const matchesFilters = (doc, parsed) => {
+  if (parsed.sender && (doc.sender === 'user') !== (parsed.sender === 'user')) return false;
+  if (parsed.before !== null && !(doc.timestamp < parsed.before)) return false;
+  if (parsed.after !== null && !(doc.timestamp >= parsed.after)) return false;
+  if (parsed.excludedTerms.some(term => doc.tokens.includes(term))) return false;
+  if (parsed.excludedPhrases.some(phrase => containsPhrase(doc.tokens, phrase))) return false;
+  return parsed.phrases.every(phrase => containsPhrase(doc.tokens, phrase));
+};
+
+/**
+ * BM25 score of every document containing a query term
+ * @returns {Map<number, number>} Document index to score
+ */
+const scoreBM25 = (index, terms) => {
+  const scores = new Map();
+  const { documentCount } = index;
+  const averageLength = index.totalLength / documentCount;
+
+  new Set(terms).forEach((term) => {
+    const termPostings = index.postings.get(term);
+    if (!termPostings) return;
+
+    const idf = Math.log(1 + (documentCount - termPostings.size + 0.5) / (termPostings.size + 0.5));
+    termPostings.forEach((frequency, docIndex) => {
+      const lengthRatio = index.documents[docIndex].tokens.length / averageLength;
+      const score = idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+      scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+    });
+  });
+
+  return scores;
+};
+
+// Rank positions, 1-based, of documents ordered by descending score
+const toRanks = (scores) => new Map(
+  [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([docIndex], position) => [docIndex, position + 1])
+);
+
+/**
+ * Search messages with BM25, optionally fused with vector similarity scores
+ * by reciprocal rank fusion. Filters in the query (phrases, exclusions,
+ * sender, dates) apply to both kinds of match.
+ * @param {Object} index - Index from buildSearchIndex or updateSearchIndex
+ * @param {string} query - Query in the syntax of parseSearchQuery
+ * @param {Object} [options]
+ * @param {Array} [options.vectorHits] - `{ chatId, messageId, similarity }` from semantic search
+ * @param {number} [options.limit] - Maximum number of hits
+ * @returns {Array} Hits `{ id, chatId, messageId, sender, timestamp, text, score, bm25, similarity, terms }`, best first
+ */
+export const searchMessages = (index, query, { vectorHits = [], limit = Infinity } = {}) => {
+  const parsed = parseSearchQuery(query);
+  const terms = [...parsed.terms, ...parsed.phrases.flat()];
+  const lexicalScores = scoreBM25(index, terms);
+
+  const vectorScores = new Map();
+  vectorHits.forEach((hit) => {
+    const docIndex = index.documentsByKey.get(`${hit.chatId}:${hit.messageId}`);
+    if (docIndex !== undefined) vectorScores.set(docIndex, hit.similarity);
+  });
+
+  let candidates;
+  if (terms.length > 0 || vectorScores.size > 0) {
+    candidates = new Set([...lexicalScores.keys(), ...vectorScores.keys()]);
+  } else {
+    // Only operators: every message passing the filters, newest first
+    candidates = new Set(index.documents.flatMap((doc, docIndex) => (doc ? [docIndex] : [])));
+  }
+
+  const lexicalRanks = toRanks(lexicalScores);
+  const vectorRanks = toRanks(vectorScores);
+  const fusedScore = (docIndex) => (
+    (lexicalRanks.has(docIndex) ? 1 / (RRF_K + lexicalRanks.get(docIndex)) : 0)
+    + (vectorRanks.has(docIndex) ? 1 / (RRF_K + vectorRanks.get(docIndex)) : 0)
+  );
+
+  return [...candidates]
+    .filter(docIndex => matchesFilters(index.documents[docIndex], parsed))
+    .map((docIndex) => {
+      const { tokens, ...doc } = index.documents[docIndex];
+      return {
+        ...doc,
+        id: `${doc.chatId}:${doc.messageId}`,
+        score: fusedScore(docIndex),
+        bm25: lexicalScores.get(docIndex) ?? null,
+        similarity: vectorScores.get(docIndex) ?? null,
+        terms: terms.filter(term => tokens.includes(term))
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp)
+    .slice(0, limit);
+};
+
 /**
  * Search through chat messages
  * @param {Array} sessions - Chat sessions to search
- * @param {string} searchTerm - Term to search for
- * @returns {Array} Filtered sessions with matching messages
+ * @param {string} searchTerm - Query in the syntax of parseSearchQuery
+ * @param {Object} index - Index of the sessions from buildSearchIndex or updateSearchIndex
+ * @param {Array} [hits] - Result of searchMessages for the query, if already run
+ * @returns {Array} Sessions whose title matches or that have a matching message
  */
-export const searchChatSessions = (sessions, searchTerm) => {
+export const searchChatSessions = (sessions, searchTerm, index, hits = searchMessages(index, searchTerm)) => {
   if (!searchTerm.trim()) return sessions;
 
-  const term = searchTerm.toLowerCase();
-  return sessions.filter(session => {
-    // Search in title
-    if (session.title.toLowerCase().includes(term)) return true;
-    
-    // Search in messages
-    return session.messages.some(message => 
-      message.text.toLowerCase().includes(term)
-    );
+  const parsed = parseSearchQuery(searchTerm);
+  const matchedChatIds = new Set(hits.map(hit => hit.chatId));
+  // Titles have no sender or date, so only a plain query can match one
+  const isPlainQuery = !parsed.sender && parsed.before === null && parsed.after === null;
+
+  return sessions.filter((session) => {
+    if (matchedChatIds.has(session.id)) return true;
+    if (!isPlainQuery || (parsed.terms.length === 0 && parsed.phrases.length === 0)) return false;
+
+    const titleTokens = tokenizeSearchText(session.title);
+    return matchesFilters({ tokens: titleTokens }, parsed)
+      && parsed.terms.every(term => titleTokens.includes(term));
   });
 };
 
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import { buildSearchIndex, updateSearchIndex, searchMessages, searchChatSessions, parseSearchQuery } from './chatLogicService.js';
+
+const day = (date) => new Date(`${date}T12:00:00`).getTime();
+
+const sessions = [
+  {
+    id: 'cooking',
+    title: 'Cooking',
+    createdAt: 1,
+    messages: [
+      { id: 'c1', sender: 'user', text: 'How do I cook risotto?', timestamp: day('2024-03-01') },
+      { id: 'c2', sender: 'ai', text: 'To cook risotto, toast the rice and add stock slowly.', timestamp: day('2024-03-01') },
+      // Welcome messages and imported assistant messages are stored as 'bot'
+      { id: 'c3', sender: 'bot', text: 'Imported answer: cook the onions first.', timestamp: day('2024-05-10') }
+    ]
+  },
+  {
+    id: 'python',
+    title: 'Python',
+    createdAt: 1,
+    messages: [
+      { id: 'p1', sender: 'user', text: 'Explain python list comprehension', timestamp: day('2024-04-01') },
+      { id: 'p2', sender: 'ai', text: 'A list comprehension builds a list in one expression.', timestamp: day('2024-04-01') }
+    ]
+  }
+];
+
+const search = (query, options) => searchMessages(buildSearchIndex(sessions), query, options).map(hit => hit.messageId);
+
+describe('parseSearchQuery', () => {
+  it('separates terms, phrases, exclusions and operators', () => {
+    const parsed = parseSearchQuery('"cook risotto" -onions -"list comp" from:bot before:2024-04-01 after:2024-01-01 rice');
+
+    expect(parsed.terms).toEqual(['rice']);
+    expect(parsed.phrases).toEqual([['cook', 'risotto']]);
+    expect(parsed.excludedTerms).toEqual(['onions']);
+    expect(parsed.excludedPhrases).toEqual([['list', 'comp']]);
+    expect(parsed.sender).toBe('bot');
+    expect(parsed.before).toBe(new Date('2024-04-01T00:00:00').getTime());
+    expect(parsed.after).toBe(new Date('2024-01-01T00:00:00').getTime());
+    expect(parsed.text).toBe('cook risotto rice');
+  });
+
+  it('treats unknown operators and invalid dates as terms', () => {
+    const parsed = parseSearchQuery('from:nobody before:yesterday');
+    expect(parsed.sender).toBeNull();
+    expect(parsed.before).toBeNull();
+    expect(parsed.terms).toEqual(['from', 'nobody', 'before', 'yesterday']);
+  });
+});
+
+describe('searchMessages', () => {
+  it('ranks messages containing the terms', () => {
+    expect(search('risotto')).toEqual(expect.arrayContaining(['c1', 'c2']));
+    expect(search('risotto')).toHaveLength(2);
+  });
+
+  it('matches phrases in order and honours exclusions', () => {
+    expect(search('"cook risotto"').sort()).toEqual(['c1', 'c2']);
+    expect(search('cook -risotto')).toEqual(['c3']);
+    expect(search('cook -"toast the rice"').sort()).toEqual(['c1', 'c3']);
+  });
+
+  it('counts every non-user sender as the bot', () => {
+    expect(search('cook from:bot').sort()).toEqual(['c2', 'c3']);
+    expect(search('cook from:user')).toEqual(['c1']);
+  });
+
+  it('filters by date', () => {
+    expect(search('cook after:2024-04-01')).toEqual(['c3']);
+    expect(search('cook before:2024-04-01').sort()).toEqual(['c1', 'c2']);
+  });
+
+  it('lists every matching message, newest first, for an operator-only query', () => {
+    expect(search('from:user')).toEqual(['p1', 'c1']);
+  });
+
+  it('fuses vector matches with keyword matches', () => {
+    const hits = searchMessages(buildSearchIndex(sessions), 'list', {
+      vectorHits: [{ chatId: 'cooking', messageId: 'c2', similarity: 0.5 }, { chatId: 'python', messageId: 'p1', similarity: 0.4 }]
+    });
+
+    expect(hits[0].messageId).toBe('p1');
+    expect(hits.map(hit => hit.messageId)).toContain('c2');
+    expect(hits.find(hit => hit.messageId === 'c2').bm25).toBeNull();
+  });
+});
+
+describe('updateSearchIndex', () => {
+  const hitsFor = (index, query) => searchMessages(index, query).map(hit => `${hit.messageId}:${hit.score.toFixed(6)}`);
+
+  it('gives the same results as a fresh index after chats change', () => {
+    const index = buildSearchIndex(sessions);
+    const [cooking, python] = sessions;
+
+    // A streamed reply grows, a message is edited and another chat is deleted
+    const streamed = { ...cooking, messages: [...cooking.messages, { id: 'c4', sender: 'ai', text: 'Stir', timestamp: day('2024-06-01') }] };
+    updateSearchIndex(index, [streamed, python]);
+    const grown = { ...streamed, messages: [...cooking.messages, { id: 'c4', sender: 'ai', text: 'Stir the risotto often', timestamp: day('2024-06-01') }] };
+    const edited = { ...python, messages: [python.messages[0], { ...python.messages[1], text: 'Comprehensions also build risotto recipes' }] };
+    updateSearchIndex(index, [grown, edited]);
+    updateSearchIndex(index, [grown]);
+
+    const fresh = buildSearchIndex([grown]);
+    ['risotto', 'stir', 'comprehension', 'from:bot'].forEach((query) => {
+      expect(hitsFor(index, query)).toEqual(hitsFor(fresh, query));
+    });
+    expect(index.documentCount).toBe(fresh.documentCount);
+  });
+
+  it('leaves unchanged sessions alone', () => {
+    const index = buildSearchIndex(sessions);
+    const documentsBefore = index.documents.length;
+
+    expect(updateSearchIndex(index, [...sessions])).toBe(index);
+    expect(index.documents.length).toBe(documentsBefore);
+  });
+});
+
+describe('searchChatSessions', () => {
+  it('returns chats with a matching message or title', () => {
+    const index = buildSearchIndex(sessions);
+    expect(searchChatSessions(sessions, 'python', index).map(session => session.id)).toEqual(['python']);
+    expect(searchChatSessions(sessions, 'cooking', index).map(session => session.id)).toEqual(['cooking']);
+    expect(searchChatSessions(sessions, 'cooking from:user', index)).toEqual([]);
+  });
+});
@@ -1,16 +1,58 @@
 // Client-side embedding service for semantic search
 
-import { saveEmbedding, getEmbeddingsByChat } from './indexedDBService.js';
+import {
+  saveEmbeddings,
+  deleteEmbedding,
+  deleteEmbeddingsByChat,
+  getEmbeddingsByChat,
+  getAllEmbeddings,
+  getChatSessions,
+  getSearchIndexState,
+  saveSearchIndexState
+} from './indexedDBService.js';
+
+// Stored with every embedding; vectors from another model are not comparable
+export const TFIDF_MODEL_ID = 'tfidf-hash-256';
+const EMBEDDING_DIMENSIONS = 256;
+const MODEL_STATE_ID = 'tfidf-model';
+
+const EMBEDDING_MODEL_KEY = 'patel-chat-embedding-model';
+
+// The neural models run transformers.js, bundled into a worker. Model files
+// must be served by the app (public/models/ by default); they are not part of
+// the repository and are never downloaded from a model hub.
+const NEURAL_MODEL_PATH = import.meta.env.VITE_EMBEDDING_MODEL_PATH || `${import.meta.env.BASE_URL}models/`;
+
+/**
+ * Embedding models to choose from. `modelName` is the folder under the model
+ * path holding a transformers.js feature-extraction model.
+ */
+export const EMBEDDING_MODELS = [
+  { id: TFIDF_MODEL_ID, name: 'Keyword statistics (built in)' },
+  { id: 'minilm-l6-v2', name: 'Neural: all-MiniLM-L6-v2 (on device)', modelName: 'Xenova/all-MiniLM-L6-v2' }
+];
+
+// Messages shorter than this carry too little meaning to index
+const MIN_INDEXED_LENGTH = 10;
+const REINDEX_BATCH_SIZE = 50;
+// Saves arrive with every streamed chunk; index once the chat has settled
+const INDEX_DEBOUNCE_MS = 2000;
 
 /**
  * Simple client-side text embedding using TF-IDF-like approach
  * This is a lightweight alternative to server-side embeddings
+ *
+ * Tokens are hashed into a fixed number of buckets (feature hashing), so a
+ * vector means the same thing no matter which words were seen first. Stored
+ * vectors hold term frequencies only; IDF weights are applied when vectors
+ * are compared, so they always reflect the current document frequencies.
  */
 class SimpleEmbeddingService {
   constructor() {
-    this.vocabulary = new Map();
-    this.idfScores = new Map();
+    this.dimensions = EMBEDDING_DIMENSIONS;
     this.documentCount = 0;
+    this.documentFrequencies = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    this.idfWeights = null;
   }
 
   /**
@@ -27,73 +69,90 @@ class SimpleEmbeddingService {
   }
 
   /**
-   * Calculate term frequency for a document
-   * @param {Array} tokens - Array of tokens
-   * @returns {Map} Term frequency map
+   * 32-bit FNV-1a hash of a token
+   * @param {string} token - Token to hash
+   * @returns {number} Unsigned hash
    */
-  calculateTF(tokens) {
-    const tf = new Map();
-    const totalTokens = tokens.length;
+  hashToken(token) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+      hash ^= token.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
 
-    for (const token of tokens) {
-      tf.set(token, (tf.get(token) || 0) + 1);
+  /**
+   * Generate embedding vector for text: log-scaled term frequencies hashed
+   * into buckets, with a hash-derived sign so collisions tend to cancel out
+   * @param {string} text - Text to embed
+   * @returns {Array} Embedding vector of `dimensions` numbers
+   */
+  generateEmbedding(text) {
+    const counts = new Map();
+    for (const token of this.tokenize(text)) {
+      counts.set(token, (counts.get(token) || 0) + 1);
     }
 
-    // Normalize by document length
-    for (const [token, count] of tf) {
-      tf.set(token, count / totalTokens);
+    const embedding = new Array(this.dimensions).fill(0);
+    for (const [token, count] of counts) {
+      const hash = this.hashToken(token);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      embedding[hash % this.dimensions] += sign * (1 + Math.log(count));
     }
 
-    return tf;
+    return embedding;
   }
 
   /**
-   * Update IDF scores with new document
-   * @param {Array} tokens - Unique tokens in the document
+   * Count an indexed document toward the document frequencies
+   * @param {Array} embedding - Vector from generateEmbedding
    */
-  updateIDF(tokens) {
-    const uniqueTokens = new Set(tokens);
-    
-    for (const token of uniqueTokens) {
-      if (!this.vocabulary.has(token)) {
-        this.vocabulary.set(token, 0);
-      }
-      this.vocabulary.set(token, this.vocabulary.get(token) + 1);
-    }
-
+  addDocument(embedding) {
+    embedding.forEach((value, index) => {
+      if (value !== 0) this.documentFrequencies[index]++;
+    });
     this.documentCount++;
-
-    // Recalculate IDF scores
-    for (const [token, docCount] of this.vocabulary) {
-      this.idfScores.set(token, Math.log(this.documentCount / docCount));
-    }
+    this.idfWeights = null;
   }
 
   /**
-   * Generate embedding vector for text
-   * @param {string} text - Text to embed
-   * @returns {Array} Embedding vector
+   * Undo addDocument for a document leaving the index
+   * @param {Array} embedding - Vector the document was indexed with
    */
-  generateEmbedding(text) {
-    const tokens = this.tokenize(text);
-    const tf = this.calculateTF(tokens);
-    const embedding = [];
-
-    // Create a fixed-size vector based on top vocabulary
-    const topTokens = Array.from(this.vocabulary.keys()).slice(0, 100);
-    
-    for (const token of topTokens) {
-      const tfScore = tf.get(token) || 0;
-      const idfScore = this.idfScores.get(token) || 0;
-      embedding.push(tfScore * idfScore);
-    }
+  removeDocument(embedding) {
+    embedding.forEach((value, index) => {
+      if (value !== 0) this.documentFrequencies[index] = Math.max(0, this.documentFrequencies[index] - 1);
+    });
+    this.documentCount = Math.max(0, this.documentCount - 1);
+    this.idfWeights = null;
+  }
 
-    // Pad or truncate to fixed size
-    while (embedding.length < 100) {
-      embedding.push(0);
+  /**
+   * Smoothed inverse document frequency of each bucket
+   * @returns {Array} Weights
+   */
+  getIdfWeights() {
+    if (!this.idfWeights) {
+      this.idfWeights = this.documentFrequencies.map(df => (
+        Math.log((1 + this.documentCount) / (1 + df)) + 1
+      ));
     }
+    return this.idfWeights;
+  }
 
-    return embedding.slice(0, 100);
+  /**
+   * Cosine similarity of two embeddings after IDF weighting
+   * @param {Array} vec1 - First vector
+   * @param {Array} vec2 - Second vector
+   * @returns {number} Similarity score (0-1 for related texts)
+   */
+  similarity(vec1, vec2) {
+    const weights = this.getIdfWeights();
+    return this.cosineSimilarity(
+      vec1.map((value, i) => value * weights[i]),
+      vec2.map((value, i) => value * weights[i])
+    );
   }
 
   /**
@@ -119,75 +178,311 @@ class SimpleEmbeddingService {
 
     return dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2));
   }
+
+  /**
+   * Replace the document statistics with saved ones
+   * @param {Object|null} state - State from toState, or null to start empty
+   */
+  loadState(state) {
+    const isCompatible = state?.model === TFIDF_MODEL_ID && state.documentFrequencies?.length === this.dimensions;
+    this.documentCount = isCompatible ? state.documentCount : 0;
+    this.documentFrequencies = isCompatible ? [...state.documentFrequencies] : new Array(this.dimensions).fill(0);
+    this.idfWeights = null;
+  }
+
+  /**
+   * Snapshot of the document statistics for storage
+   * @returns {Object} `{ id, model, documentCount, documentFrequencies }`
+   */
+  toState() {
+    return {
+      id: MODEL_STATE_ID,
+      model: TFIDF_MODEL_ID,
+      documentCount: this.documentCount,
+      documentFrequencies: [...this.documentFrequencies]
+    };
+  }
 }
 
 // Global instance
 const embeddingService = new SimpleEmbeddingService();
 
+let modelStatePromise = null;
+let reindexJob = null;
+let reindexProgress = null;
+const progressListeners = new Set();
+
+let worker = null;
+let nextWorkerRequestId = 0;
+const workerRequests = new Map();
+
+const indexTimers = new Map();
+let indexQueue = Promise.resolve();
+
+const rejectWorkerRequests = (error) => {
+  workerRequests.forEach(request => request.reject(error));
+  workerRequests.clear();
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./embeddingWorker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('message', ({ data }) => {
+      const request = workerRequests.get(data.id);
+      if (!request) return;
+
+      workerRequests.delete(data.id);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.embeddings);
+      }
+    });
+    worker.addEventListener('error', (event) => {
+      // A crashed worker is replaced on the next request
+      rejectWorkerRequests(new Error(event.message || 'The embedding worker stopped'));
+      worker.terminate();
+      worker = null;
+    });
+  }
+  return worker;
+};
+
+/**
+ * Embed texts with a model in the worker
+ * @returns {Promise<Array>} One vector per text
+ */
+const embedInWorker = (modelName, texts) => new Promise((resolve, reject) => {
+  const id = ++nextWorkerRequestId;
+  workerRequests.set(id, { resolve, reject });
+  getWorker().postMessage({
+    id,
+    texts,
+    model: {
+      modelPath: new URL(NEURAL_MODEL_PATH, window.location.href).href,
+      modelName
+    }
+  });
+});
+
+// Built-in model; IDF weights come from the stored document statistics
+const tfidfModel = {
+  id: TFIDF_MODEL_ID,
+  usesDocumentStatistics: true,
+  embed: async (texts) => texts.map(text => embeddingService.generateEmbedding(text)),
+  similarity: (vec1, vec2) => embeddingService.similarity(vec1, vec2)
+};
+
+// Neural models return normalized vectors, so plain cosine similarity applies
+const createNeuralModel = ({ id, modelName }) => ({
+  id,
+  usesDocumentStatistics: false,
+  embed: (texts) => embedInWorker(modelName, texts),
+  similarity: (vec1, vec2) => embeddingService.cosineSimilarity(vec1, vec2)
+});
+
+/**
+ * Id of the embedding model new embeddings are made with
+ * @returns {string} One of the EMBEDDING_MODELS ids
+ */
+export const getEmbeddingModelId = () => {
+  const id = localStorage.getItem(EMBEDDING_MODEL_KEY);
+  return EMBEDDING_MODELS.some(model => model.id === id) ? id : TFIDF_MODEL_ID;
+};
+
+/**
+ * Choose the embedding model. Embeddings made by the previous model stay
+ * unused until the index is rebuilt.
+ * @param {string} id - One of the EMBEDDING_MODELS ids
+ */
+export const setEmbeddingModelId = (id) => {
+  localStorage.setItem(EMBEDDING_MODEL_KEY, id);
+};
+
+const getEmbeddingModel = () => {
+  const id = getEmbeddingModelId();
+  return id === TFIDF_MODEL_ID ? tfidfModel : createNeuralModel(EMBEDDING_MODELS.find(model => model.id === id));
+};
+
+/**
+ * Load the saved document statistics once
+ * @returns {Promise<void>}
+ */
+const ensureModelState = () => {
+  if (!modelStatePromise) {
+    modelStatePromise = getSearchIndexState(MODEL_STATE_ID)
+      .then(state => embeddingService.loadState(state))
+      .catch((error) => {
+        // Try again next time, e.g. after the app is unlocked
+        modelStatePromise = null;
+        throw error;
+      });
+  }
+  return modelStatePromise;
+};
+
+const saveModelState = () => saveSearchIndexState(embeddingService.toState());
+
+/**
+ * Generate an embedding for text with the chosen model
+ * @param {string} text - Text to embed
+ * @returns {Promise<Array>} Embedding vector
+ */
+export const generateEmbedding = async (text) => {
+  const model = getEmbeddingModel();
+  if (model.usesDocumentStatistics) await ensureModelState();
+  const [embedding] = await model.embed([text]);
+  return embedding;
+};
+
+const isIndexable = (message) => !message.isError && !!message.text && message.text.length > MIN_INDEXED_LENGTH;
+
+/**
+ * Embed messages in one call to the model
+ * @param {Object} model - Model from getEmbeddingModel
+ * @param {Array} items - `{ chatId, message }` pairs
+ * @returns {Promise<Array>} Embedding records ready to store
+ */
+const buildEmbeddingRecords = async (model, items) => {
+  const vectors = await model.embed(items.map(({ message }) => message.text));
+
+  return items.map(({ chatId, message }, index) => ({
+    id: `${chatId}-${message.id}`,
+    chatId,
+    messageId: message.id,
+    text: message.text,
+    embedding: vectors[index],
+    model: model.id,
+    timestamp: message.timestamp
+  }));
+};
+
+/**
+ * Keep the document statistics in step with the stored TF-IDF embeddings
+ * @param {Array} removed - Embeddings deleted or overwritten
+ * @param {Array} added - Embeddings stored
+ */
+const updateDocumentStatistics = async (removed, added) => {
+  const isCounted = embedding => embedding.model === TFIDF_MODEL_ID;
+  if (!removed.some(isCounted) && !added.some(isCounted)) return;
+
+  // Start from the stored copy; another tab may have indexed since this one loaded it
+  embeddingService.loadState(await getSearchIndexState(MODEL_STATE_ID));
+  removed.filter(isCounted).forEach(embedding => embeddingService.removeDocument(embedding.embedding));
+  added.filter(isCounted).forEach(embedding => embeddingService.addDocument(embedding.embedding));
+  await saveModelState();
+  modelStatePromise = Promise.resolve();
+};
+
+/**
+ * Run index updates one at a time, in the same queue as re-indexing
+ * @param {Function} task - Async update
+ * @returns {Promise<void>}
+ */
+const enqueueIndexTask = (task) => {
+  indexQueue = indexQueue
+    .then(task)
+    .catch(error => console.error('Error updating the search index:', error));
+  return indexQueue;
+};
+
 /**
- * Process and store embeddings for a chat session
+ * Bring a chat's embeddings up to date: embed new and edited messages and
+ * drop embeddings of messages that are gone. Unchanged messages are skipped.
  * @param {Object} chatSession - Chat session object
  * @returns {Promise<void>}
  */
-export const processChatEmbeddings = async (chatSession) => {
-  try {
-    for (const message of chatSession.messages) {
-      if (message.text && message.text.length > 10) {
-        // Update vocabulary with this message
-        const tokens = embeddingService.tokenize(message.text);
-        embeddingService.updateIDF(tokens);
-
-        // Generate embedding
-        const embedding = embeddingService.generateEmbedding(message.text);
-
-        // Store embedding
-        await saveEmbedding({
-          id: `${chatSession.id}-${message.id}`,
-          chatId: chatSession.id,
-          messageId: message.id,
-          text: message.text,
-          embedding: embedding,
-          timestamp: message.timestamp
-        });
-      }
+export const processChatEmbeddings = (chatSession) => enqueueIndexTask(async () => {
+  const model = getEmbeddingModel();
+  const stored = new Map((await getEmbeddingsByChat(chatSession.id)).map(embedding => [embedding.id, embedding]));
+  const changed = [];
+  const replaced = [];
+
+  (chatSession.messages || []).filter(isIndexable).forEach((message) => {
+    const previous = stored.get(`${chatSession.id}-${message.id}`);
+    stored.delete(`${chatSession.id}-${message.id}`);
+
+    if (previous?.model !== model.id || previous.text !== message.text) {
+      changed.push({ chatId: chatSession.id, message });
+      if (previous) replaced.push(previous);
     }
-  } catch (error) {
-    console.error('Error processing chat embeddings:', error);
+  });
+
+  // Whatever is left belongs to messages that were deleted or emptied
+  const removed = [...stored.values()];
+  if (changed.length === 0 && removed.length === 0) return;
+
+  const records = changed.length > 0 ? await buildEmbeddingRecords(model, changed) : [];
+  if (records.length > 0) await saveEmbeddings(records);
+  for (const embedding of removed) {
+    await deleteEmbedding(embedding.id);
   }
+  await updateDocumentStatistics([...replaced, ...removed], records);
+});
+
+/**
+ * Index a saved chat once it stops changing, so a streaming reply is
+ * embedded once rather than for every chunk
+ * @param {Object} chatSession - Chat session as just saved
+ */
+export const scheduleChatIndexing = (chatSession) => {
+  clearTimeout(indexTimers.get(chatSession.id));
+  indexTimers.set(chatSession.id, setTimeout(() => {
+    indexTimers.delete(chatSession.id);
+    processChatEmbeddings(chatSession);
+  }, INDEX_DEBOUNCE_MS));
+};
+
+/**
+ * Delete every embedding of a chat, e.g. when the chat is deleted
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<void>}
+ */
+export const removeChatEmbeddings = (chatId) => {
+  clearTimeout(indexTimers.get(chatId));
+  indexTimers.delete(chatId);
+
+  return enqueueIndexTask(async () => {
+    const embeddings = await getEmbeddingsByChat(chatId);
+    if (embeddings.length === 0) return;
+
+    await deleteEmbeddingsByChat(chatId);
+    await updateDocumentStatistics(embeddings, []);
+  });
+};
+
+/**
+ * Score stored embeddings against a vector, skipping ones made by another model
+ */
+const rankEmbeddings = (model, queryEmbedding, embeddings) => {
+  return embeddings
+    .filter(embedding => embedding.model === model.id)
+    .map(embedding => ({
+      ...embedding,
+      similarity: model.similarity(queryEmbedding, embedding.embedding)
+    }));
 };
 
 /**
  * Search for similar messages using semantic similarity
  * @param {string} query - Search query
- * @param {string} chatId - Optional chat ID to limit search
+ * @param {string} chatId - Optional chat ID to limit search; null searches every chat
  * @param {number} limit - Maximum number of results
- * @returns {Promise<Array>} Array of similar messages with scores
+ * @returns {Promise<Array>} Stored embeddings `{ chatId, messageId, text, timestamp }` with a `similarity` score, best first
  */
 export const semanticSearch = async (query, chatId = null, limit = 10) => {
   try {
     if (!query || query.length < 3) return [];
+    const model = getEmbeddingModel();
 
     // Generate embedding for query
-    const queryEmbedding = embeddingService.generateEmbedding(query);
+    const queryEmbedding = await generateEmbedding(query);
 
     // Get embeddings to search
-    let embeddings;
-    if (chatId) {
-      embeddings = await getEmbeddingsByChat(chatId);
-    } else {
-      // This would require a more complex query across all chats
-      // For now, we'll implement a simpler version
-      embeddings = [];
-    }
-
-    // Calculate similarities
-    const results = embeddings.map(embedding => ({
-      ...embedding,
-      similarity: embeddingService.cosineSimilarity(queryEmbedding, embedding.embedding)
-    }));
+    const embeddings = chatId ? await getEmbeddingsByChat(chatId) : await getAllEmbeddings();
 
     // Sort by similarity and return top results
-    return results
+    return rankEmbeddings(model, queryEmbedding, embeddings)
       .filter(result => result.similarity > 0.1) // Minimum similarity threshold
       .sort((a, b) => b.similarity - a.similarity)
       .slice(0, limit);
@@ -207,25 +502,131 @@ export const semanticSearch = async (query, chatId = null, limit = 10) => {
  */
 export const getRelatedMessages = async (messageText, chatId, limit = 5) => {
   try {
-    const messageEmbedding = embeddingService.generateEmbedding(messageText);
+    const model = getEmbeddingModel();
+    const messageEmbedding = await generateEmbedding(messageText);
     const chatEmbeddings = await getEmbeddingsByChat(chatId);
 
-    const results = chatEmbeddings
-      .map(embedding => ({
-        ...embedding,
-        similarity: embeddingService.cosineSimilarity(messageEmbedding, embedding.embedding)
-      }))
+    return rankEmbeddings(model, messageEmbedding, chatEmbeddings)
       .filter(result => result.similarity > 0.2 && result.text !== messageText)
       .sort((a, b) => b.similarity - a.similarity)
       .slice(0, limit);
-
-    return results;
   } catch (error) {
     console.error('Error getting related messages:', error);
     return [];
   }
 };
 
+/**
+ * Describe the stored index
+ * @returns {Promise<Object>} `{ model, indexed, total, outdated, progress }`:
+ * messages indexed with the current model, messages that should be, embeddings
+ * left by another model, and `{ done, total }` while re-indexing
+ */
+export const getIndexStatus = async () => {
+  const model = getEmbeddingModelId();
+  const [sessions, embeddings] = await Promise.all([getChatSessions(), getAllEmbeddings()]);
+  const indexed = embeddings.filter(embedding => embedding.model === model).length;
+
+  return {
+    model,
+    indexed,
+    total: sessions.reduce((count, session) => count + (session.messages || []).filter(isIndexable).length, 0),
+    outdated: embeddings.length - indexed,
+    progress: reindexProgress
+  };
+};
+
+/**
+ * Listen for re-index progress
+ * @param {Function} listener - Called with `{ done, total }` while running and null when finished
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToReindexProgress = (listener) => {
+  progressListeners.add(listener);
+  return () => progressListeners.delete(listener);
+};
+
+const setReindexProgress = (progress) => {
+  reindexProgress = progress;
+  progressListeners.forEach(listener => listener(progress));
+};
+
+// Give the UI a turn between batches
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Rebuild the whole index from the stored chats in the background with the
+ * chosen model, a batch at a time. Concurrent calls share one run.
+ * @returns {Promise<number>} Number of messages indexed
+ */
+export const reindexAllChats = () => {
+  if (!reindexJob) {
+    // Queued updates finish first; updates queued later see the rebuilt index
+    reindexJob = indexQueue.then(async () => {
+      const model = getEmbeddingModel();
+      const sessions = await getChatSessions();
+      const messages = sessions.flatMap(session => (
+        (session.messages || []).filter(isIndexable).map(message => ({ chatId: session.id, message }))
+      ));
+      const staleIds = new Set((await getAllEmbeddings()).map(embedding => embedding.id));
+
+      // Every stored embedding is rewritten or deleted, so count from zero
+      embeddingService.loadState(null);
+      setReindexProgress({ done: 0, total: messages.length });
+
+      for (let start = 0; start < messages.length; start += REINDEX_BATCH_SIZE) {
+        const records = await buildEmbeddingRecords(model, messages.slice(start, start + REINDEX_BATCH_SIZE));
+
+        records.forEach((record) => {
+          if (model.usesDocumentStatistics) embeddingService.addDocument(record.embedding);
+          staleIds.delete(record.id);
+        });
+        await saveEmbeddings(records);
+
+        setReindexProgress({ done: Math.min(start + REINDEX_BATCH_SIZE, messages.length), total: messages.length });
+        await yieldToBrowser();
+      }
+
+      for (const id of staleIds) {
+        await deleteEmbedding(id);
+      }
+      await saveModelState();
+      modelStatePromise = Promise.resolve();
+
+      return messages.length;
+    }).catch((error) => {
+      console.error('Error rebuilding the search index:', error);
+      // Reload whatever statistics were saved rather than half-built ones
+      modelStatePromise = null;
+      throw error;
+    }).finally(() => {
+      reindexJob = null;
+      setReindexProgress(null);
+    });
+    indexQueue = reindexJob.catch(() => {});
+  }
+
+  return reindexJob;
+};
+
+/**
+ * Start a re-index if stored embeddings come from another model or messages
+ * are missing from the index
+ * @returns {Promise<boolean>} Whether a re-index was started
+ */
+export const reindexIfOutdated = async () => {
+  try {
+    const status = await getIndexStatus();
+    if (status.outdated === 0 && status.indexed >= status.total) return false;
+
+    reindexAllChats().catch(() => {});
+    return true;
+  } catch (error) {
+    console.error('Error checking the search index:', error);
+    return false;
+  }
+};
+
 /**
  * Analyze sentiment of text (simple rule-based approach)
  * @param {string} text - Text to analyze
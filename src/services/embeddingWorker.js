@@ -0,0 +1,41 @@
+// Embedding worker for running the on-device sentence-embedding model off the main thread
+//
+// Requests are `{ id, texts, model: { modelPath, modelName } }`; replies are
+// `{ id, embeddings }` or `{ id, error }`. The model loads on the first
+// request and stays in memory for the life of the worker.
+
+import { pipeline, env } from '@huggingface/transformers';
+
+// Model files come from the app's own assets, never from a model hub
+env.allowRemoteModels = false;
+env.allowLocalModels = true;
+// transformers.js points the ONNX runtime at a CDN copy of its WebAssembly
+// build; without that the runtime loads the copy bundled with the app
+env.backends.onnx.wasm.wasmPaths = undefined;
+
+let extractorPromise = null;
+
+const loadExtractor = ({ modelPath, modelName }) => {
+  if (!extractorPromise) {
+    env.localModelPath = modelPath;
+    extractorPromise = pipeline('feature-extraction', modelName)
+      .catch((error) => {
+        // Let the next request try again, e.g. after the files were added
+        extractorPromise = null;
+        throw error;
+      });
+  }
+  return extractorPromise;
+};
+
+self.addEventListener('message', async ({ data }) => {
+  const { id, texts, model } = data;
+
+  try {
+    const extractor = await loadExtractor(model);
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    self.postMessage({ id, embeddings: output.tolist() });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'The embedding model could not run' });
+  }
+});
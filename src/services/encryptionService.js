@@ -0,0 +1,386 @@
+// Encryption service for the optional passphrase lock on stored conversations
+//
+// Records are sealed with AES-GCM under a key derived from the passphrase
+// with PBKDF2. The key only lives in memory; locking forgets it. Ids and the
+// fields storage indexes need stay readable, everything else is encrypted;
+// blobs such as attachment files are encrypted as binary beside the record.
+
+import { getStorageBackend } from './storage/index.js';
+
+const ENCRYPTION_SETTINGS_KEY = 'patel-chat-encryption';
+const PBKDF2_ITERATIONS = 600000;
+// Encrypted with the key so a wrong passphrase is caught before any record is read
+const VERIFIER_TEXT = 'patel-chat-unlock-check';
+
+/**
+ * Fields left in plain text per store; storage indexes and last-writer-wins
+ * checks read them without the key. Store names are spelled out to avoid
+ * importing indexedDBService, which depends on this module.
+ */
+const PLAIN_FIELDS = {
+  chatSessions: ['id', 'lastUpdatedAt', 'createdAt'],
+  quickPrompts: ['id'],
+  personas: ['id'],
+  embeddings: ['id', 'chatId', 'messageId'],
+  searchIndex: ['id'],
+  attachments: ['id', 'chatId']
+};
+
+export const ENCRYPTED_STORES = Object.keys(PLAIN_FIELDS);
+
+export const AUTO_LOCK_OPTIONS = [0, 5, 15, 30, 60];
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+let activeKey = null;
+const lockListeners = new Set();
+
+// Chunked so long chats do not overflow the argument limit of fromCharCode
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptText = async (key, text) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: toBase64(iv), data: toBase64(data) };
+};
+
+const decryptText = async (key, { iv, data }) => {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+  return new TextDecoder().decode(plain);
+};
+
+// Kept as a Blob so large files are not inflated to base64 text
+const encryptBlob = async (key, blob) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await blob.arrayBuffer());
+  return { iv: toBase64(iv), type: blob.type, data: new Blob([data]) };
+};
+
+const decryptBlob = async (key, { iv, type, data }) => {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, await data.arrayBuffer());
+  return new Blob([plain], { type });
+};
+
+const readSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ENCRYPTION_SETTINGS_KEY) || 'null');
+  } catch (error) {
+    console.error('Error reading encryption settings:', error);
+    return null;
+  }
+};
+
+const writeSettings = (settings) => {
+  if (settings) {
+    localStorage.setItem(ENCRYPTION_SETTINGS_KEY, JSON.stringify(settings));
+  } else {
+    localStorage.removeItem(ENCRYPTION_SETTINGS_KEY);
+  }
+};
+
+const notifyLockChange = () => {
+  const locked = isLocked();
+  lockListeners.forEach(listener => listener(locked));
+};
+
+/**
+ * Whether a passphrase has been set
+ * @returns {boolean}
+ */
+export const isEncryptionEnabled = () => !!readSettings()?.enabled;
+
+/**
+ * Whether encrypted records cannot be read until the passphrase is entered
+ * @returns {boolean}
+ */
+export const isLocked = () => isEncryptionEnabled() && !activeKey;
+
+/**
+ * Minutes without activity before the app locks itself; 0 means never
+ * @returns {number}
+ */
+export const getAutoLockMinutes = () => readSettings()?.autoLockMinutes ?? 15;
+
+/**
+ * Listen for the app being locked or unlocked, including when encryption is
+ * turned on or off in another tab
+ * @param {Function} listener - Called with `true` when locked, `false` when unlocked
+ * @returns {Function} Unsubscribe function
+ */
+export const onLockChange = (listener) => {
+  lockListeners.add(listener);
+  return () => lockListeners.delete(listener);
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== ENCRYPTION_SETTINGS_KEY) return;
+    // A passphrase set or removed elsewhere makes any key held here stale
+    const saltOf = (value) => (value ? JSON.parse(value).salt : null);
+    if (saltOf(event.oldValue) !== saltOf(event.newValue)) {
+      activeKey = null;
+      notifyLockChange();
+    }
+  });
+}
+
+/**
+ * Wait until the passphrase has been entered; resolves at once when there is
+ * nothing to unlock
+ * @returns {Promise<void>}
+ */
+export const waitUntilUnlocked = () => new Promise((resolve) => {
+  if (!isLocked()) {
+    resolve();
+    return;
+  }
+  const unsubscribe = onLockChange((locked) => {
+    if (!locked) {
+      unsubscribe();
+      resolve();
+    }
+  });
+});
+
+const deriveVerifiedKey = async (settings, passphrase) => {
+  const key = await deriveKey(passphrase, fromBase64(settings.salt));
+  try {
+    await decryptText(key, settings.verifier);
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+  return key;
+};
+
+/**
+ * Unlock with the passphrase
+ * @param {string} passphrase - Passphrase entered by the user
+ * @returns {Promise<void>} Rejects when the passphrase is wrong
+ */
+export const unlock = async (passphrase) => {
+  const settings = readSettings();
+  if (!settings?.enabled) return;
+
+  activeKey = await deriveVerifiedKey(settings, passphrase);
+  notifyLockChange();
+};
+
+/**
+ * Check a passphrase without changing the lock state
+ * @param {string} passphrase - Passphrase entered by the user
+ * @returns {Promise<void>} Rejects when the passphrase is wrong or encryption is off
+ */
+export const verifyPassphrase = async (passphrase) => {
+  const settings = readSettings();
+  if (!settings?.enabled) throw new Error('Encryption is off');
+  await deriveVerifiedKey(settings, passphrase);
+};
+
+/**
+ * Encrypt text that leaves the device, such as a backup file, under a key
+ * derived from the passphrase and a fresh salt stored beside it
+ * @param {string} passphrase - Passphrase to encrypt with
+ * @param {string} text - Plain text
+ * @returns {Promise<Object>} `{ salt, iv, data }`, all base64
+ */
+export const encryptWithPassphrase = async (passphrase, text) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt);
+  return { salt: toBase64(salt), ...(await encryptText(key, text)) };
+};
+
+/**
+ * Decrypt text sealed by encryptWithPassphrase
+ * @param {string} passphrase - Passphrase entered by the user
+ * @param {Object} sealed - `{ salt, iv, data }`
+ * @returns {Promise<string>} Plain text; rejects when the passphrase is wrong
+ */
+export const decryptWithPassphrase = async (passphrase, { salt, iv, data }) => {
+  const key = await deriveKey(passphrase, fromBase64(salt));
+  try {
+    return await decryptText(key, { iv, data });
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+};
+
+/**
+ * Forget the key; stored records stay encrypted until the next unlock
+ */
+export const lock = () => {
+  if (!activeKey) return;
+  activeKey = null;
+  notifyLockChange();
+};
+
+/**
+ * Encrypt a record before it is stored. Records of other stores, and all
+ * records while encryption is off, are returned unchanged.
+ * @param {string} storeName - Store the record belongs to
+ * @param {Object} record - Plain record
+ * @param {CryptoKey} [key] - Key to use instead of the unlocked one
+ * @returns {Promise<Object>} Record with the encrypted fields in `$enc` and
+ * encrypted blobs in `$encBlobs`
+ */
+export const encryptRecord = async (storeName, record, key = activeKey) => {
+  const plainFields = PLAIN_FIELDS[storeName];
+  if (!plainFields || !isEncryptionEnabled()) return record;
+  if (!key) throw new Error('Patel Chat is locked');
+
+  const sealed = {};
+  const secret = {};
+  const blobs = {};
+  Object.entries(record).forEach(([field, value]) => {
+    if (plainFields.includes(field)) {
+      sealed[field] = value;
+    } else if (value instanceof Blob) {
+      blobs[field] = value;
+    } else {
+      secret[field] = value;
+    }
+  });
+
+  sealed.$enc = await encryptText(key, JSON.stringify(secret));
+  if (Object.keys(blobs).length > 0) {
+    sealed.$encBlobs = {};
+    for (const [field, blob] of Object.entries(blobs)) {
+      sealed.$encBlobs[field] = await encryptBlob(key, blob);
+    }
+  }
+  return sealed;
+};
+
+/**
+ * Decrypt a stored record; records that were never encrypted pass through
+ * @param {Object|null} record - Stored record
+ * @param {CryptoKey} [key] - Key to use instead of the unlocked one
+ * @returns {Promise<Object|null>} Plain record
+ */
+export const decryptRecord = async (record, key = activeKey) => {
+  if (!record?.$enc) return record;
+  if (!key) throw new Error('Patel Chat is locked');
+
+  const { $enc, $encBlobs = {}, ...plain } = record;
+  const secret = JSON.parse(await decryptText(key, $enc));
+  for (const [field, blob] of Object.entries($encBlobs)) {
+    secret[field] = await decryptBlob(key, blob);
+  }
+  return { ...secret, ...plain };
+};
+
+/**
+ * Rewrite every record of the encrypted stores in one transaction
+ * @param {Function} transform - Maps a stored record to the record to store
+ */
+const rewriteEncryptedStores = async (transform) => {
+  const backend = await getStorageBackend();
+  const itemsByStore = {};
+
+  for (const storeName of ENCRYPTED_STORES) {
+    const records = await backend.getAll(storeName);
+    itemsByStore[storeName] = await Promise.all(records.map(record => transform(storeName, record)));
+  }
+
+  await backend.replaceStores(itemsByStore);
+};
+
+/**
+ * Set a passphrase and encrypt everything already stored
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<void>}
+ */
+export const enableEncryption = async (passphrase) => {
+  if (isEncryptionEnabled()) throw new Error('Encryption is already on');
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt);
+
+  // Settings go first: plain records stay readable with encryption on, but
+  // encrypted records without settings would be lost
+  writeSettings({
+    enabled: true,
+    salt: toBase64(salt),
+    verifier: await encryptText(key, VERIFIER_TEXT),
+    autoLockMinutes: getAutoLockMinutes()
+  });
+  activeKey = key;
+  await rewriteEncryptedStores((storeName, record) => (
+    record.$enc ? record : encryptRecord(storeName, record, key)
+  ));
+  notifyLockChange();
+};
+
+/**
+ * Remove the passphrase and store everything in plain text again
+ * @param {string} passphrase - Current passphrase
+ * @returns {Promise<void>}
+ */
+export const disableEncryption = async (passphrase) => {
+  await unlock(passphrase);
+  const key = activeKey;
+
+  await rewriteEncryptedStores((storeName, record) => decryptRecord(record, key));
+  writeSettings(null);
+  activeKey = null;
+  notifyLockChange();
+};
+
+/**
+ * Set how long the app may sit idle before locking itself
+ * @param {number} minutes - One of AUTO_LOCK_OPTIONS; 0 turns auto-lock off
+ */
+export const setAutoLockMinutes = (minutes) => {
+  const settings = readSettings();
+  if (settings) {
+    writeSettings({ ...settings, autoLockMinutes: minutes });
+  }
+};
+
+/**
+ * Lock after the configured time without keyboard, pointer or touch input.
+ * Settings are read on every reset, so changes apply without restarting.
+ * @returns {Function} Stops the idle timer
+ */
+export const startAutoLock = () => {
+  let timer = null;
+  const resetTimer = () => {
+    clearTimeout(timer);
+    const minutes = getAutoLockMinutes();
+    if (isEncryptionEnabled() && minutes) {
+      timer = setTimeout(lock, minutes * 60 * 1000);
+    }
+  };
+
+  resetTimer();
+  ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, resetTimer, { passive: true }));
+
+  return () => {
+    clearTimeout(timer);
+    ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, resetTimer));
+  };
+};
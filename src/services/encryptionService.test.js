@@ -0,0 +1,46 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { enableEncryption, disableEncryption } from './encryptionService.js';
+import { initDB, getAttachment, saveAttachment, STORES } from './indexedDBService.js';
+import { getStorageBackend } from './storage/index.js';
+
+const settings = new Map();
+vi.stubGlobal('localStorage', {
+  getItem: key => settings.get(key) ?? null,
+  setItem: (key, value) => settings.set(key, String(value)),
+  removeItem: key => settings.delete(key)
+});
+
+const attachment = (text) => ({
+  id: 'att-1',
+  chatId: 'chat-1',
+  name: 'notes.txt',
+  mimeType: 'text/plain',
+  size: text.length,
+  blob: new Blob([text], { type: 'text/plain' }),
+  createdAt: 1
+});
+
+describe('enableEncryption and disableEncryption', () => {
+  beforeAll(() => initDB());
+  afterEach(() => settings.clear());
+
+  it('encrypts stored attachments and decrypts them again', async () => {
+    await saveAttachment(attachment('quarterly figures'));
+    const backend = await getStorageBackend();
+
+    await enableEncryption('correct horse');
+    const stored = await backend.get(STORES.ATTACHMENTS, 'att-1');
+    expect(Object.keys(stored).sort()).toEqual(['$enc', '$encBlobs', 'chatId', 'id']);
+    expect(await stored.$encBlobs.blob.data.text()).not.toContain('quarterly figures');
+    const opened = await getAttachment('att-1');
+    expect(opened.name).toBe('notes.txt');
+    expect(opened.blob.type).toBe('text/plain');
+    expect(await opened.blob.text()).toBe('quarterly figures');
+
+    await disableEncryption('correct horse');
+    const plain = await backend.get(STORES.ATTACHMENTS, 'att-1');
+    expect(plain.$enc).toBeUndefined();
+    expect(await plain.blob.text()).toBe('quarterly figures');
+  });
+});
@@ -0,0 +1,207 @@
+// Chat export service for downloading conversations as files
+
+import JSZip from 'jszip';
+import { parseMessageSegments } from './messageContentService.js';
+import { normalizeMessageTree, getActiveThread } from './chatLogicService.js';
+import { formatChatAsHTML } from './htmlExportService.js';
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+  text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' }
+};
+
+/**
+ * Build a safe file name from a chat title
+ * @param {string} title - Chat title
+ * @param {string} suffix - Text appended to the base name
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+export const getExportFileName = (title, suffix, extension) => {
+  return `${(title || 'chat').replace(/[^a-z0-9]/gi, '_').toLowerCase()}${suffix}.${extension}`;
+};
+
+/**
+ * Trigger a browser download for the given content
+ * @param {string|Blob} content - File content
+ * @param {string} fileName - Download file name
+ * @param {string} mimeType - MIME type used when `content` is a string
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Download chat data in our own JSON format
+ * @param {Object} chatData - Session fields (`id`, `title`, `messages`, `activeLeafId`, ...) plus `exportedAt`
+ * @param {string} [fileSuffix] - Text appended to the file name
+ */
+export const exportChatAsJSON = (chatData, fileSuffix = '') => {
+  downloadFile(
+    JSON.stringify(chatData, null, 2),
+    getExportFileName(chatData.title, fileSuffix, 'json'),
+    'application/json'
+  );
+};
+
+/**
+ * Format message text as Markdown. Display math is written as `$$` blocks on
+ * their own lines, which GitHub, Obsidian and Pandoc all read as display math;
+ * inline `$...$` math is kept as-is.
+ * @param {string} text - Message text
+ * @returns {string} Markdown
+ */
+export const formatMessageMarkdown = (text) => {
+  return parseMessageSegments(text).map((segment) => {
+    if (segment.type === 'math') {
+      return `$$\n${segment.content}\n$$\n`;
+    }
+    return text.slice(segment.start, segment.end);
+  }).join('\n').trim();
+};
+
+/**
+ * Format a conversation thread as a Markdown document
+ * @param {string} title - Chat title
+ * @param {Array} messages - Messages in thread order
+ * @returns {string} Markdown document
+ */
+export const formatChatAsMarkdown = (title, messages) => {
+  const sections = messages.map((message) => {
+    const author = message.sender === 'user' ? 'You' : 'Assistant';
+    const time = new Date(message.timestamp).toLocaleString();
+    let section = `### ${author} · ${time}\n\n${formatMessageMarkdown(message.text)}`;
+
+    if (message.attachments?.length) {
+      section += `\n\n*Attachments: ${message.attachments.map(a => a.name).join(', ')}*`;
+    }
+
+    if (message.sources?.length) {
+      section += '\n\n**Sources**\n\n' + message.sources
+        .map((source, index) => `${index + 1}. [${source.title}](${source.uri})`)
+        .join('\n');
+    }
+
+    return section;
+  });
+
+  return `# ${title}\n\n${sections.join('\n\n---\n\n')}\n`;
+};
+
+/**
+ * Format a conversation thread as plain text
+ * @param {string} title - Chat title
+ * @param {Array} messages - Messages in thread order
+ * @returns {string} Plain text document
+ */
+export const formatChatAsText = (title, messages) => {
+  const sections = messages.map((message) => {
+    const author = message.sender === 'user' ? 'You' : 'Assistant';
+    const time = new Date(message.timestamp).toLocaleString();
+    let section = `${author} (${time}):\n\n${message.text.trim()}`;
+
+    if (message.attachments?.length) {
+      section += `\n\nAttachments: ${message.attachments.map(a => a.name).join(', ')}`;
+    }
+
+    if (message.sources?.length) {
+      section += '\n\nSources:\n' + message.sources
+        .map((source, index) => `[${index + 1}] ${source.title} - ${source.uri}`)
+        .join('\n');
+    }
+
+    return section;
+  });
+
+  return `${title}\n${'='.repeat(title.length)}\n\n${sections.join('\n\n' + '-'.repeat(40) + '\n\n')}\n`;
+};
+
+/**
+ * Build our JSON export of a session. Every branch is exported; `parentId`
+ * and `activeLeafId` rebuild the tree on import.
+ * @param {Object} session - Chat session
+ * @returns {Object} Chat data with `exportedAt`
+ */
+export const buildChatExport = (session) => {
+  const thread = getActiveThread(session);
+
+  return {
+    id: session.id,
+    title: session.title,
+    messages: normalizeMessageTree(session.messages),
+    activeLeafId: thread[thread.length - 1]?.id ?? null,
+    createdAt: session.createdAt,
+    lastUpdatedAt: session.lastUpdatedAt,
+    systemInstruction: session.systemInstruction,
+    provider: session.provider,
+    generationConfig: session.generationConfig,
+    exportedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Format a session in one of the EXPORT_FORMATS. Document formats contain the
+ * active branch; JSON contains the whole message tree.
+ * @param {Object} session - Chat session
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Promise<string>} File content
+ */
+export const formatChatExport = async (session, format) => {
+  const thread = getActiveThread(session);
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(buildChatExport(session), null, 2);
+    case 'markdown':
+      return formatChatAsMarkdown(session.title, thread);
+    case 'html':
+      return formatChatAsHTML(session.title, thread);
+    case 'text':
+      return formatChatAsText(session.title, thread);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+/**
+ * Download sessions in the given format: a single file for one session, or a
+ * zip with one file per session
+ * @param {Array} sessions - Chat sessions to export
+ * @param {string} format - Key of EXPORT_FORMATS
+ */
+export const exportChats = async (sessions, format) => {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+
+  if (sessions.length === 1) {
+    const [session] = sessions;
+    downloadFile(await formatChatExport(session, format), getExportFileName(session.title, '', extension), mimeType);
+    return;
+  }
+
+  const zip = new JSZip();
+  const usedNames = new Set();
+
+  for (const session of sessions) {
+    // Chats often share a title; number the duplicates
+    let fileName = getExportFileName(session.title, '', extension);
+    for (let n = 2; usedNames.has(fileName); n++) {
+      fileName = getExportFileName(session.title, `_${n}`, extension);
+    }
+    usedNames.add(fileName);
+
+    zip.file(fileName, await formatChatExport(session, format));
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(await zip.generateAsync({ type: 'blob' }), `patel_chat_export_${date}.zip`, 'application/zip');
+};
@@ -1,17 +1,31 @@
-// Gemini AI service for chat functionality
+// Chat service: dispatches messages to the LLM provider selected for a session
 
-const API_KEY = import.meta.env.VITE_API_KEY;
-let apiKeyError = null;
+import geminiProvider from './providers/geminiProvider.js';
+import { getAvailableProviders, resolveProvider } from './providers/index.js';
+import { isAbortError } from './providers/streamAdapter.js';
+import { getSessionGenerationConfig } from './chatLogicService.js';
+import {
+  loadAttachmentData,
+  loadHistoryAttachments,
+  getAttachmentsSize,
+  MAX_REQUEST_ATTACHMENT_BYTES
+} from './attachmentService.js';
 
-if (!API_KEY) {
-  apiKeyError = "API_KEY environment variable is not set. Gemini API will not be functional.";
-  console.error(apiKeyError);
-}
+export { isAbortError };
 
-export const getApiKeyError = () => apiKeyError;
-export const isGeminiAvailable = () => !!API_KEY && !apiKeyError;
+export const getApiKeyError = () => geminiProvider.getConfigError();
+export const isGeminiAvailable = () => geminiProvider.isAvailable();
 
-const DEFAULT_SYSTEM_INSTRUCTION = `You are Patel Chat, a versatile AI assistant. Your goal is to provide the most relevant and helpful response.
+/**
+ * Get the error to show when no provider at all is configured
+ * @returns {string|null} Configuration error, or null if a provider is usable
+ */
+export const getProviderConfigError = () => {
+  if (getAvailableProviders().length > 0) return null;
+  return getApiKeyError() || "No AI provider is configured.";
+};
+
+export const DEFAULT_SYSTEM_INSTRUCTION = `You are Patel Chat, a versatile AI assistant. Your goal is to provide the most relevant and helpful response.
 
 Identity and Creation:
 - If asked about your name, you are Patel Chat.
@@ -27,28 +41,30 @@ Decision Process:
 
 Formatting and Citations:
 - Always format your responses using Markdown (headings, lists, bold, italics, code blocks, etc.).
-- **Crucially: If, and ONLY IF, you used the Google Search tool to generate part of your response, you MUST cite your sources clearly at the end of your main answer. List them under a "Sources:" heading.**
-- If you did not use web search for the response, DO NOT include a "Sources:" section or mention sources.`;
+- Write math in LaTeX: $...$ for inline math and $$...$$ on their own lines for display math.
+- When you use the Google Search tool, do NOT write your own "Sources:" section or list of URLs. The sources you relied on are shown to the user automatically as citations next to your answer.`;
 
 /**
- * Format chat history for Gemini API
- * @param {Array} messages - Array of message objects
- * @returns {Array} Formatted history for Gemini
- */
-const formatHistoryForGemini = (messages) => {
-  return messages.map(msg => ({
-    role: msg.sender === 'user' ? 'user' : 'model',
-    parts: [{ text: msg.text }],
-  }));
-};
-
-/**
- * Sanitize chat history: remove any non-user messages from the beginning
+ * Sanitize chat history: drop model messages without text, which providers
+ * reject, and failed replies ("Sorry, I encountered an error…") along with
+ * any model messages that follow them, then remove any non-user messages
+ * from the beginning
  * @param {Array} history
  * @returns {Array} cleaned history
  */
 const sanitizeHistory = (history) => {
-  const cleaned = [...history];
+  let afterError = false;
+  const cleaned = history.filter((message) => {
+    if (message.isError) {
+      afterError = true;
+      return false;
+    }
+    if (message.sender === 'user') {
+      afterError = false;
+      return true;
+    }
+    return !afterError && !!message.text?.trim();
+  });
   while (cleaned.length && cleaned[0].sender !== 'user') {
     cleaned.shift();
   }
@@ -56,18 +72,27 @@ const sanitizeHistory = (history) => {
 };
 
 /**
- * Send a message to Gemini API and stream the response
+ * Send a message to the session's provider and stream the response
  * @param {string} messageText - User's message
  * @param {Array} history - Chat history
  * @param {string} systemInstructionOverride - Optional override for system instruction
+ * @param {Object} [options] - Request options
+ * @param {string} [options.providerId] - Provider selected for the chat session
+ * @param {Object} [options.generationConfig] - Generation parameters for the chat session
+ * @param {AbortSignal} [options.signal] - Signal that stops the request and its stream
+ * @param {Array} [options.attachments] - Attachment metadata sent with the message
  * @returns {Promise<AsyncIterable>} Stream adapter
  */
-export const sendMessage = async (messageText, history, systemInstructionOverride) => {
-  if (!isGeminiAvailable()) {
-    throw new Error(apiKeyError || "Gemini AI client is not available.");
+export const sendMessage = async (messageText, history, systemInstructionOverride, options = {}) => {
+  const provider = resolveProvider(options.providerId);
+
+  if (!provider.isAvailable()) {
+    throw new Error(provider.getConfigError() || `${provider.name} client is not available.`);
   }
 
-  if (!messageText.trim()) {
+  const attachments = options.attachments || [];
+
+  if (!messageText.trim() && attachments.length === 0) {
     throw new Error("Message text cannot be empty.");
   }
 
@@ -76,81 +101,84 @@ export const sendMessage = async (messageText, history, systemInstructionOverrid
     : DEFAULT_SYSTEM_INSTRUCTION;
 
   try {
-    const { GoogleGenerativeAI } = await import('@google/generative-ai');
-    const ai = new GoogleGenerativeAI(API_KEY);
-
-    const model = ai.getGenerativeModel({
-      model: 'gemini-2.0-flash-exp',
-      tools: [{ googleSearch: {} }],
-      systemInstruction: {
-        role: 'system',
-        parts: [{ text: activeSystemInstruction }]
-      }
+    const [historyWithAttachments, attachmentData] = await Promise.all([
+      // The new message's own attachments come first; history gets what is left
+      loadHistoryAttachments(sanitizeHistory(history), MAX_REQUEST_ATTACHMENT_BYTES - getAttachmentsSize(attachments)),
+      loadAttachmentData(attachments)
+    ]);
+
+    return await provider.sendMessageStream({
+      messageText,
+      attachments: attachmentData,
+      history: historyWithAttachments,
+      systemInstruction: activeSystemInstruction,
+      generationConfig: options.generationConfig || {},
+      signal: options.signal,
     });
-
-    const cleanedHistory = sanitizeHistory(history);
-
-    const chatInstance = model.startChat(
-      cleanedHistory.length > 0
-        ? { history: formatHistoryForGemini(cleanedHistory) }
-        : {} // No history if empty
-    );
-
-    const result = await chatInstance.sendMessageStream(messageText);
-    const sdkStream = result.stream;
-
-    if (!sdkStream || typeof sdkStream[Symbol.asyncIterator] !== 'function') {
-      console.error("Gemini SDK's sendMessageStream returned a null or non-iterable stream.", sdkStream);
-      throw new Error("Received a null or non-iterable stream from the API.");
+  } catch (error) {
+    if (isAbortError(error) || options.signal?.aborted) {
+      throw error;
     }
+    console.error(`Error sending message to ${provider.name}:`, error);
+    throw new Error(`${provider.name} API error: ${error.message || 'Unknown error'}`);
+  }
+};
 
-    let resolveAggregatedPromise;
-    let rejectAggregatedPromise;
+/**
+ * Stream a reply to `promptMessage` into a chat session, saving it as it
+ * arrives. `buildSession(fields)` returns the session with the reply patched
+ * with `fields`. When the user stops before any text arrived, the empty reply
+ * is dropped by saving `sessionWithoutReply` instead.
+ * @param {Object} request - Reply request
+ * @param {Object} request.session - Chat session the reply belongs to
+ * @param {Object} request.promptMessage - User message being answered
+ * @param {Array} request.history - Thread leading up to the prompt
+ * @param {Function} request.buildSession - `(fields) => session` with the reply patched
+ * @param {Object} request.sessionWithoutReply - Session as it was before the reply
+ * @param {Function} request.onUpdateChatSession - Saves a session and updates the app state
+ * @param {AbortSignal} [request.signal] - Signal the Stop button aborts
+ * @returns {Promise<void>} Rejects with errors other than a user stop
+ */
+export const streamReplyToSession = async ({
+  session,
+  promptMessage,
+  history,
+  buildSession,
+  sessionWithoutReply,
+  onUpdateChatSession,
+  signal
+}) => {
+  let fullResponse = '';
+  let hasStarted = false;
 
-    const aggregatedResponsePromise = new Promise((resolve, reject) => {
-      resolveAggregatedPromise = resolve;
-      rejectAggregatedPromise = reject;
+  try {
+    const stream = await sendMessage(promptMessage.text, history, session.systemInstruction, {
+      providerId: session.provider,
+      generationConfig: getSessionGenerationConfig(session),
+      signal,
+      attachments: promptMessage.attachments
     });
 
-    async function* streamAndAggregate() {
-      let fullText = '';
-      try {
-        for await (const chunk of sdkStream) {
-          const chunkText = chunk.text();
-          fullText += chunkText;
-
-          const chunkResponse = {
-            text: fullText,
-            candidates: [{
-              content: {
-                role: 'model',
-                parts: [{ text: fullText }],
-              },
-              index: 0
-            }]
-          };
-
-          yield chunkResponse;
-        }
-
-        const finalResponse = await result.response;
-        resolveAggregatedPromise(finalResponse);
-      } catch (err) {
-        console.error("Error during stream aggregation:", err);
-        rejectAggregatedPromise(err);
-        throw err;
-      }
-    }
-
-    const chatStreamAdapter = {
-      [Symbol.asyncIterator]: streamAndAggregate,
-      response: aggregatedResponsePromise,
-    };
+    hasStarted = true;
+    onUpdateChatSession(buildSession({ text: '', timestamp: Date.now() }));
 
-    return chatStreamAdapter;
+    for await (const chunk of stream) {
+      fullResponse = chunk.text;
+      onUpdateChatSession(buildSession({ text: fullResponse }));
+    }
 
+    const finalResponse = await stream.response;
+    if (finalResponse?.grounding) {
+      onUpdateChatSession(buildSession({ text: fullResponse, ...finalResponse.grounding }));
+    }
   } catch (error) {
-    console.error("Error sending message to Gemini:", error);
-    throw new Error(`Gemini API error: ${error.message || 'Unknown error'}`);
+    if (!isAbortError(error)) throw error;
+    if (!hasStarted) return;
+
+    // Keep whatever was streamed before the user pressed Stop; an empty
+    // reply would be sent back to the provider as an empty model turn
+    onUpdateChatSession(fullResponse
+      ? buildSession({ text: fullResponse, isStopped: true })
+      : sessionWithoutReply);
   }
 };
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import mockProvider from './providers/mockProvider.js';
+import { createStreamAdapter, createAbortError } from './providers/streamAdapter.js';
+import { sendMessage, streamReplyToSession } from './geminiService.js';
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(mockProvider, 'isAvailable').mockReturnValue(true);
+});
+
+describe('sendMessage', () => {
+  it('leaves error replies and what follows them out of the provider history', async () => {
+    const sendMessageStream = vi.spyOn(mockProvider, 'sendMessageStream').mockResolvedValue({});
+
+    const history = [
+      { id: 'u1', sender: 'user', text: 'First question', parentId: null },
+      { id: 'e1', sender: 'ai', text: 'Sorry, I encountered an error: quota exceeded', isError: true, parentId: 'u1' },
+      { id: 'a1', sender: 'ai', text: 'Continued after the error', parentId: 'e1' },
+      { id: 'u2', sender: 'user', text: 'Second question', parentId: 'a1' },
+      { id: 'a2', sender: 'ai', text: 'Second answer', parentId: 'u2' }
+    ];
+    await sendMessage('Third question', history, '', { providerId: 'mock' });
+
+    const sentHistory = sendMessageStream.mock.lastCall[0].history;
+    expect(sentHistory.map(message => message.id)).toEqual(['u1', 'u2', 'a2']);
+  });
+
+  it('leaves replies without text out of the provider history', async () => {
+    const sendMessageStream = vi.spyOn(mockProvider, 'sendMessageStream').mockResolvedValue({});
+
+    const history = [
+      { id: 'u1', sender: 'user', text: 'First question', parentId: null },
+      { id: 'a1', sender: 'ai', text: '', isStopped: true, parentId: 'u1' },
+      { id: 'u2', sender: 'user', text: 'Second question', parentId: 'a1' }
+    ];
+    await sendMessage('Third question', history, '', { providerId: 'mock' });
+
+    const sentHistory = sendMessageStream.mock.lastCall[0].history;
+    expect(sentHistory.map(message => message.id)).toEqual(['u1', 'u2']);
+  });
+});
+
+describe('streamReplyToSession', () => {
+  it('drops the reply when stopped before the first chunk', async () => {
+    const controller = new AbortController();
+    // A stream that sends nothing until it is stopped
+    vi.spyOn(mockProvider, 'sendMessageStream').mockImplementation(async ({ signal }) => (
+      createStreamAdapter(async function* () {
+        yield await new Promise((resolve, reject) => {
+          if (signal.aborted) reject(createAbortError());
+          signal.addEventListener('abort', () => reject(createAbortError()));
+        });
+      }, undefined, signal)
+    ));
+
+    const promptMessage = { id: 'u1', sender: 'user', text: 'Question', parentId: null };
+    const sessionWithoutReply = { id: 'chat-1', provider: 'mock', messages: [promptMessage] };
+    const buildSession = fields => ({
+      ...sessionWithoutReply,
+      messages: [promptMessage, { id: 'a1', sender: 'ai', parentId: 'u1', ...fields }]
+    });
+    // Stop as soon as the placeholder reply is shown
+    const onUpdateChatSession = vi.fn(() => controller.abort());
+
+    await streamReplyToSession({
+      session: sessionWithoutReply,
+      promptMessage,
+      history: [],
+      buildSession,
+      sessionWithoutReply,
+      onUpdateChatSession,
+      signal: controller.signal
+    });
+
+    expect(onUpdateChatSession).toHaveBeenCalledTimes(2);
+    expect(onUpdateChatSession).toHaveBeenLastCalledWith(sessionWithoutReply);
+  });
+});
@@ -0,0 +1,203 @@
+// HTML export service for self-contained chat documents that open in any browser
+
+import React from 'react';
+import katex from 'katex';
+import MarkdownRenderer from '../components/MarkdownRenderer.jsx';
+import ChartRenderer from '../components/ChartRenderer.jsx';
+import { parseMessageSegments, getSegmentCitations, addCitationLinks, isWebUrl } from './messageContentService.js';
+import { loadAttachmentData } from './attachmentService.js';
+import { renderMermaidSvg } from './mermaidService.js';
+
+const CHART_WIDTH = 640;
+
+// Diagrams and charts are drawn for the app's dark theme, so they keep a dark
+// backdrop; print-color-adjust stops browsers dropping it when printing.
+const DOCUMENT_STYLES = `
+  body { font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; }
+  h1.chat-title { font-size: 1.75rem; border-bottom: 2px solid #e5e7eb; padding-bottom: 0.5rem; }
+  .message { margin: 1.5rem 0; padding: 1rem 1.25rem; border-radius: 8px; border: 1px solid #e5e7eb; break-inside: avoid-page; }
+  .message.user { background: #eff6ff; border-color: #bfdbfe; }
+  .message-header { font-size: 0.85rem; color: #6b7280; margin-bottom: 0.5rem; }
+  .message-header strong { color: #111827; }
+  .markdown-content table { border-collapse: collapse; }
+  .markdown-content th, .markdown-content td { border: 1px solid #d1d5db; padding: 0.25rem 0.5rem; }
+  .markdown-content blockquote { border-left: 3px solid #d1d5db; margin-left: 0; padding-left: 0.75rem; color: #4b5563; }
+  .markdown-content :not(pre) > code { background: #f3f4f6; border-radius: 4px; padding: 0.1em 0.35em; }
+  .markdown-content a.citation-link { text-decoration: none; }
+  pre { background: #f3f4f6; border-radius: 6px; padding: 0.75rem; overflow-x: auto; white-space: pre-wrap; font-size: 0.85rem; }
+  figure { margin: 1rem 0; }
+  figure.code figcaption { font-size: 0.75rem; color: #6b7280; text-transform: uppercase; margin-bottom: 0.25rem; }
+  figure.visual { background: #1f2937; border-radius: 8px; padding: 1rem; text-align: center; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  figure.visual figcaption { color: #f9fafb; font-weight: 600; margin-bottom: 0.5rem; }
+  figure.visual svg, figure.visual img { max-width: 100%; height: auto; }
+  math[display="block"] { margin: 1rem 0; overflow-x: auto; }
+  .attachments { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 0.5rem; font-size: 0.85rem; color: #4b5563; }
+  .attachments img { max-height: 240px; max-width: 100%; border-radius: 4px; }
+  .sources { font-size: 0.85rem; color: #4b5563; margin-top: 0.75rem; }
+  .sources ol { padding-left: 1.5rem; margin: 0.25rem 0; }
+  a { color: #2563eb; }
+  @media print { body { margin: 0; max-width: none; } }
+`;
+
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const renderSource = (source) => {
+  const label = escapeHtml(source.title || source.uri);
+  return isWebUrl(source.uri) ? `<a href="${escapeHtml(source.uri)}">${label}</a>` : label;
+};
+
+const renderCodeBlock = (code, language) => {
+  return `<figure class="code"><figcaption>${escapeHtml(language || 'text')}</figcaption><pre><code>${escapeHtml(code)}</code></pre></figure>`;
+};
+
+/**
+ * Draw a chart config to an SVG image. The legend is HTML outside the SVG,
+ * so it is left out of the image.
+ */
+const renderChartImage = (config, renderToStaticMarkup) => {
+  const markup = renderToStaticMarkup(React.createElement(ChartRenderer, {
+    ...config,
+    width: CHART_WIDTH,
+    animate: false
+  }));
+  const svg = new DOMParser().parseFromString(markup, 'text/html').querySelector('svg.recharts-surface');
+  if (!svg) return null;
+
+  svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  const source = new XMLSerializer().serializeToString(svg);
+  const title = config.title ? `<figcaption>${escapeHtml(config.title)}</figcaption>` : '';
+
+  return `<figure class="visual">${title}<img src="data:image/svg+xml;charset=utf-8,${encodeURIComponent(source)}" alt="${escapeHtml(config.title || `${config.type || 'line'} chart`)}"></figure>`;
+};
+
+/**
+ * Render one message segment to HTML; diagrams and charts that fail to render
+ * fall back to their source as a code block
+ */
+const renderSegment = async (segment, message, renderToStaticMarkup) => {
+  switch (segment.type) {
+    case 'diagram':
+      try {
+        return `<figure class="visual">${await renderMermaidSvg(segment.content)}</figure>`;
+      } catch (error) {
+        console.error('Error rendering diagram for export:', error);
+        return renderCodeBlock(segment.content, 'mermaid');
+      }
+    case 'chart':
+      return renderChartImage(segment.config, renderToStaticMarkup) || renderCodeBlock(segment.content, segment.language);
+    case 'math':
+      // MathML renders natively in browsers without KaTeX's stylesheet and fonts
+      return katex.renderToString(segment.content, { displayMode: true, throwOnError: false, output: 'mathml' });
+    case 'code':
+      return renderCodeBlock(segment.content, segment.language);
+    default: {
+      const citations = getSegmentCitations(message.citations, segment);
+      const content = citations.length
+        ? addCitationLinks(segment.content, citations, message.sources)
+        : segment.content;
+
+      return renderToStaticMarkup(React.createElement(MarkdownRenderer, { content, isStatic: true }));
+    }
+  }
+};
+
+const renderAttachments = async (attachments) => {
+  const loaded = await loadAttachmentData(attachments);
+  const items = attachments.map((attachment) => {
+    const data = loaded.find(item => item.name === attachment.name);
+    if (data?.kind === 'image') {
+      return `<img src="data:${data.mimeType};base64,${data.data}" alt="${escapeHtml(attachment.name)}">`;
+    }
+    return `<span>📎 ${escapeHtml(attachment.name)}</span>`;
+  });
+
+  return `<div class="attachments">${items.join('')}</div>`;
+};
+
+const renderMessage = async (message, renderToStaticMarkup) => {
+  const author = message.sender === 'user' ? 'You' : 'Assistant';
+  const time = new Date(message.timestamp).toLocaleString();
+  const parts = [];
+
+  if (message.attachments?.length) {
+    parts.push(await renderAttachments(message.attachments));
+  }
+
+  for (const segment of parseMessageSegments(message.text)) {
+    parts.push(await renderSegment(segment, message, renderToStaticMarkup));
+  }
+
+  if (message.sources?.length) {
+    const sources = message.sources
+      .map(source => `<li>${renderSource(source)}</li>`)
+      .join('');
+    parts.push(`<div class="sources"><strong>Sources</strong><ol>${sources}</ol></div>`);
+  }
+
+  return `<section class="message ${message.sender === 'user' ? 'user' : 'ai'}">
+<div class="message-header"><strong>${author}</strong> · ${escapeHtml(time)}</div>
+${parts.join('\n')}
+</section>`;
+};
+
+/**
+ * Format a conversation thread as a self-contained HTML document: Markdown is
+ * rendered, diagrams are inlined as SVG, charts become images and math is MathML
+ * @param {string} title - Chat title
+ * @param {Array} messages - Messages in thread order
+ * @returns {Promise<string>} HTML document
+ */
+export const formatChatAsHTML = async (title, messages) => {
+  // Only needed while exporting, so kept out of the main bundle
+  const { renderToStaticMarkup } = await import('react-dom/server');
+  const sections = [];
+
+  for (const message of messages) {
+    sections.push(await renderMessage(message, renderToStaticMarkup));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${DOCUMENT_STYLES}</style>
+</head>
+<body>
+<h1 class="chat-title">${escapeHtml(title)}</h1>
+${sections.join('\n')}
+</body>
+</html>
+`;
+};
+
+/**
+ * Open the browser's print dialog for a conversation thread, where it can be
+ * saved as PDF. Printing happens in a hidden frame, so no pop-up is needed.
+ * @param {string} title - Chat title
+ * @param {Array} messages - Messages in thread order
+ */
+export const printChatAsPDF = async (title, messages) => {
+  const html = await formatChatAsHTML(title, messages);
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+
+  await new Promise((resolve) => {
+    frame.onload = () => {
+      const frameWindow = frame.contentWindow;
+      frameWindow.addEventListener('afterprint', () => frame.remove());
+      frameWindow.focus();
+      frameWindow.print();
+      resolve();
+    };
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+  });
+};
@@ -0,0 +1,444 @@
+// Chat import service for our own exports and other assistants' exports
+
+import JSZip from 'jszip';
+import { z } from 'zod';
+import { getChatSessions, saveChatSession, getAttachment } from './indexedDBService.js';
+import { DEFAULT_GENERATION_CONFIG, generateChatTitle } from './chatLogicService.js';
+import { getDefaultProviderId } from './providers/index.js';
+
+// --- Schemas ---
+
+const sourceSchema = z.object({ uri: z.string(), title: z.string() });
+const citationSchema = z.object({ endIndex: z.number(), sourceIndices: z.array(z.number()) });
+
+// Answer fields a message shares with its regenerated alternatives
+const answerFields = {
+  isError: z.boolean().optional(),
+  isStopped: z.boolean().optional(),
+  sources: z.array(sourceSchema).optional(),
+  citations: z.array(citationSchema).optional(),
+  searchQueries: z.array(z.string()).optional()
+};
+
+// Unknown fields are stripped, so state such as `isPending` (which would make
+// the offline queue send the message) never comes in from a file
+const ownMessageSchema = z.object({
+  id: z.string(),
+  text: z.string(),
+  sender: z.string(),
+  timestamp: z.number(),
+  parentId: z.string().nullable().optional(),
+  attachments: z.array(z.object({
+    id: z.string(),
+    name: z.string(),
+    mimeType: z.string(),
+    size: z.number()
+  })).optional(),
+  ...answerFields,
+  alternatives: z.array(z.object({ text: z.string(), timestamp: z.number(), ...answerFields })).optional(),
+  activeAlternative: z.number().int().optional()
+});
+
+// Same fields as DEFAULT_GENERATION_CONFIG; missing ones keep their defaults
+const generationConfigSchema = z.object({
+  model: z.string(),
+  temperature: z.number().nullable(),
+  topK: z.number().int().nullable(),
+  topP: z.number().nullable(),
+  maxOutputTokens: z.number().int().nullable(),
+  stopSequences: z.array(z.string()),
+  searchEnabled: z.boolean()
+}).partial();
+
+const ownExportSchema = z.object({
+  id: z.string().optional(),
+  title: z.string(),
+  messages: z.array(ownMessageSchema),
+  activeLeafId: z.string().nullable().optional(),
+  createdAt: z.number().optional(),
+  lastUpdatedAt: z.number().optional(),
+  systemInstruction: z.string().optional(),
+  provider: z.string().optional(),
+  generationConfig: generationConfigSchema.optional()
+});
+
+const chatGPTConversationSchema = z.object({
+  id: z.string().optional(),
+  conversation_id: z.string().optional(),
+  title: z.string().nullable().optional(),
+  create_time: z.number().nullable().optional(),
+  update_time: z.number().nullable().optional(),
+  current_node: z.string().nullable().optional(),
+  mapping: z.record(z.object({
+    id: z.string(),
+    parent: z.string().nullable().optional(),
+    message: z.object({
+      id: z.string(),
+      author: z.object({ role: z.string() }).passthrough(),
+      create_time: z.number().nullable().optional(),
+      content: z.object({
+        content_type: z.string(),
+        parts: z.array(z.any()).optional()
+      }).passthrough(),
+      metadata: z.record(z.any()).optional()
+    }).passthrough().nullable().optional()
+  }).passthrough())
+}).passthrough();
+
+const claudeConversationSchema = z.object({
+  uuid: z.string(),
+  name: z.string().nullable().optional(),
+  created_at: z.string(),
+  updated_at: z.string().optional(),
+  chat_messages: z.array(z.object({
+    uuid: z.string(),
+    sender: z.string(),
+    text: z.string().optional(),
+    created_at: z.string(),
+    parent_message_uuid: z.string().optional(),
+    content: z.array(z.object({
+      type: z.string(),
+      text: z.string().optional()
+    }).passthrough()).optional()
+  }).passthrough())
+}).passthrough();
+
+// --- Helpers ---
+
+/**
+ * Build a session from imported messages, filling in the fields new chats get
+ */
+const buildSession = ({ id, title, messages, activeLeafId, createdAt, lastUpdatedAt, ...rest }) => {
+  const firstTimestamp = messages[0]?.timestamp ?? Date.now();
+  const lastTimestamp = messages.reduce((latest, m) => Math.max(latest, m.timestamp), firstTimestamp);
+
+  return {
+    systemInstruction: '',
+    provider: getDefaultProviderId(),
+    generationConfig: { ...DEFAULT_GENERATION_CONFIG },
+    ...rest,
+    id,
+    title: title || generateChatTitle(messages),
+    messages,
+    activeLeafId: activeLeafId ?? messages[messages.length - 1]?.id ?? null,
+    createdAt: createdAt ?? firstTimestamp,
+    lastUpdatedAt: lastUpdatedAt ?? lastTimestamp
+  };
+};
+
+const toMillis = (value, fallback) => {
+  if (typeof value === 'number') return Math.round(value * 1000);
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Short deterministic hash so re-importing the same file de-duplicates
+ */
+const hashString = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// --- Converters ---
+
+const fromOwnExport = (data) => {
+  const messages = data.messages;
+  // Exports written before sessions carried their id fall back to the first message id
+  const id = data.id || `import-${messages[0]?.id || hashString(JSON.stringify(data))}`;
+
+  return buildSession({
+    ...(data.systemInstruction !== undefined && { systemInstruction: data.systemInstruction }),
+    ...(data.provider && { provider: data.provider }),
+    ...(data.generationConfig && { generationConfig: { ...DEFAULT_GENERATION_CONFIG, ...data.generationConfig } }),
+    id,
+    title: data.title,
+    messages,
+    activeLeafId: data.activeLeafId,
+    createdAt: data.createdAt,
+    lastUpdatedAt: data.lastUpdatedAt
+  });
+};
+
+const getChatGPTText = (message) => {
+  const parts = message.content.parts || [];
+  return parts.filter(part => typeof part === 'string').join('\n').trim();
+};
+
+/**
+ * ChatGPT stores each conversation as a tree in `mapping`; system, tool and
+ * hidden nodes are dropped and their children re-attached to the nearest kept ancestor
+ */
+const fromChatGPT = (conversation) => {
+  const conversationId = conversation.id || conversation.conversation_id;
+  const fallbackTime = toMillis(conversation.create_time ?? Date.now() / 1000, Date.now());
+  const nodes = conversation.mapping;
+
+  const isKept = (node) => {
+    const message = node?.message;
+    if (!message) return false;
+    if (!['user', 'assistant'].includes(message.author.role)) return false;
+    if (message.metadata?.is_visually_hidden_from_conversation) return false;
+    return getChatGPTText(message).length > 0;
+  };
+
+  const nearestKeptId = (nodeId) => {
+    let current = nodeId ? nodes[nodeId] : null;
+    while (current && !isKept(current)) {
+      current = current.parent ? nodes[current.parent] : null;
+    }
+    return current ? `chatgpt-${current.id}` : null;
+  };
+
+  const messages = Object.values(nodes)
+    .filter(isKept)
+    .map(node => ({
+      id: `chatgpt-${node.id}`,
+      text: getChatGPTText(node.message),
+      sender: node.message.author.role === 'user' ? 'user' : 'bot',
+      timestamp: toMillis(node.message.create_time ?? fallbackTime / 1000, fallbackTime),
+      parentId: nearestKeptId(node.parent)
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  return buildSession({
+    id: `chatgpt-${conversationId || hashString(JSON.stringify(conversation))}`,
+    title: conversation.title,
+    messages,
+    activeLeafId: nearestKeptId(conversation.current_node),
+    createdAt: conversation.create_time != null ? toMillis(conversation.create_time) : undefined,
+    lastUpdatedAt: conversation.update_time != null ? toMillis(conversation.update_time) : undefined
+  });
+};
+
+const fromClaude = (conversation) => {
+  const knownIds = new Set(conversation.chat_messages.map(m => m.uuid));
+
+  const messages = conversation.chat_messages
+    .map((message, index, all) => {
+      const contentText = (message.content || [])
+        .filter(block => block.type === 'text' && block.text)
+        .map(block => block.text)
+        .join('\n\n');
+      // Exports without a usable parent are linear
+      const parentId = message.parent_message_uuid && knownIds.has(message.parent_message_uuid)
+        ? message.parent_message_uuid
+        : all[index - 1]?.uuid ?? null;
+
+      return {
+        id: `claude-${message.uuid}`,
+        text: (contentText || message.text || '').trim(),
+        sender: message.sender === 'human' ? 'user' : 'bot',
+        timestamp: toMillis(message.created_at, Date.now()),
+        parentId: parentId ? `claude-${parentId}` : null
+      };
+    });
+
+  return buildSession({
+    id: `claude-${conversation.uuid}`,
+    title: conversation.name,
+    messages,
+    createdAt: toMillis(conversation.created_at, undefined),
+    lastUpdatedAt: conversation.updated_at ? toMillis(conversation.updated_at, undefined) : undefined
+  });
+};
+
+/**
+ * Read back a Markdown file written by our own Markdown export
+ */
+const fromMarkdown = (markdown) => {
+  const title = markdown.match(/^# (.+)$/m)?.[1]?.trim() || 'Imported Chat';
+  const headingPattern = /^### (You|Assistant) · (.*)$/gm;
+  const headings = [...markdown.matchAll(headingPattern)];
+
+  if (headings.length === 0) {
+    throw new Error('No messages found. Only Markdown files exported from Patel Chat can be imported.');
+  }
+
+  const id = `md-${hashString(markdown)}`;
+  const baseTime = Date.now();
+
+  const messages = headings.map((heading, index) => {
+    const bodyStart = heading.index + heading[0].length;
+    const bodyEnd = headings[index + 1]?.index ?? markdown.length;
+    let body = markdown.slice(bodyStart, bodyEnd).replace(/\n+---\n*$/, '').trim();
+
+    const message = {
+      id: `${id}-${index}`,
+      sender: heading[1] === 'You' ? 'user' : 'bot',
+      timestamp: toMillis(heading[2], baseTime + index),
+      parentId: index > 0 ? `${id}-${index - 1}` : null
+    };
+
+    const sourcesMatch = body.match(/\n\n\*\*Sources\*\*\n\n((?:\d+\. \[.*\]\(.*\)\n?)+)$/);
+    if (sourcesMatch) {
+      message.sources = [...sourcesMatch[1].matchAll(/\d+\. \[(.*)\]\((.*)\)/g)]
+        .map(([, sourceTitle, uri]) => ({ title: sourceTitle, uri }));
+      body = body.slice(0, sourcesMatch.index);
+    }
+
+    // Attachment blobs are not part of the export, only their names
+    body = body.replace(/\n\n\*Attachments: .*\*$/, '');
+
+    return { ...message, text: body.trim() };
+  });
+
+  return [buildSession({ id, title, messages })];
+};
+
+// --- Detection ---
+
+const describeIssues = (error) => error.issues
+  .slice(0, 3)
+  .map(issue => `${issue.path.join('.') || 'file'}: ${issue.message}`)
+  .join('; ');
+
+/**
+ * Validate each entry with `schema` and convert the valid ones
+ */
+const convertAll = (entries, schema, convert, errors) => {
+  const sessions = [];
+
+  entries.forEach((entry, index) => {
+    const result = schema.safeParse(entry);
+    if (!result.success) {
+      errors.push(`Conversation ${index + 1}: ${describeIssues(result.error)}`);
+      return;
+    }
+
+    try {
+      const session = convert(result.data);
+      if (session.messages.length > 0) sessions.push(session);
+    } catch (error) {
+      errors.push(`Conversation ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return sessions;
+};
+
+/**
+ * Convert parsed JSON from any supported format into chat sessions
+ * @param {*} data - Parsed JSON
+ * @param {Array} errors - Collects per-conversation validation errors
+ * @returns {Array} Chat sessions
+ */
+const sessionsFromJSON = (data, errors) => {
+  const entries = Array.isArray(data) ? data : [data];
+  const sample = entries[0];
+
+  if (!sample || typeof sample !== 'object') {
+    throw new Error('The file does not contain any conversations.');
+  }
+  if ('mapping' in sample) {
+    return convertAll(entries, chatGPTConversationSchema, fromChatGPT, errors);
+  }
+  if ('chat_messages' in sample) {
+    return convertAll(entries, claudeConversationSchema, fromClaude, errors);
+  }
+  if ('messages' in sample) {
+    return convertAll(entries, ownExportSchema, fromOwnExport, errors);
+  }
+
+  throw new Error('Unrecognized file format. Use a Patel Chat export, ChatGPT conversations.json or a Claude export.');
+};
+
+/**
+ * Read a file and convert every conversation in it into chat sessions
+ * @param {File} file - JSON, Markdown or zip archive
+ * @returns {Promise<Object>} `{ sessions, errors }`
+ */
+export const parseImportFile = async (file) => {
+  const errors = [];
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.zip')) {
+    // ChatGPT and Claude archives both keep their chats in conversations.json
+    const zip = await JSZip.loadAsync(file);
+    const entry = zip.file(/(^|\/)conversations\.json$/)[0];
+    if (entry) {
+      return { sessions: sessionsFromJSON(JSON.parse(await entry.async('string')), errors), errors };
+    }
+
+    // Our bulk export has one JSON or Markdown file per chat
+    const chatFiles = zip.file(/\.(json|md)$/i);
+    if (chatFiles.length === 0) {
+      throw new Error('No conversations found in the archive.');
+    }
+
+    const sessions = [];
+    for (const chatFile of chatFiles) {
+      try {
+        const content = await chatFile.async('string');
+        sessions.push(...(chatFile.name.toLowerCase().endsWith('.md')
+          ? fromMarkdown(content)
+          : sessionsFromJSON(JSON.parse(content), errors)));
+      } catch (error) {
+        errors.push(`${chatFile.name}: ${error.message}`);
+      }
+    }
+    return { sessions, errors };
+  }
+
+  const text = await file.text();
+
+  if (name.endsWith('.md') || name.endsWith('.markdown')) {
+    return { sessions: fromMarkdown(text), errors };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  return { sessions: sessionsFromJSON(data, errors), errors };
+};
+
+/**
+ * Drop attachment references whose files are not stored on this device;
+ * exports carry only their metadata
+ */
+const dropMissingAttachments = async (session) => {
+  const messages = await Promise.all(session.messages.map(async (message) => {
+    if (!message.attachments) return message;
+
+    const stored = await Promise.all(message.attachments.map(attachment => getAttachment(attachment.id)));
+    const attachments = message.attachments.filter((attachment, index) => stored[index]);
+    const { attachments: _attachments, ...rest } = message;
+    return attachments.length > 0 ? { ...rest, attachments } : rest;
+  }));
+
+  return { ...session, messages };
+};
+
+/**
+ * Import conversations from a file, skipping sessions whose id already exists
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<Object>} `{ imported, duplicates, errors }`
+ */
+export const importChatsFromFile = async (file) => {
+  const { sessions, errors } = await parseImportFile(file);
+  const existingIds = new Set((await getChatSessions()).map(s => s.id));
+
+  const imported = [];
+  let duplicates = 0;
+
+  for (const session of sessions) {
+    if (existingIds.has(session.id)) {
+      duplicates++;
+      continue;
+    }
+
+    const resolved = await dropMissingAttachments(session);
+    await saveChatSession(resolved);
+    existingIds.add(session.id);
+    imported.push(resolved);
+  }
+
+  return { imported, duplicates, errors };
+};
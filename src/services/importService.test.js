@@ -0,0 +1,90 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+
+const settings = new Map();
+vi.stubGlobal('localStorage', {
+  getItem: key => settings.get(key) ?? null,
+  setItem: (key, value) => settings.set(key, String(value)),
+  removeItem: key => settings.delete(key)
+});
+
+const { initDB, getChatSession, saveAttachment } = await import('./indexedDBService.js');
+const { importChatsFromFile } = await import('./importService.js');
+
+const jsonFile = (name, data) => ({ name, text: async () => JSON.stringify(data) });
+
+const attachmentMeta = (id) => ({ id, name: `${id}.txt`, mimeType: 'text/plain', size: 5 });
+
+describe('importChatsFromFile', () => {
+  beforeAll(() => initDB());
+
+  it('imports a pending message as an ordinary sent message', async () => {
+    const { imported } = await importChatsFromFile(jsonFile('pending.json', {
+      id: 'imported-pending',
+      title: 'Written offline',
+      activeLeafId: 'm1',
+      messages: [{
+        id: 'm1',
+        text: 'Sent while offline',
+        sender: 'user',
+        timestamp: 1,
+        parentId: null,
+        isPending: true,
+        isLoading: true
+      }]
+    }));
+
+    expect(imported).toHaveLength(1);
+    const [message] = (await getChatSession('imported-pending')).messages;
+    expect(message).toEqual({ id: 'm1', text: 'Sent while offline', sender: 'user', timestamp: 1, parentId: null });
+  });
+
+  it('drops attachment references whose files are not stored here', async () => {
+    await saveAttachment({ ...attachmentMeta('att-here'), chatId: 'imported-files', blob: new Blob(['hello']), createdAt: 1 });
+
+    await importChatsFromFile(jsonFile('files.json', {
+      id: 'imported-files',
+      title: 'Files',
+      messages: [
+        { id: 'f1', text: 'Two files', sender: 'user', timestamp: 1, attachments: [attachmentMeta('att-here'), attachmentMeta('att-gone')] },
+        { id: 'f2', text: 'One lost file', sender: 'user', timestamp: 2, parentId: 'f1', attachments: [attachmentMeta('att-gone')] }
+      ]
+    }));
+
+    const [first, second] = (await getChatSession('imported-files')).messages;
+    expect(first.attachments).toEqual([attachmentMeta('att-here')]);
+    expect(second.attachments).toBeUndefined();
+  });
+
+  it('keeps known generation settings and defaults the rest', async () => {
+    await importChatsFromFile(jsonFile('settings.json', {
+      id: 'imported-settings',
+      title: 'Settings',
+      messages: [{ id: 's1', text: 'Hi', sender: 'user', timestamp: 1 }],
+      generationConfig: { temperature: 0.4, stopSequences: ['END'], apiKey: 'leaked' }
+    }));
+
+    expect((await getChatSession('imported-settings')).generationConfig).toEqual({
+      model: '',
+      temperature: 0.4,
+      topK: null,
+      topP: null,
+      maxOutputTokens: null,
+      stopSequences: ['END'],
+      searchEnabled: true
+    });
+  });
+
+  it('rejects generation settings of the wrong type', async () => {
+    const { imported, errors } = await importChatsFromFile(jsonFile('bad-settings.json', {
+      id: 'imported-bad-settings',
+      title: 'Bad settings',
+      messages: [{ id: 'b1', text: 'Hi', sender: 'user', timestamp: 1 }],
+      generationConfig: { temperature: 'hot' }
+    }));
+
+    expect(imported).toHaveLength(0);
+    expect(errors).toHaveLength(1);
+    expect(await getChatSession('imported-bad-settings')).toBeNull();
+  });
+});
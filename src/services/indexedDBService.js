@@ -1,74 +1,40 @@
-// IndexedDB service for enhanced local persistence
+// Local persistence service. Records are kept by the storage backend chosen at
+// startup: IndexedDB when the browser allows it, otherwise localStorage or memory.
+// With a passphrase set, chats, prompts, personas and embeddings are encrypted
+// on their way in and decrypted on their way out.
 
-const DB_NAME = 'PatelChatDB';
-const DB_VERSION = 1;
-const STORES = {
+import { initStorage, getStorageBackend, onUpgradeBlocked } from './storage/index.js';
+import { publishChange, isNewerRecord } from './tabSyncService.js';
+import { encryptRecord, decryptRecord } from './encryptionService.js';
+
+export const STORES = {
   CHAT_SESSIONS: 'chatSessions',
   QUICK_PROMPTS: 'quickPrompts',
   USER_STATS: 'userStats',
   THEMES: 'themes',
-  EMBEDDINGS: 'embeddings'
+  EMBEDDINGS: 'embeddings',
+  PERSONAS: 'personas',
+  ATTACHMENTS: 'attachments',
+  SYNC_QUEUE: 'syncQueue',
+  SYNC_STATE: 'syncState',
+  SEARCH_INDEX: 'searchIndex'
 };
 
-let db = null;
+// Stores other tabs hold in state; attachments, embeddings and stats are read on demand
+const SYNCED_STORES = [STORES.CHAT_SESSIONS, STORES.QUICK_PROMPTS, STORES.PERSONAS, STORES.THEMES];
 
 /**
- * Initialize the IndexedDB database
- * @returns {Promise<IDBDatabase>}
+ * Initialize local storage, falling back from IndexedDB when it is unavailable
+ * @returns {Promise<Object>} Storage status `{ id, name, persistent, limitations }`
  */
-export const initDB = () => {
-  return new Promise((resolve, reject) => {
-    if (db) {
-      resolve(db);
-      return;
-    }
-
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-    request.onerror = () => {
-      console.error('Failed to open IndexedDB:', request.error);
-      reject(request.error);
-    };
-
-    request.onsuccess = () => {
-      db = request.result;
-      resolve(db);
-    };
-
-    request.onupgradeneeded = (event) => {
-      const database = event.target.result;
-
-      // Chat Sessions store
-      if (!database.objectStoreNames.contains(STORES.CHAT_SESSIONS)) {
-        const chatStore = database.createObjectStore(STORES.CHAT_SESSIONS, { keyPath: 'id' });
-        chatStore.createIndex('lastUpdatedAt', 'lastUpdatedAt', { unique: false });
-        chatStore.createIndex('createdAt', 'createdAt', { unique: false });
-      }
-
-      // Quick Prompts store
-      if (!database.objectStoreNames.contains(STORES.QUICK_PROMPTS)) {
-        database.createObjectStore(STORES.QUICK_PROMPTS, { keyPath: 'id' });
-      }
-
-      // User Stats store
-      if (!database.objectStoreNames.contains(STORES.USER_STATS)) {
-        database.createObjectStore(STORES.USER_STATS, { keyPath: 'id' });
-      }
-
-      // Themes store
-      if (!database.objectStoreNames.contains(STORES.THEMES)) {
-        database.createObjectStore(STORES.THEMES, { keyPath: 'id' });
-      }
-
-      // Embeddings store for semantic search
-      if (!database.objectStoreNames.contains(STORES.EMBEDDINGS)) {
-        const embeddingStore = database.createObjectStore(STORES.EMBEDDINGS, { keyPath: 'id' });
-        embeddingStore.createIndex('chatId', 'chatId', { unique: false });
-        embeddingStore.createIndex('messageId', 'messageId', { unique: true });
-      }
-    };
-  });
-};
+export const initDB = () => initStorage();
+
+/**
+ * Listen for a database upgrade waiting on other tabs of an older version to close
+ * @param {Function} listener - Called when the upgrade is blocked
+ * @returns {Function} Unsubscribe function
+ */
+export const onDBUpgradeBlocked = (listener) => onUpgradeBlocked(listener);
 
 /**
  * Generic function to get all items from a store
@@ -76,15 +42,8 @@ export const initDB = () => {
  * @returns {Promise<Array>}
  */
 export const getAllFromStore = async (storeName) => {
-  await initDB();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([storeName], 'readonly');
-    const store = transaction.objectStore(storeName);
-    const request = store.getAll();
-
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
-  });
+  const items = await (await getStorageBackend()).getAll(storeName);
+  return Promise.all(items.map(item => decryptRecord(item)));
 };
 
 /**
@@ -94,15 +53,10 @@ export const getAllFromStore = async (storeName) => {
  * @returns {Promise<void>}
  */
 export const putInStore = async (storeName, item) => {
-  await initDB();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([storeName], 'readwrite');
-    const store = transaction.objectStore(storeName);
-    const request = store.put(item);
-
-    request.onsuccess = () => resolve();
-    request.onerror = () => reject(request.error);
-  });
+  await (await getStorageBackend()).put(storeName, await encryptRecord(storeName, item));
+  if (SYNCED_STORES.includes(storeName)) {
+    publishChange({ type: 'put', store: storeName, item });
+  }
 };
 
 /**
@@ -112,15 +66,40 @@ export const putInStore = async (storeName, item) => {
  * @returns {Promise<void>}
  */
 export const deleteFromStore = async (storeName, id) => {
-  await initDB();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([storeName], 'readwrite');
-    const store = transaction.objectStore(storeName);
-    const request = store.delete(id);
-
-    request.onsuccess = () => resolve();
-    request.onerror = () => reject(request.error);
-  });
+  await (await getStorageBackend()).delete(storeName, id);
+  if (SYNCED_STORES.includes(storeName)) {
+    publishChange({ type: 'delete', store: storeName, id });
+  }
+};
+
+/**
+ * Add or update many items in a store at once
+ * @param {string} storeName 
+ * @param {Array} items 
+ * @returns {Promise<void>}
+ */
+export const putManyInStore = async (storeName, items) => {
+  const sealed = await Promise.all(items.map(item => encryptRecord(storeName, item)));
+  await (await getStorageBackend()).putMany(storeName, sealed);
+  if (SYNCED_STORES.includes(storeName)) {
+    items.forEach(item => publishChange({ type: 'put', store: storeName, item }));
+  }
+};
+
+/**
+ * Clear stores and fill them with new items as one operation, so a failure
+ * leaves every store as it was
+ * @param {Object} itemsByStore - Arrays of items keyed by store name
+ * @returns {Promise<void>}
+ */
+export const replaceStores = async (itemsByStore) => {
+  const sealedByStore = {};
+  for (const [storeName, items] of Object.entries(itemsByStore)) {
+    sealedByStore[storeName] = await Promise.all(items.map(item => encryptRecord(storeName, item)));
+  }
+  await (await getStorageBackend()).replaceStores(sealedByStore);
+  // Too much changed to send record by record; other tabs reload everything
+  publishChange({ type: 'reset' });
 };
 
 /**
@@ -130,20 +109,39 @@ export const deleteFromStore = async (storeName, id) => {
  * @returns {Promise<Object|null>}
  */
 export const getFromStore = async (storeName, id) => {
-  await initDB();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([storeName], 'readonly');
-    const store = transaction.objectStore(storeName);
-    const request = store.get(id);
-
-    request.onsuccess = () => resolve(request.result || null);
-    request.onerror = () => reject(request.error);
-  });
+  return decryptRecord(await (await getStorageBackend()).get(storeName, id));
 };
 
 // Chat Sessions specific functions
 export const getChatSessions = () => getAllFromStore(STORES.CHAT_SESSIONS);
-export const saveChatSession = (session) => putInStore(STORES.CHAT_SESSIONS, session);
+export const getChatSession = (id) => getFromStore(STORES.CHAT_SESSIONS, id);
+// Latest pending save per chat id
+const pendingSessionSaves = new Map();
+/**
+ * Save a chat session unless another tab has saved a newer copy since this
+ * one was loaded (last writer wins by `lastUpdatedAt`)
+ * @param {Object} session - Chat session
+ * @returns {Promise<Object>} The copy that is now stored
+ */
+export const saveChatSession = (session) => {
+  // Saves of one chat run in call order, so a slow earlier save can't read
+  // the store before a later one and then overwrite it
+  const previousSave = pendingSessionSaves.get(session.id) || Promise.resolve();
+  const save = previousSave.catch(() => {}).then(async () => {
+    const stored = await getFromStore(STORES.CHAT_SESSIONS, session.id);
+    if (!isNewerRecord(session, stored)) return stored;
+
+    await putInStore(STORES.CHAT_SESSIONS, session);
+    return session;
+  });
+
+  pendingSessionSaves.set(session.id, save);
+  const forget = () => {
+    if (pendingSessionSaves.get(session.id) === save) pendingSessionSaves.delete(session.id);
+  };
+  save.then(forget, forget);
+  return save;
+};
 export const deleteChatSession = (id) => deleteFromStore(STORES.CHAT_SESSIONS, id);
 
 // Quick Prompts specific functions
@@ -160,59 +158,39 @@ export const getThemes = () => getAllFromStore(STORES.THEMES);
 export const saveTheme = (theme) => putInStore(STORES.THEMES, theme);
 export const deleteTheme = (id) => deleteFromStore(STORES.THEMES, id);
 
+// Personas specific functions
+export const getPersonas = () => getAllFromStore(STORES.PERSONAS);
+export const savePersona = (persona) => putInStore(STORES.PERSONAS, persona);
+export const deletePersona = (id) => deleteFromStore(STORES.PERSONAS, id);
+
+// Attachments specific functions
+export const getAttachment = (id) => getFromStore(STORES.ATTACHMENTS, id);
+export const saveAttachment = (attachment) => putInStore(STORES.ATTACHMENTS, attachment);
+export const deleteAttachment = (id) => deleteFromStore(STORES.ATTACHMENTS, id);
+export const deleteAttachmentsByChat = async (chatId) => {
+  return (await getStorageBackend()).deleteByIndex(STORES.ATTACHMENTS, 'chatId', chatId);
+};
+
+// Sync specific functions
+export const getSyncState = () => getFromStore(STORES.SYNC_STATE, 'main');
+export const saveSyncState = (state) => putInStore(STORES.SYNC_STATE, { ...state, id: 'main' });
+export const getSyncQueue = () => getAllFromStore(STORES.SYNC_QUEUE);
+export const saveSyncQueueEntry = (entry) => putInStore(STORES.SYNC_QUEUE, entry);
+export const deleteSyncQueueEntry = (id) => deleteFromStore(STORES.SYNC_QUEUE, id);
+
 // Embeddings specific functions
 export const saveEmbedding = (embedding) => putInStore(STORES.EMBEDDINGS, embedding);
-export const getEmbeddingsByChat = async (chatId) => {
-  await initDB();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORES.EMBEDDINGS], 'readonly');
-    const store = transaction.objectStore(STORES.EMBEDDINGS);
-    const index = store.index('chatId');
-    const request = index.getAll(chatId);
-
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
-  });
+export const getAllEmbeddings = () => getAllFromStore(STORES.EMBEDDINGS);
+export const saveEmbeddings = (embeddings) => putManyInStore(STORES.EMBEDDINGS, embeddings);
+export const deleteEmbedding = (id) => deleteFromStore(STORES.EMBEDDINGS, id);
+export const deleteEmbeddingsByChat = async (chatId) => {
+  return (await getStorageBackend()).deleteByIndex(STORES.EMBEDDINGS, 'chatId', chatId);
 };
 
-/**
- * Fallback to localStorage if IndexedDB fails
- */
-export const fallbackToLocalStorage = {
-  getChatSessions: () => {
-    try {
-      const sessions = localStorage.getItem('patelChatSessions');
-      return sessions ? JSON.parse(sessions) : [];
-    } catch (error) {
-      console.error('Error reading from localStorage:', error);
-      return [];
-    }
-  },
-
-  saveChatSessions: (sessions) => {
-    try {
-      localStorage.setItem('patelChatSessions', JSON.stringify(sessions));
-    } catch (error) {
-      console.error('Error saving to localStorage:', error);
-    }
-  },
-
-  getQuickPrompts: () => {
-    try {
-      const prompts = localStorage.getItem('patelChatQuickPrompts');
-      return prompts ? JSON.parse(prompts) : [];
-    } catch (error) {
-      console.error('Error reading quick prompts from localStorage:', error);
-      return [];
-    }
-  },
-
-  saveQuickPrompts: (prompts) => {
-    try {
-      localStorage.setItem('patelChatQuickPrompts', JSON.stringify(prompts));
-    } catch (error) {
-      console.error('Error saving quick prompts to localStorage:', error);
-    }
-  }
+// Search index specific functions
+export const getSearchIndexState = (id) => getFromStore(STORES.SEARCH_INDEX, id);
+export const saveSearchIndexState = (state) => putInStore(STORES.SEARCH_INDEX, state);
+export const getEmbeddingsByChat = async (chatId) => {
+  const embeddings = await (await getStorageBackend()).getAllByIndex(STORES.EMBEDDINGS, 'chatId', chatId);
+  return Promise.all(embeddings.map(embedding => decryptRecord(embedding)));
 };
-
@@ -0,0 +1,38 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi } from 'vitest';
+
+const settings = new Map();
+vi.stubGlobal('localStorage', {
+  getItem: key => settings.get(key) ?? null,
+  setItem: (key, value) => settings.set(key, String(value)),
+  removeItem: key => settings.delete(key)
+});
+
+const { initDB, saveChatSession, getChatSession } = await import('./indexedDBService.js');
+const { getStorageBackend } = await import('./storage/index.js');
+
+describe('saveChatSession', () => {
+  it('keeps the latest of overlapping saves even when an earlier read is slow', async () => {
+    await initDB();
+    const backend = await getStorageBackend();
+
+    // The first save reads the store, then stalls long enough for the second
+    // save to finish if nothing orders them
+    let releaseFirstRead;
+    const firstReadStalled = new Promise(resolve => { releaseFirstRead = resolve; });
+    const get = backend.get.bind(backend);
+    vi.spyOn(backend, 'get').mockImplementationOnce(async (...args) => {
+      const record = await get(...args);
+      await firstReadStalled;
+      return record;
+    });
+
+    const chat = { id: 'chat-1', title: 'Chat', messages: [], createdAt: 1 };
+    const firstSave = saveChatSession({ ...chat, lastUpdatedAt: 1, title: 'Streaming' });
+    const secondSave = saveChatSession({ ...chat, lastUpdatedAt: 2, title: 'Done' });
+    setTimeout(releaseFirstRead, 50);
+    await Promise.all([firstSave, secondSave]);
+
+    expect((await getChatSession('chat-1')).title).toBe('Done');
+  });
+});
@@ -0,0 +1,96 @@
+// Math syntax service for telling inline `$...$` math apart from prices
+
+const DOLLAR_SIGN = 36;
+const BACKSLASH = 92;
+
+// micromark codes: null is the end of input, negative codes are tabs and line endings
+const isWhitespace = (code) => code === null || code < 0 || code === 32;
+const isDigit = (code) => code !== null && code >= 48 && code <= 57;
+
+/**
+ * Tokenize `$...$` with the currency-safe rule Pandoc uses: the opening `$`
+ * is not followed by whitespace, and the closing `$` is not preceded by
+ * whitespace or followed by a digit. "$5 and $10" therefore stays text.
+ * Emits the same tokens as micromark-extension-math, so mdast-util-math
+ * builds the `inlineMath` nodes.
+ */
+function tokenizeSingleDollarMath(effects, ok, nok) {
+  let previousCode = null;
+  let closeToken;
+
+  const start = (code) => {
+    effects.enter('mathText');
+    effects.enter('mathTextSequence');
+    effects.consume(code);
+    effects.exit('mathTextSequence');
+    return afterOpen;
+  };
+
+  // `$$` belongs to remark-math
+  const afterOpen = (code) => {
+    if (isWhitespace(code) || code === DOLLAR_SIGN) return nok(code);
+    effects.enter('mathTextData');
+    return data(code);
+  };
+
+  const data = (code) => {
+    // Inline math stays on one line
+    if (code === null || code < -2) return nok(code);
+
+    if (code === DOLLAR_SIGN && !isWhitespace(previousCode)) {
+      effects.exit('mathTextData');
+      closeToken = effects.enter('mathTextSequence');
+      effects.consume(code);
+      return afterClose;
+    }
+
+    previousCode = code;
+    effects.consume(code);
+    return code === BACKSLASH ? escaped : data;
+  };
+
+  // `\$` inside math is a literal dollar sign, not the closing one
+  const escaped = (code) => {
+    if (code === null || code < -2) return nok(code);
+    previousCode = code;
+    effects.consume(code);
+    return data;
+  };
+
+  const afterClose = (code) => {
+    if (isDigit(code)) {
+      closeToken.type = 'mathTextData';
+      effects.exit('mathTextData');
+      effects.enter('mathTextData');
+      previousCode = DOLLAR_SIGN;
+      return data(code);
+    }
+
+    effects.exit('mathTextSequence');
+    effects.exit('mathText');
+    return ok(code);
+  };
+
+  return start;
+}
+
+// Like remark-math, an opening `$` may not follow another unescaped `$`
+function previous(code) {
+  return code !== DOLLAR_SIGN || this.events[this.events.length - 1][1].type === 'characterEscape';
+}
+
+const singleDollarMath = {
+  name: 'singleDollarMath',
+  tokenize: tokenizeSingleDollarMath,
+  previous
+};
+
+/**
+ * Remark plugin adding currency-safe `$...$` inline math. Use it together with
+ * `[remarkMath, { singleDollarTextMath: false }]`, which keeps handling `$$`.
+ */
+export function remarkSingleDollarMath() {
+  const data = this.data();
+  const micromarkExtensions = data.micromarkExtensions || (data.micromarkExtensions = []);
+  micromarkExtensions.push({ text: { [DOLLAR_SIGN]: singleDollarMath } });
+}
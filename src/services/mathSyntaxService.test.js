@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { createElement } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import ReactMarkdown from 'react-markdown';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import { remarkSingleDollarMath } from './mathSyntaxService.js';
+
+const render = (content) => renderToStaticMarkup(createElement(ReactMarkdown, {
+  remarkPlugins: [[remarkMath, { singleDollarTextMath: false }], remarkSingleDollarMath],
+  rehypePlugins: [[rehypeKatex, { output: 'mathml' }]]
+}, content));
+
+describe('remarkSingleDollarMath', () => {
+  it('keeps prices as text', () => {
+    const html = render('It costs $5 and $10.');
+    expect(html).toBe('<p>It costs $5 and $10.</p>');
+  });
+
+  it('renders single-dollar inline math', () => {
+    const html = render('The area is $x^2$ here.');
+    expect(html).toContain('<math');
+    expect(html).toContain('<msup>');
+    expect(html).not.toContain('$x^2$');
+  });
+
+  it('does not close math on a dollar sign followed by a digit', () => {
+    expect(render('Pay $a$5 now')).toBe('<p>Pay $a$5 now</p>');
+    expect(render('Between $x$ and $5')).toContain('<math');
+  });
+
+  it('still renders double-dollar math', () => {
+    expect(render('Inline $$y = 1$$ math')).toContain('<math');
+  });
+});
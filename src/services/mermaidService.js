@@ -0,0 +1,69 @@
+// Mermaid service for loading Mermaid.js and rendering diagrams to SVG
+
+let mermaidPromise = null;
+
+/**
+ * Load Mermaid from the CDN once and share it between every diagram
+ * @returns {Promise<Object>} The initialized mermaid instance
+ */
+export const loadMermaid = () => {
+  if (window.mermaid) return Promise.resolve(window.mermaid);
+  if (mermaidPromise) return mermaidPromise;
+
+  mermaidPromise = new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = 'https://cdn.jsdelivr.net/npm/mermaid@10.6.1/dist/mermaid.min.js';
+    script.onload = () => {
+      window.mermaid.initialize({
+        startOnLoad: false,
+        theme: 'dark',
+        themeVariables: {
+          primaryColor: '#3b82f6',
+          primaryTextColor: '#ffffff',
+          primaryBorderColor: '#1e40af',
+          lineColor: '#6b7280',
+          sectionBkgColor: '#1f2937',
+          altSectionBkgColor: '#374151',
+          gridColor: '#4b5563',
+          secondaryColor: '#8b5cf6',
+          tertiaryColor: '#10b981'
+        },
+        flowchart: {
+          htmlLabels: true,
+          curve: 'basis'
+        },
+        sequence: {
+          diagramMarginX: 50,
+          diagramMarginY: 10,
+          actorMargin: 50,
+          width: 150,
+          height: 65,
+          boxMargin: 10,
+          boxTextMargin: 5,
+          noteMargin: 10,
+          messageMargin: 35
+        }
+      });
+      resolve(window.mermaid);
+    };
+    script.onerror = () => {
+      mermaidPromise = null;
+      reject(new Error('Failed to load Mermaid library'));
+    };
+    document.head.appendChild(script);
+  });
+
+  return mermaidPromise;
+};
+
+/**
+ * Render a Mermaid diagram to an SVG string
+ * @param {string} diagramText - Mermaid source
+ * @returns {Promise<string>} SVG markup
+ */
+export const renderMermaidSvg = async (diagramText) => {
+  const mermaid = await loadMermaid();
+  const diagramId = `diagram-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const { svg } = await mermaid.render(diagramId, diagramText);
+  return svg;
+};
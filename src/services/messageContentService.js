@@ -0,0 +1,249 @@
+// Message content service for splitting a message into ordered rich segments and placing its citations
+
+const DIAGRAM_LANGUAGES = ['mermaid', 'diagram', 'flowchart', 'sequence'];
+
+// Only unindented blocks are top-level; indented ones belong to list items
+const FENCE_OPEN = /^(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+const DISPLAY_MATH_OPEN = /^\$\$/;
+
+/**
+ * Parse the body of a ```chart or ```json fence as a chart configuration
+ * @param {string} code - Fence contents
+ * @returns {Object|null} Chart configuration, or null if the JSON is not a chart
+ */
+export const parseChartConfig = (code) => {
+  try {
+    const config = JSON.parse(code);
+    return config && config.data && config.type ? config : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Classify a fenced block by its info string
+ * @param {string} language - Fence language (may be empty)
+ * @param {string} code - Fence contents
+ * @returns {Object} Segment `{ type, language, content, config? }`
+ */
+export const createFenceSegment = (language, code) => {
+  const normalizedLanguage = (language || '').toLowerCase();
+
+  if (DIAGRAM_LANGUAGES.includes(normalizedLanguage)) {
+    return { type: 'diagram', language: normalizedLanguage, content: code.trim() };
+  }
+
+  if (normalizedLanguage === 'math') {
+    return { type: 'math', language: normalizedLanguage, content: code.trim() };
+  }
+
+  if (normalizedLanguage === 'chart' || normalizedLanguage === 'json') {
+    const config = parseChartConfig(code);
+    if (config) {
+      return { type: 'chart', language: normalizedLanguage, content: code, config };
+    }
+  }
+
+  return { type: 'code', language: normalizedLanguage || 'text', content: code };
+};
+
+const isFenceClose = (line, fence) => {
+  const trimmed = line.trim();
+  return trimmed.length >= fence.length &&
+    trimmed[0] === fence[0] &&
+    /^(`+|~+)$/.test(trimmed);
+};
+
+/**
+ * Find where a display math block opened at `lines[index]` ends
+ * @returns {Object|null} `{ endLine, content }` or null if it never closes
+ */
+const readDisplayMath = (lines, index) => {
+  const opening = lines[index].trim().slice(2);
+
+  // Single line: $$ x^2 $$
+  const inlineClose = opening.indexOf('$$');
+  if (inlineClose !== -1) {
+    return opening.slice(inlineClose + 2).trim()
+      ? null
+      : { endLine: index, content: opening.slice(0, inlineClose).trim() };
+  }
+
+  const body = [opening];
+  for (let i = index + 1; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (trimmed.endsWith('$$')) {
+      body.push(trimmed.slice(0, -2));
+      return { endLine: i, content: body.join('\n').trim() };
+    }
+    body.push(lines[i]);
+  }
+
+  return null;
+};
+
+/**
+ * Tokenize a message into ordered text, code, diagram, chart and math segments.
+ * Only top-level fences are split out; fences nested in lists stay in the
+ * surrounding text and are handled by the Markdown renderer.
+ * @param {string} text - Message text
+ * @returns {Array} Segments with `type`, `content`, and `start`/`end` offsets into `text`
+ */
+export const parseMessageSegments = (text = '') => {
+  const segments = [];
+  const lines = text.split('\n');
+  const lineStarts = [];
+  let offset = 0;
+  for (const line of lines) {
+    lineStarts.push(offset);
+    offset += line.length + 1;
+  }
+  const offsetAfterLine = (index) => Math.min(lineStarts[index] + lines[index].length + 1, text.length);
+
+  let textStartLine = 0;
+
+  const pushText = (endLine) => {
+    if (endLine <= textStartLine) return;
+    const start = lineStarts[textStartLine];
+    const end = offsetAfterLine(endLine - 1);
+    const content = text.slice(start, end);
+    if (content.trim()) {
+      segments.push({ type: 'text', content, start, end });
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const fenceMatch = lines[i].match(FENCE_OPEN);
+
+    if (fenceMatch) {
+      const fence = fenceMatch[1];
+      let closeLine = -1;
+      for (let j = i + 1; j < lines.length; j++) {
+        if (isFenceClose(lines[j], fence)) {
+          closeLine = j;
+          break;
+        }
+      }
+
+      // An unclosed fence (e.g. mid-stream) runs to the end of the message
+      const lastLine = closeLine === -1 ? lines.length - 1 : closeLine;
+      const code = lines.slice(i + 1, closeLine === -1 ? lines.length : closeLine).join('\n');
+
+      pushText(i);
+      segments.push({
+        ...createFenceSegment(fenceMatch[2], code),
+        start: lineStarts[i],
+        end: offsetAfterLine(lastLine)
+      });
+      textStartLine = lastLine + 1;
+      i = lastLine;
+      continue;
+    }
+
+    if (DISPLAY_MATH_OPEN.test(lines[i])) {
+      const math = readDisplayMath(lines, i);
+      if (math) {
+        pushText(i);
+        segments.push({
+          type: 'math',
+          content: math.content,
+          start: lineStarts[i],
+          end: offsetAfterLine(math.endLine)
+        });
+        textStartLine = math.endLine + 1;
+        i = math.endLine;
+      }
+    }
+  }
+
+  pushText(lines.length);
+  return segments;
+};
+
+/**
+ * Re-base citations onto a text segment, dropping those that fall outside it
+ * @param {Array} citations - Citations with `endIndex` into the full message
+ * @param {Object} segment - Segment with `start`/`end` offsets
+ * @returns {Array} Citations with `endIndex` relative to the segment
+ */
+export const getSegmentCitations = (citations = [], segment) => {
+  return citations
+    .filter(citation => citation.endIndex > segment.start && citation.endIndex <= segment.end)
+    .map(citation => ({ ...citation, endIndex: citation.endIndex - segment.start }));
+};
+
+/**
+ * Split text at citation positions so markers can be rendered inline
+ * @param {string} text - Message text
+ * @param {Array} citations - Citations with `endIndex` and `sourceIndices`
+ * @returns {Array} Pieces `{ text, sourceIndices }`; sourceIndices is empty for trailing text
+ */
+export const splitTextByCitations = (text, citations = []) => {
+  const byEnd = new Map();
+  for (const citation of citations) {
+    if (citation.endIndex <= 0 || citation.endIndex > text.length) continue;
+    const indices = byEnd.get(citation.endIndex) || new Set();
+    citation.sourceIndices.forEach(i => indices.add(i));
+    byEnd.set(citation.endIndex, indices);
+  }
+
+  const pieces = [];
+  let cursor = 0;
+
+  for (const endIndex of [...byEnd.keys()].sort((a, b) => a - b)) {
+    pieces.push({
+      text: text.slice(cursor, endIndex),
+      sourceIndices: [...byEnd.get(endIndex)].sort((a, b) => a - b)
+    });
+    cursor = endIndex;
+  }
+
+  if (cursor < text.length) {
+    pieces.push({ text: text.slice(cursor), sourceIndices: [] });
+  }
+
+  return pieces;
+};
+
+/**
+ * Whether a source address is safe to link to. Sources can come from
+ * imported files, so only web addresses become links.
+ * @param {string} uri - Source address
+ * @returns {boolean}
+ */
+export const isWebUrl = (uri) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(uri).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Insert citation markers into Markdown as "[n]" links to their sources.
+ * Sources without a web address get a plain "[n]".
+ * Positions inside fenced code blocks are skipped so code stays intact.
+ * @param {string} text - Message text
+ * @param {Array} citations - Citations with `endIndex` and `sourceIndices`
+ * @param {Array} sources - Sources referenced by `sourceIndices`
+ * @returns {string} Markdown with citation links
+ */
+export const addCitationLinks = (text, citations = [], sources = []) => {
+  let openFences = 0;
+
+  return splitTextByCitations(text, citations).map((piece) => {
+    openFences += (piece.text.match(/^ {0,3}```/gm) || []).length;
+    if (openFences % 2 === 1) return piece.text;
+
+    const links = piece.sourceIndices
+      .filter(sourceIndex => sources[sourceIndex])
+      .map((sourceIndex) => {
+        const source = sources[sourceIndex];
+        if (!isWebUrl(source.uri)) return `\\[${sourceIndex + 1}\\]`;
+        const title = (source.title || '').replace(/"/g, '\\"');
+        return `[\\[${sourceIndex + 1}\\]](<${source.uri}> "${title}")`;
+      });
+
+    return piece.text + links.join('');
+  }).join('');
+};
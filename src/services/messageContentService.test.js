@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { addCitationLinks, isWebUrl } from './messageContentService.js';
+
+describe('citation links', () => {
+  it('only treats http(s) addresses as links', () => {
+    expect(isWebUrl('https://example.com/page')).toBe(true);
+    expect(isWebUrl('http://example.com')).toBe(true);
+    expect(isWebUrl('javascript:alert(1)')).toBe(false);
+    expect(isWebUrl('data:text/html,<p>hi</p>')).toBe(false);
+    expect(isWebUrl('not a url')).toBe(false);
+  });
+
+  it('adds a plain marker for sources that are not web addresses', () => {
+    const sources = [
+      { uri: 'https://example.com', title: 'Example' },
+      { uri: 'javascript:alert(1)', title: 'Imported' }
+    ];
+    const citations = [{ endIndex: 5, sourceIndices: [0, 1] }];
+
+    expect(addCitationLinks('Hello world', citations, sources))
+      .toBe('Hello[\\[1\\]](<https://example.com> "Example")\\[2\\] world');
+  });
+});
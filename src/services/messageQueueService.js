@@ -0,0 +1,209 @@
+// Message queue service for sending messages written while offline once the connection returns
+//
+// A queued message is an ordinary user message saved in its chat with
+// `isPending: true`, so it survives reloads and shows in the conversation.
+// Nothing else is stored; the chats themselves are the queue.
+
+import { sendMessage } from './geminiService.js';
+import { getChatSession, getChatSessions } from './indexedDBService.js';
+import { getSessionGenerationConfig, normalizeMessageTree, getThreadToMessage } from './chatLogicService.js';
+
+// Background sync tag handled by public/sw.js
+export const MESSAGE_QUEUE_TAG = 'message-queue';
+export const RESEND_MESSAGE_TYPE = 'resend-pending-messages';
+
+// Messages browsers give fetch failures when there is no connection at all
+const NETWORK_ERROR_PATTERN = /failed to fetch|networkerror|network request failed|load failed/i;
+
+// Held by the one tab sending queued messages, so each is sent only once
+const MESSAGE_QUEUE_LOCK = 'patel-chat-message-queue';
+
+let resendInFlight = null;
+
+/**
+ * Whether an error means the request never reached the provider
+ * @param {Error} error - Error thrown while sending
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => {
+  return !navigator.onLine || NETWORK_ERROR_PATTERN.test(error?.message || '');
+};
+
+/**
+ * Ask the service worker to wake the app once the browser is back online.
+ * Where Background Sync is unsupported the `online` event does the same job.
+ */
+export const requestResendWhenOnline = async () => {
+  try {
+    const registration = await navigator.serviceWorker?.ready;
+    await registration?.sync?.register(MESSAGE_QUEUE_TAG);
+  } catch (error) {
+    console.warn('Background sync is unavailable:', error);
+  }
+};
+
+/**
+ * Call `listener` whenever the connection comes back, from either the
+ * `online` event or the service worker's background sync
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToReconnect = (listener) => {
+  const handleMessage = (event) => {
+    if (event.data?.type === RESEND_MESSAGE_TYPE) listener();
+  };
+
+  window.addEventListener('online', listener);
+  navigator.serviceWorker?.addEventListener('message', handleMessage);
+
+  return () => {
+    window.removeEventListener('online', listener);
+    navigator.serviceWorker?.removeEventListener('message', handleMessage);
+  };
+};
+
+/**
+ * Add or update the reply to a queued message. Messages queued after it in
+ * the same thread now continue from the reply, and stay on screen if they were.
+ */
+const withReply = (session, pendingId, reply) => {
+  const messages = normalizeMessageTree(session.messages).filter(m => m.id !== reply.id).map((message) => {
+    if (message.id === pendingId) {
+      const { isPending: _isPending, ...sent } = message;
+      return sent;
+    }
+    return message.parentId === pendingId && message.isPending
+      ? { ...message, parentId: reply.id }
+      : message;
+  });
+  const activeLeaf = messages.find(m => m.id === session.activeLeafId);
+  const keepActiveLeaf = activeLeaf?.isPending && activeLeaf.id !== pendingId;
+
+  return {
+    ...session,
+    messages: [...messages, reply],
+    activeLeafId: keepActiveLeaf ? session.activeLeafId : reply.id,
+    lastUpdatedAt: Date.now()
+  };
+};
+
+/**
+ * Find the oldest queued message whose thread has no earlier queued message
+ */
+const findNextPending = (sessions) => {
+  let next = null;
+
+  sessions.forEach((session) => {
+    const messages = normalizeMessageTree(session.messages || []);
+    const pendingIds = new Set(messages.filter(m => m.isPending).map(m => m.id));
+
+    messages
+      .filter(m => m.isPending && !pendingIds.has(m.parentId))
+      .forEach((message) => {
+        if (!next || message.timestamp < next.message.timestamp) {
+          next = { session, message, messages };
+        }
+      });
+  });
+
+  return next;
+};
+
+/**
+ * Send one queued message and stream its reply into the chat
+ * @returns {Promise<boolean>} False if the connection dropped again
+ */
+const sendPendingMessage = async ({ session, message, messages }, onUpdateChatSession) => {
+  // The chat may be edited or deleted while the reply streams, so every write
+  // starts from the stored copy rather than the one the send started from
+  const saveReply = async () => {
+    const current = await getChatSession(session.id);
+    if (!current?.messages?.some(m => m.id === message.id)) return;
+    await onUpdateChatSession(withReply(current, message.id, reply));
+  };
+
+  const history = message.parentId ? getThreadToMessage(messages, message.parentId) : [];
+  let reply = {
+    id: `msg-${Date.now()}-ai`,
+    text: '',
+    sender: 'ai',
+    timestamp: Date.now(),
+    parentId: message.id
+  };
+
+  try {
+    const stream = await sendMessage(message.text, history, session.systemInstruction, {
+      providerId: session.provider,
+      generationConfig: getSessionGenerationConfig(session),
+      attachments: message.attachments
+    });
+
+    for await (const chunk of stream) {
+      reply = { ...reply, text: chunk.text };
+      await saveReply();
+    }
+
+    const finalResponse = await stream.response;
+    reply = { ...reply, ...finalResponse?.grounding };
+  } catch (error) {
+    // Nothing was streamed yet, so the message simply stays queued
+    if (!reply.text && isNetworkError(error)) return false;
+
+    // Keeps the reply's id, since queued messages may already continue from it
+    reply = {
+      ...reply,
+      text: `Sorry, I encountered an error: ${error.message}`,
+      isError: true
+    };
+  }
+
+  // The next message may build on this reply, so wait until it is saved
+  await saveReply();
+  return true;
+};
+
+/**
+ * Run `callback` while holding the queue lock, after any other tab has
+ * finished its run. Without Web Locks each tab runs on its own.
+ */
+const withQueueLock = (callback) => {
+  if (!navigator.locks) return callback();
+  return navigator.locks.request(MESSAGE_QUEUE_LOCK, callback);
+};
+
+/**
+ * Send every queued message, oldest first, one at a time. Concurrent calls
+ * share one run, and only one tab sends at a time.
+ * @param {Function} onUpdateChatSession - Saves a session and updates the app state
+ * @param {Function} [onSendingChange] - Called with the id of the chat being sent to, then null
+ * @returns {Promise<number>} Number of messages sent
+ */
+export const resendPendingMessages = (onUpdateChatSession, onSendingChange = () => {}) => {
+  if (!resendInFlight) {
+    resendInFlight = withQueueLock(async () => {
+      let sent = 0;
+
+      try {
+        while (navigator.onLine) {
+          // Read again every time: another tab may have sent some already
+          const next = findNextPending(await getChatSessions());
+          if (!next) break;
+
+          onSendingChange(next.session.id);
+          if (!(await sendPendingMessage(next, onUpdateChatSession))) break;
+          sent++;
+        }
+      } catch (error) {
+        console.error('Error sending queued messages:', error);
+      } finally {
+        onSendingChange(null);
+      }
+
+      return sent;
+    }).finally(() => {
+      resendInFlight = null;
+    });
+  }
+
+  return resendInFlight;
+};
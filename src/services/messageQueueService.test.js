@@ -0,0 +1,102 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+
+const { sendMessage } = vi.hoisted(() => ({ sendMessage: vi.fn() }));
+vi.mock('./geminiService.js', () => ({ sendMessage }));
+
+const settings = new Map();
+vi.stubGlobal('localStorage', {
+  getItem: key => settings.get(key) ?? null,
+  setItem: (key, value) => settings.set(key, String(value)),
+  removeItem: key => settings.delete(key)
+});
+
+// Web Locks as the browser runs them: one holder at a time, in request order
+let lockQueue = Promise.resolve();
+vi.stubGlobal('navigator', {
+  onLine: true,
+  locks: {
+    request: (name, callback) => {
+      const run = lockQueue.then(() => callback({ name }));
+      lockQueue = run.catch(() => {});
+      return run;
+    }
+  }
+});
+
+const { initDB, getChatSession, saveChatSession, deleteChatSession } = await import('./indexedDBService.js');
+const { resendPendingMessages } = await import('./messageQueueService.js');
+
+/**
+ * A provider stream that yields `texts` and calls `onChunk` after each one
+ */
+const fakeStream = (texts, onChunk = async () => {}) => {
+  const chunks = (async function* () {
+    for (const text of texts) {
+      yield { text };
+      await onChunk(text);
+    }
+  })();
+  chunks.response = Promise.resolve({});
+  return chunks;
+};
+
+const queuedChat = () => ({
+  id: 'chat-1',
+  title: 'Offline chat',
+  createdAt: 1,
+  lastUpdatedAt: 1,
+  activeLeafId: 'q1',
+  messages: [{ id: 'q1', text: 'Sent while offline', sender: 'user', timestamp: 1, parentId: null, isPending: true }]
+});
+
+const save = session => saveChatSession(session);
+
+describe('resendPendingMessages', () => {
+  beforeAll(() => initDB());
+
+  beforeEach(async () => {
+    sendMessage.mockReset();
+    await deleteChatSession('chat-1');
+    await saveChatSession(queuedChat());
+  });
+
+  it('sends a queued message and keeps edits made while the reply streams', async () => {
+    sendMessage.mockImplementation(async () => fakeStream(['Hel', 'Hello'], async (text) => {
+      if (text !== 'Hel') return;
+      const current = await getChatSession('chat-1');
+      await saveChatSession({ ...current, title: 'Renamed', lastUpdatedAt: Date.now() });
+    }));
+    const sending = [];
+
+    expect(await resendPendingMessages(save, id => sending.push(id))).toBe(1);
+
+    const session = await getChatSession('chat-1');
+    expect(session.title).toBe('Renamed');
+    expect(session.messages).toHaveLength(2);
+    expect(session.messages[0].isPending).toBeUndefined();
+    expect(session.messages[1]).toMatchObject({ text: 'Hello', sender: 'ai', parentId: 'q1' });
+    expect(session.activeLeafId).toBe(session.messages[1].id);
+    expect(sending).toEqual(['chat-1', null]);
+  });
+
+  it('sends each queued message once when two tabs reconnect together', async () => {
+    sendMessage.mockImplementation(async () => fakeStream(['Hi']));
+    vi.resetModules();
+    const otherTab = await import('./messageQueueService.js');
+
+    const results = await Promise.all([resendPendingMessages(save), otherTab.resendPendingMessages(save)]);
+
+    expect(results.sort()).toEqual([0, 1]);
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+    expect((await getChatSession('chat-1')).messages).toHaveLength(2);
+  });
+
+  it('drops the reply when the chat is deleted while it streams', async () => {
+    sendMessage.mockImplementation(async () => fakeStream(['Hi', 'Hi there'], () => deleteChatSession('chat-1')));
+
+    await resendPendingMessages(save);
+
+    expect(await getChatSession('chat-1')).toBeNull();
+  });
+});
@@ -0,0 +1,161 @@
+// Migration service for upgrading PatelChatDB from any earlier schema version
+
+/**
+ * Create a store unless it exists. Databases created before migrations were
+ * introduced already have every store of their version, so early migrations
+ * must tolerate them.
+ * @param {IDBDatabase} database - Database being upgraded
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ * @param {string} name - Store name
+ * @param {Object} options - createObjectStore options
+ * @returns {IDBObjectStore}
+ */
+const ensureStore = (database, transaction, name, options) => {
+  return database.objectStoreNames.contains(name)
+    ? transaction.objectStore(name)
+    : database.createObjectStore(name, options);
+};
+
+/**
+ * Create an index unless it exists
+ * @param {IDBObjectStore} store - Store to index
+ * @param {string} name - Index name, also used as the key path
+ * @param {Object} options - createIndex options
+ */
+const ensureIndex = (store, name, options) => {
+  if (!store.indexNames.contains(name)) {
+    store.createIndex(name, name, options);
+  }
+};
+
+/**
+ * Rewrite every record of a store inside the upgrade transaction
+ * @param {IDBObjectStore} store - Store to walk
+ * @param {Function} update - Returns the new record, or undefined to leave it as is
+ */
+const updateEachRecord = (store, update) => {
+  const request = store.openCursor();
+
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+
+    const updated = update(cursor.value);
+    if (updated !== undefined) {
+      cursor.update(updated);
+    }
+    cursor.continue();
+  };
+};
+
+/**
+ * Schema migrations in version order. Each runs inside the upgrade transaction
+ * when the database is older than its version. Store names are spelled out
+ * rather than taken from indexedDBService so a migration keeps doing what it
+ * did when it shipped; add new migrations at the end instead of editing old ones.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create chat, prompt, stats, theme and embedding stores',
+    migrate: (database, transaction) => {
+      const chatStore = ensureStore(database, transaction, 'chatSessions', { keyPath: 'id' });
+      ensureIndex(chatStore, 'lastUpdatedAt', { unique: false });
+      ensureIndex(chatStore, 'createdAt', { unique: false });
+
+      ensureStore(database, transaction, 'quickPrompts', { keyPath: 'id' });
+      ensureStore(database, transaction, 'userStats', { keyPath: 'id' });
+      ensureStore(database, transaction, 'themes', { keyPath: 'id' });
+
+      const embeddingStore = ensureStore(database, transaction, 'embeddings', { keyPath: 'id' });
+      ensureIndex(embeddingStore, 'chatId', { unique: false });
+      ensureIndex(embeddingStore, 'messageId', { unique: true });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add personas store for reusable system instructions',
+    migrate: (database, transaction) => {
+      ensureStore(database, transaction, 'personas', { keyPath: 'id' });
+    }
+  },
+  {
+    version: 3,
+    description: 'Add attachments store for files sent with messages',
+    migrate: (database, transaction) => {
+      const attachmentStore = ensureStore(database, transaction, 'attachments', { keyPath: 'id' });
+      ensureIndex(attachmentStore, 'chatId', { unique: false });
+    }
+  },
+  {
+    version: 4,
+    description: 'Store legacy linear chats as message trees',
+    migrate: (database, transaction) => {
+      // Chats saved before branching have no parentId or activeLeafId; each
+      // message continues the one before it
+      updateEachRecord(transaction.objectStore('chatSessions'), (session) => {
+        const messages = session.messages || [];
+        const isLegacy = messages.some(m => m.parentId === undefined) || session.activeLeafId === undefined;
+        if (!isLegacy) return undefined;
+
+        const treeMessages = messages.map((message, index) => (
+          message.parentId !== undefined
+            ? message
+            : { ...message, parentId: index > 0 ? messages[index - 1].id : null }
+        ));
+
+        return {
+          ...session,
+          messages: treeMessages,
+          activeLeafId: session.activeLeafId ?? treeMessages[treeMessages.length - 1]?.id ?? null
+        };
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Add sync queue and sync state stores for the optional sync server',
+    migrate: (database, transaction) => {
+      // Keyed by chat id, so repeated edits to a chat collapse into one pending change
+      ensureStore(database, transaction, 'syncQueue', { keyPath: 'id' });
+      ensureStore(database, transaction, 'syncState', { keyPath: 'id' });
+    }
+  },
+  {
+    version: 6,
+    description: 'Add search index store for the persisted embedding model state',
+    migrate: (database, transaction) => {
+      ensureStore(database, transaction, 'searchIndex', { keyPath: 'id' });
+    }
+  },
+  {
+    version: 7,
+    description: 'Allow the same message id in more than one chat in the embeddings index',
+    migrate: (database, transaction) => {
+      // Re-imported exports keep their message ids, so a unique index made
+      // indexing those chats fail
+      const embeddingStore = transaction.objectStore('embeddings');
+      if (embeddingStore.indexNames.contains('messageId')) {
+        embeddingStore.deleteIndex('messageId');
+      }
+      ensureIndex(embeddingStore, 'messageId', { unique: false });
+    }
+  }
+];
+
+export const LATEST_DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run every migration newer than the database's current version, in order
+ * @param {IDBDatabase} database - Database being upgraded
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ * @param {number} [newVersion] - Version being upgraded to
+ */
+export const runMigrations = (database, transaction, oldVersion, newVersion = LATEST_DB_VERSION) => {
+  MIGRATIONS
+    .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+    .forEach((migration) => {
+      migration.migrate(database, transaction);
+    });
+};
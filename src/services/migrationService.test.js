@@ -0,0 +1,161 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, afterEach } from 'vitest';
+import { runMigrations, LATEST_DB_VERSION } from './migrationService.js';
+
+const DB_NAME = 'MigrationTestDB';
+
+/**
+ * Open the test database at a version, running the migrations up to it
+ * @param {number} version - Version to open at
+ * @param {Function} [seed] - Called with the upgrade transaction to add records in the old shape
+ * @returns {Promise<IDBDatabase>}
+ */
+const openAt = (version, seed) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, version);
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => resolve(request.result);
+  request.onupgradeneeded = (event) => {
+    runMigrations(request.result, request.transaction, event.oldVersion, event.newVersion);
+    seed?.(request.transaction);
+  };
+});
+
+const getAll = (database, storeName) => new Promise((resolve, reject) => {
+  const request = database.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => resolve(request.result);
+});
+
+const deleteDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.deleteDatabase(DB_NAME);
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => resolve();
+});
+
+// A chat saved before branching: messages in order, no parentId or activeLeafId
+const legacySession = {
+  id: 'chat-1',
+  title: 'Legacy chat',
+  createdAt: 1,
+  lastUpdatedAt: 2,
+  messages: [
+    { id: 'm1', text: 'Hello there', sender: 'user', timestamp: 1 },
+    { id: 'm2', text: 'Hi! How can I help?', sender: 'ai', timestamp: 2 }
+  ]
+};
+
+// A chat already saved as a tree; migrations must leave it alone
+const treeSession = {
+  id: 'chat-2',
+  title: 'Tree chat',
+  createdAt: 3,
+  lastUpdatedAt: 4,
+  activeLeafId: 'n1',
+  messages: [
+    { id: 'n0', text: 'First', sender: 'user', timestamp: 3, parentId: null },
+    { id: 'n1', text: 'Second', sender: 'ai', timestamp: 4, parentId: 'n0' }
+  ]
+};
+
+const LATEST_STORES = [
+  'attachments',
+  'chatSessions',
+  'embeddings',
+  'personas',
+  'quickPrompts',
+  'searchIndex',
+  'syncQueue',
+  'syncState',
+  'themes',
+  'userStats'
+];
+
+describe('runMigrations', () => {
+  afterEach(deleteDatabase);
+
+  it('creates every store and index in a new database', async () => {
+    const database = await openAt(LATEST_DB_VERSION);
+
+    expect([...database.objectStoreNames].sort()).toEqual(LATEST_STORES);
+
+    const transaction = database.transaction(['chatSessions', 'embeddings', 'attachments'], 'readonly');
+    expect([...transaction.objectStore('chatSessions').indexNames].sort()).toEqual(['createdAt', 'lastUpdatedAt']);
+    expect([...transaction.objectStore('embeddings').indexNames].sort()).toEqual(['chatId', 'messageId']);
+    expect(transaction.objectStore('embeddings').index('messageId').unique).toBe(false);
+    expect([...transaction.objectStore('attachments').indexNames]).toEqual(['chatId']);
+    database.close();
+  });
+
+  for (let oldVersion = 0; oldVersion < LATEST_DB_VERSION; oldVersion++) {
+    it(`upgrades a version ${oldVersion} database to version ${LATEST_DB_VERSION}`, async () => {
+      if (oldVersion > 0) {
+        const oldDatabase = await openAt(oldVersion, (transaction) => {
+          if (!transaction.objectStoreNames.contains('chatSessions')) return;
+          const chatStore = transaction.objectStore('chatSessions');
+          // Before version 4 every chat was linear
+          if (oldVersion < 4) chatStore.put(legacySession);
+          chatStore.put(treeSession);
+        });
+        oldDatabase.close();
+      }
+
+      const database = await openAt(LATEST_DB_VERSION);
+      expect(database.version).toBe(LATEST_DB_VERSION);
+      expect([...database.objectStoreNames].sort()).toEqual(LATEST_STORES);
+
+      const sessions = await getAll(database, 'chatSessions');
+      if (oldVersion === 0) {
+        expect(sessions).toEqual([]);
+      } else if (oldVersion < 4) {
+        const migrated = sessions.find(session => session.id === 'chat-1');
+        expect(migrated.messages.map(m => m.parentId)).toEqual([null, 'm1']);
+        expect(migrated.activeLeafId).toBe('m2');
+        expect(migrated.messages.map(m => m.text)).toEqual(legacySession.messages.map(m => m.text));
+      }
+
+      if (oldVersion > 0) {
+        expect(sessions.find(session => session.id === 'chat-2')).toEqual(treeSession);
+      }
+
+      const transaction = database.transaction(['chatSessions', 'embeddings', 'attachments'], 'readonly');
+      expect([...transaction.objectStore('chatSessions').indexNames].sort()).toEqual(['createdAt', 'lastUpdatedAt']);
+      expect([...transaction.objectStore('embeddings').indexNames].sort()).toEqual(['chatId', 'messageId']);
+      expect(transaction.objectStore('embeddings').index('messageId').unique).toBe(false);
+      expect([...transaction.objectStore('attachments').indexNames]).toEqual(['chatId']);
+      database.close();
+    });
+  }
+
+  it('keeps embeddings and accepts a message id shared by two chats after version 7', async () => {
+    const oldDatabase = await openAt(6, (transaction) => {
+      transaction.objectStore('embeddings').put({ id: 'chat-1-m1', chatId: 'chat-1', messageId: 'm1', embedding: [1] });
+    });
+    oldDatabase.close();
+
+    const database = await openAt(LATEST_DB_VERSION);
+    await new Promise((resolve, reject) => {
+      const transaction = database.transaction('embeddings', 'readwrite');
+      transaction.objectStore('embeddings').put({ id: 'chat-2-m1', chatId: 'chat-2', messageId: 'm1', embedding: [2] });
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    const embeddings = await getAll(database, 'embeddings');
+    expect(embeddings.map(embedding => embedding.id).sort()).toEqual(['chat-1-m1', 'chat-2-m1']);
+    database.close();
+  });
+
+  it('backfills an empty tree for a legacy chat without messages', async () => {
+    const oldDatabase = await openAt(3, (transaction) => {
+      const { messages: _messages, ...withoutMessages } = legacySession;
+      transaction.objectStore('chatSessions').put(withoutMessages);
+    });
+    oldDatabase.close();
+
+    const database = await openAt(LATEST_DB_VERSION);
+    const [session] = await getAll(database, 'chatSessions');
+    expect(session.messages).toEqual([]);
+    expect(session.activeLeafId).toBeNull();
+    database.close();
+  });
+});
@@ -0,0 +1,193 @@
+// Google Gemini provider
+
+import { createStreamAdapter } from './streamAdapter.js';
+
+const API_KEY = import.meta.env.VITE_API_KEY;
+let apiKeyError = null;
+
+if (!API_KEY) {
+  apiKeyError = "API_KEY environment variable is not set. Gemini API will not be functional.";
+  console.error(apiKeyError);
+}
+
+/**
+ * Build the parts for one message: its text (if any) followed by its attachments
+ * @param {string} text - Message text
+ * @param {Array} [attachmentData] - Loaded attachments `{ mimeType, data }`
+ * @returns {Array} Gemini parts
+ */
+const buildMessageParts = (text, attachmentData = []) => {
+  const parts = text.trim() ? [{ text }] : [];
+  for (const attachment of attachmentData) {
+    parts.push({ inlineData: { mimeType: attachment.mimeType, data: attachment.data } });
+  }
+  return parts.length > 0 ? parts : [{ text }];
+};
+
+/**
+ * Format chat history for Gemini API. Regenerated messages contribute their
+ * active alternative, which `text` always mirrors; attachments are replayed
+ * as inline data parts.
+ * @param {Array} messages - Array of message objects
+ * @returns {Array} Formatted history for Gemini
+ */
+const formatHistoryForGemini = (messages) => {
+  return messages.map(msg => ({
+    role: msg.sender === 'user' ? 'user' : 'model',
+    parts: buildMessageParts(msg.text, msg.attachmentData),
+  }));
+};
+
+/**
+ * Map a session generation config onto Gemini's generationConfig,
+ * leaving out anything that should fall back to the API default
+ * @param {Object} config - Session generation config
+ * @returns {Object} Gemini generation config
+ */
+const toGeminiGenerationConfig = (config) => {
+  const generationConfig = {};
+
+  if (config.temperature != null) generationConfig.temperature = config.temperature;
+  if (config.topK != null) generationConfig.topK = config.topK;
+  if (config.topP != null) generationConfig.topP = config.topP;
+  if (config.maxOutputTokens != null) generationConfig.maxOutputTokens = config.maxOutputTokens;
+  if (config.stopSequences?.length) generationConfig.stopSequences = config.stopSequences;
+
+  return generationConfig;
+};
+
+/**
+ * Convert a UTF-8 byte offset (as used by grounding segments) to a string index
+ * @param {string} text - Response text
+ * @param {number} byteOffset - Offset in bytes
+ * @returns {number} Character index
+ */
+const byteOffsetToCharIndex = (text, byteOffset) => {
+  const encoder = new TextEncoder();
+  let bytes = 0;
+  let index = 0;
+
+  for (const char of text) {
+    if (bytes >= byteOffset) break;
+    bytes += encoder.encode(char).length;
+    index += char.length;
+  }
+
+  return index;
+};
+
+/**
+ * Turn Gemini grounding metadata into message sources and inline citations
+ * @param {Object} metadata - candidates[0].groundingMetadata from the final response
+ * @param {string} text - Aggregated response text
+ * @returns {Object|null} `{ sources, citations, searchQueries }` or null without grounding
+ */
+const extractGrounding = (metadata, text) => {
+  if (!metadata) return null;
+
+  const sources = (metadata.groundingChunks || [])
+    .map(chunk => chunk.web)
+    .filter(Boolean)
+    .map(web => ({
+      uri: web.uri,
+      title: web.title || web.uri,
+    }));
+
+  const citations = [];
+  let searchFrom = 0;
+
+  for (const support of metadata.groundingSupports || []) {
+    // The REST API and the SDK typings disagree on this field's spelling
+    const sourceIndices = (support.groundingChunkIndices || support.groundingChunckIndices || [])
+      .filter(i => i < sources.length);
+    const segment = support.segment;
+    if (!segment || sourceIndices.length === 0) continue;
+
+    let endIndex = byteOffsetToCharIndex(text, segment.endIndex ?? 0);
+    if (segment.text && !text.slice(0, endIndex).endsWith(segment.text)) {
+      let found = text.indexOf(segment.text, searchFrom);
+      if (found === -1) found = text.indexOf(segment.text);
+      if (found === -1) continue;
+      endIndex = found + segment.text.length;
+    }
+
+    searchFrom = endIndex;
+    citations.push({ endIndex, sourceIndices });
+  }
+
+  // `searchEntryPoint.renderedContent` (Google's ready-made HTML and CSS for
+  // search suggestions) is left out on purpose: it would have to be injected
+  // unsanitized. The same queries are shown as links built from `webSearchQueries`.
+  const searchQueries = metadata.webSearchQueries || [];
+
+  if (sources.length === 0 && searchQueries.length === 0) return null;
+
+  return { sources, citations, searchQueries };
+};
+
+const geminiProvider = {
+  id: 'gemini',
+  name: 'Gemini',
+  defaultModel: 'gemini-2.0-flash-exp',
+  suggestedModels: ['gemini-2.0-flash-exp', 'gemini-2.0-flash', 'gemini-1.5-pro', 'gemini-1.5-flash'],
+  capabilities: { topK: true, search: true },
+
+  getConfigError: () => apiKeyError,
+  isAvailable: () => !!API_KEY && !apiKeyError,
+
+  /**
+   * Send a message to Gemini and stream the response
+   * @param {Object} request - Provider request
+   * @param {string} request.messageText - User's message
+   * @param {Array} [request.attachments] - Loaded attachments for the message
+   * @param {Array} request.history - Sanitized chat history, with `attachmentData` on messages that had attachments
+   * @param {string} request.systemInstruction - System instruction to apply
+   * @param {Object} request.generationConfig - Session generation config
+   * @param {AbortSignal} [request.signal] - Signal that cancels the request
+   * @returns {Promise<Object>} Stream adapter
+   */
+  async sendMessageStream({ messageText, attachments = [], history, systemInstruction, generationConfig, signal }) {
+    const { GoogleGenerativeAI } = await import('@google/generative-ai');
+    const ai = new GoogleGenerativeAI(API_KEY);
+
+    const generativeModel = ai.getGenerativeModel({
+      model: generationConfig.model || geminiProvider.defaultModel,
+      tools: generationConfig.searchEnabled === false ? [] : [{ googleSearch: {} }],
+      generationConfig: toGeminiGenerationConfig(generationConfig),
+      systemInstruction: {
+        role: 'system',
+        parts: [{ text: systemInstruction }]
+      }
+    });
+
+    const chatInstance = generativeModel.startChat(
+      history.length > 0
+        ? { history: formatHistoryForGemini(history) }
+        : {} // No history if empty
+    );
+
+    const result = await chatInstance.sendMessageStream(buildMessageParts(messageText, attachments), { signal });
+    const sdkStream = result.stream;
+
+    if (!sdkStream || typeof sdkStream[Symbol.asyncIterator] !== 'function') {
+      console.error("Gemini SDK's sendMessageStream returned a null or non-iterable stream.", sdkStream);
+      throw new Error("Received a null or non-iterable stream from the API.");
+    }
+
+    return createStreamAdapter(
+      async function* () {
+        for await (const chunk of sdkStream) {
+          yield chunk.text();
+        }
+      },
+      async (fullText) => {
+        const response = await result.response;
+        const grounding = extractGrounding(response.candidates?.[0]?.groundingMetadata, fullText);
+        return grounding ? { ...response, grounding } : response;
+      },
+      signal
+    );
+  }
+};
+
+export default geminiProvider;
@@ -0,0 +1,51 @@
+// Registry of LLM providers that can back a chat session
+
+import geminiProvider from './geminiProvider.js';
+import openAICompatibleProvider from './openAICompatibleProvider.js';
+import mockProvider from './mockProvider.js';
+
+const PROVIDERS = [geminiProvider, openAICompatibleProvider, mockProvider];
+
+/**
+ * Get a provider by id
+ * @param {string} providerId - Provider identifier
+ * @returns {Object|null} Provider or null if unknown
+ */
+export const getProvider = (providerId) => PROVIDERS.find(p => p.id === providerId) || null;
+
+/**
+ * Get every registered provider
+ * @returns {Array} Providers
+ */
+export const getAllProviders = () => [...PROVIDERS];
+
+/**
+ * Get providers that are configured in this build
+ * @returns {Array} Available providers
+ */
+export const getAvailableProviders = () => PROVIDERS.filter(p => p.isAvailable());
+
+/**
+ * Get the provider new chats should use: VITE_DEFAULT_PROVIDER when it is
+ * available, otherwise the first available provider.
+ * @returns {string} Provider id
+ */
+export const getDefaultProviderId = () => {
+  const preferred = getProvider(import.meta.env.VITE_DEFAULT_PROVIDER);
+  if (preferred?.isAvailable()) return preferred.id;
+
+  const [firstAvailable] = getAvailableProviders();
+  return (firstAvailable || geminiProvider).id;
+};
+
+/**
+ * Resolve the provider for a session, falling back to the default when the
+ * stored provider is unknown or no longer configured.
+ * @param {string} [providerId] - Provider stored on the session
+ * @returns {Object} Provider
+ */
+export const resolveProvider = (providerId) => {
+  const provider = getProvider(providerId);
+  if (provider?.isAvailable()) return provider;
+  return getProvider(getDefaultProviderId());
+};
@@ -0,0 +1,56 @@
+// Local mock provider for offline development and UI testing
+
+import { createStreamAdapter } from './streamAdapter.js';
+
+const ENABLED = import.meta.env.DEV || import.meta.env.VITE_ENABLE_MOCK_PROVIDER === 'true';
+const CHUNK_DELAY_MS = 40;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build a canned reply that echoes the prompt back
+ * @param {string} messageText - User's message
+ * @param {Array} history - Sanitized chat history
+ * @param {Array} attachments - Loaded attachments for the message
+ * @returns {string} Reply text
+ */
+const buildMockReply = (messageText, history, attachments) => {
+  const turn = history.filter(msg => msg.sender === 'user').length + 1;
+  const attached = attachments.length
+    ? `\n\nAttached: ${attachments.map(a => `${a.name} (${a.mimeType})`).join(', ')}`
+    : '';
+  return `**Mock response #${turn}**\n\nYou said:\n\n> ${messageText.split('\n').join('\n> ')}${attached}\n\nThis reply was generated locally without calling any model.`;
+};
+
+const mockProvider = {
+  id: 'mock',
+  name: 'Mock (local)',
+  defaultModel: 'mock-echo',
+  suggestedModels: ['mock-echo'],
+  capabilities: { topK: false, search: false },
+
+  getConfigError: () => (ENABLED ? null : 'Mock provider is disabled. Set VITE_ENABLE_MOCK_PROVIDER=true to enable it.'),
+  isAvailable: () => ENABLED,
+
+  /**
+   * Stream a canned reply word by word
+   * @param {Object} request - Provider request
+   * @param {string} request.messageText - User's message
+   * @param {Array} [request.attachments] - Loaded attachments for the message
+   * @param {Array} request.history - Sanitized chat history, with `attachmentData` on messages that had attachments
+   * @param {AbortSignal} [request.signal] - Signal that cancels the request
+   * @returns {Promise<Object>} Stream adapter
+   */
+  async sendMessageStream({ messageText, attachments = [], history, signal }) {
+    const words = buildMockReply(messageText, history, attachments).split(/(\s+)/);
+
+    return createStreamAdapter(async function* () {
+      for (const word of words) {
+        await wait(CHUNK_DELAY_MS);
+        yield word;
+      }
+    }, undefined, signal);
+  }
+};
+
+export default mockProvider;
@@ -0,0 +1,164 @@
+// OpenAI-compatible provider (OpenAI, Ollama, llama.cpp server, LM Studio, ...)
+
+import { createStreamAdapter } from './streamAdapter.js';
+import { decodeAttachmentText } from '../attachmentService.js';
+
+const BASE_URL = (import.meta.env.VITE_OPENAI_BASE_URL || '').replace(/\/+$/, '');
+const API_KEY = import.meta.env.VITE_OPENAI_API_KEY;
+const DEFAULT_MODEL = import.meta.env.VITE_OPENAI_MODEL || 'gpt-4o-mini';
+
+/**
+ * Build a message's content: plain text, or content parts when it has
+ * attachments. Text files are inlined as text since most compatible servers
+ * only accept images and (on OpenAI) PDFs as files.
+ * @param {string} text - Message text
+ * @param {Array} [attachmentData] - Loaded attachments `{ name, mimeType, kind, data }`
+ * @returns {string|Array} Message content
+ */
+const buildMessageContent = (text, attachmentData = []) => {
+  if (attachmentData.length === 0) return text;
+
+  const parts = text.trim() ? [{ type: 'text', text }] : [];
+  for (const attachment of attachmentData) {
+    const dataUrl = `data:${attachment.mimeType};base64,${attachment.data}`;
+
+    if (attachment.kind === 'image') {
+      parts.push({ type: 'image_url', image_url: { url: dataUrl } });
+    } else if (attachment.kind === 'pdf') {
+      parts.push({ type: 'file', file: { filename: attachment.name, file_data: dataUrl } });
+    } else {
+      parts.push({ type: 'text', text: `File: ${attachment.name}\n\n${decodeAttachmentText(attachment.data)}` });
+    }
+  }
+  return parts;
+};
+
+/**
+ * Format chat history for the Chat Completions API
+ * @param {Array} messages - Array of message objects
+ * @param {string} systemInstruction - System instruction to prepend
+ * @returns {Array} Formatted messages
+ */
+const formatHistoryForOpenAI = (messages, systemInstruction) => {
+  return [
+    { role: 'system', content: systemInstruction },
+    ...messages.map(msg => ({
+      role: msg.sender === 'user' ? 'user' : 'assistant',
+      content: buildMessageContent(msg.text, msg.attachmentData),
+    })),
+  ];
+};
+
+/**
+ * Map a session generation config onto Chat Completions request fields,
+ * leaving out anything that should fall back to the server default
+ * @param {Object} config - Session generation config
+ * @returns {Object} Request fields
+ */
+const toOpenAIParameters = (config) => {
+  const parameters = {};
+
+  if (config.temperature != null) parameters.temperature = config.temperature;
+  if (config.topP != null) parameters.top_p = config.topP;
+  if (config.maxOutputTokens != null) parameters.max_tokens = config.maxOutputTokens;
+  if (config.stopSequences?.length) parameters.stop = config.stopSequences;
+
+  return parameters;
+};
+
+/**
+ * Read text deltas from a server-sent events response body
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<string>} Text deltas
+ */
+async function* readServerSentDeltas(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const data = trimmed.slice(5).trim();
+        if (data === '[DONE]') return;
+
+        const payload = JSON.parse(data);
+        if (payload.error) {
+          throw new Error(payload.error.message || 'Stream error');
+        }
+
+        const delta = payload.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+const openAICompatibleProvider = {
+  id: 'openai',
+  name: 'OpenAI-compatible',
+  defaultModel: DEFAULT_MODEL,
+  suggestedModels: [DEFAULT_MODEL],
+  capabilities: { topK: false, search: false },
+
+  getConfigError: () => (BASE_URL ? null : 'VITE_OPENAI_BASE_URL environment variable is not set.'),
+  isAvailable: () => !!BASE_URL,
+
+  /**
+   * Send a message to a Chat Completions endpoint and stream the response
+   * @param {Object} request - Provider request
+   * @param {string} request.messageText - User's message
+   * @param {Array} [request.attachments] - Loaded attachments for the message
+   * @param {Array} request.history - Sanitized chat history, with `attachmentData` on messages that had attachments
+   * @param {string} request.systemInstruction - System instruction to apply
+   * @param {Object} request.generationConfig - Session generation config
+   * @param {AbortSignal} [request.signal] - Signal that cancels the request
+   * @returns {Promise<Object>} Stream adapter
+   */
+  async sendMessageStream({ messageText, attachments = [], history, systemInstruction, generationConfig, signal }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (API_KEY) {
+      headers.Authorization = `Bearer ${API_KEY}`;
+    }
+
+    const response = await fetch(`${BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: generationConfig.model || DEFAULT_MODEL,
+        stream: true,
+        ...toOpenAIParameters(generationConfig),
+        messages: [
+          ...formatHistoryForOpenAI(history, systemInstruction),
+          { role: 'user', content: buildMessageContent(messageText, attachments) },
+        ],
+      }),
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+
+    if (!response.body) {
+      throw new Error("Received an empty stream from the API.");
+    }
+
+    return createStreamAdapter(() => readServerSentDeltas(response.body), undefined, signal);
+  }
+};
+
+export default openAICompatibleProvider;
@@ -0,0 +1,78 @@
+// Shared streaming adapter used by every LLM provider
+
+/**
+ * Build a chunk response shaped like the Gemini SDK's aggregated response
+ * @param {string} fullText - Text aggregated so far
+ * @returns {Object} Chunk response
+ */
+export const buildChunkResponse = (fullText) => ({
+  text: fullText,
+  candidates: [{
+    content: {
+      role: 'model',
+      parts: [{ text: fullText }],
+    },
+    index: 0
+  }]
+});
+
+/**
+ * Create the error thrown when a response is stopped by the user
+ * @returns {DOMException} Abort error
+ */
+export const createAbortError = () => new DOMException('The response was stopped.', 'AbortError');
+
+/**
+ * Check whether an error comes from an aborted request
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the request was aborted
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Wrap a provider's text stream in the adapter ChatArea consumes: an async
+ * iterable of cumulative chunk responses plus a `response` promise that
+ * settles once the stream has been drained.
+ * @param {Function} readDeltas - Async generator function yielding text deltas
+ * @param {Function} [getFinalResponse] - Resolves the final response from the aggregated text
+ * @param {AbortSignal} [signal] - Signal that stops the stream when aborted
+ * @returns {Object} Stream adapter
+ */
+export const createStreamAdapter = (readDeltas, getFinalResponse = buildChunkResponse, signal) => {
+  let resolveAggregatedPromise;
+  let rejectAggregatedPromise;
+
+  const aggregatedResponsePromise = new Promise((resolve, reject) => {
+    resolveAggregatedPromise = resolve;
+    rejectAggregatedPromise = reject;
+  });
+  // Callers that stop iterating early never await `response`
+  aggregatedResponsePromise.catch(() => {});
+
+  async function* streamAndAggregate() {
+    let fullText = '';
+    try {
+      for await (const delta of readDeltas()) {
+        if (signal?.aborted) throw createAbortError();
+        fullText += delta;
+        yield buildChunkResponse(fullText);
+      }
+
+      const finalResponse = await getFinalResponse(fullText);
+      resolveAggregatedPromise(finalResponse);
+    } catch (err) {
+      // SDKs surface aborts with their own error types; normalize them
+      const error = signal?.aborted ? createAbortError() : err;
+      if (!isAbortError(error)) {
+        console.error("Error during stream aggregation:", error);
+      }
+      rejectAggregatedPromise(error);
+      throw error;
+    }
+  }
+
+  return {
+    [Symbol.asyncIterator]: streamAndAggregate,
+    response: aggregatedResponsePromise,
+  };
+};
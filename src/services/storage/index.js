@@ -0,0 +1,54 @@
+// Registry of storage backends, tried in order until one can be opened
+
+import indexedDBBackend, { onUpgradeBlocked } from './indexedDBBackend.js';
+import localStorageBackend from './localStorageBackend.js';
+import memoryBackend from './memoryBackend.js';
+
+const BACKENDS = [indexedDBBackend, localStorageBackend, memoryBackend];
+
+let activeBackend = null;
+let initPromise = null;
+
+export { onUpgradeBlocked };
+
+/**
+ * Describe the backend in use
+ * @returns {Object|null} `{ id, name, persistent, limitations }`, or null before initStorage
+ */
+export const getStorageStatus = () => {
+  if (!activeBackend) return null;
+  const { id, name, persistent, limitations } = activeBackend;
+  return { id, name, persistent, limitations };
+};
+
+/**
+ * Open the first backend that works in this browser. Runs once; later calls
+ * get the same result.
+ * @returns {Promise<Object>} Storage status from getStorageStatus
+ */
+export const initStorage = () => {
+  if (!initPromise) {
+    initPromise = (async () => {
+      for (const backend of BACKENDS) {
+        try {
+          await backend.open();
+          activeBackend = backend;
+          break;
+        } catch (error) {
+          console.warn(`${backend.name} storage is unavailable:`, error);
+        }
+      }
+      return getStorageStatus();
+    })();
+  }
+  return initPromise;
+};
+
+/**
+ * Get the backend in use, choosing one first if needed
+ * @returns {Promise<Object>} Storage backend
+ */
+export const getStorageBackend = async () => {
+  await initStorage();
+  return activeBackend;
+};
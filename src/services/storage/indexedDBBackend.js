@@ -0,0 +1,174 @@
+// IndexedDB storage backend: durable and large, the default whenever the browser allows it
+
+import { runMigrations, LATEST_DB_VERSION } from '../migrationService.js';
+
+const DB_NAME = 'PatelChatDB';
+// Some private modes leave indexedDB.open pending forever instead of failing.
+// A blocked upgrade or a running migration is slow, not broken, so neither times out.
+const OPEN_TIMEOUT_MS = 5000;
+
+let db = null;
+let openPromise = null;
+const blockedListeners = new Set();
+
+/**
+ * Listen for an upgrade that waits on another tab still holding the
+ * database open at an older version
+ * @param {Function} listener - Called once the upgrade is blocked
+ * @returns {Function} Unsubscribe function
+ */
+export const onUpgradeBlocked = (listener) => {
+  blockedListeners.add(listener);
+  return () => blockedListeners.delete(listener);
+};
+
+/**
+ * Run work in a transaction and wait for it to commit
+ * @param {Array} storeNames - Stores in the transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the transaction; may return a request whose result is resolved
+ * @returns {Promise<*>} Result of the returned request, if any
+ */
+const runTransaction = (storeNames, mode, work) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeNames, mode);
+  const request = work(transaction);
+
+  transaction.oncomplete = () => resolve(request?.result);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+const indexedDBBackend = {
+  id: 'indexedDB',
+  name: 'IndexedDB',
+  persistent: true,
+  limitations: null,
+
+  /**
+   * Open the database, running any pending migrations
+   * @returns {Promise<void>}
+   */
+  open: () => {
+    if (db) return Promise.resolve();
+    if (openPromise) return openPromise;
+
+    openPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not supported in this browser'));
+        return;
+      }
+
+      let timedOut = false;
+      const timeout = setTimeout(() => {
+        timedOut = true;
+        reject(new Error('Timed out opening IndexedDB'));
+      }, OPEN_TIMEOUT_MS);
+      const request = indexedDB.open(DB_NAME, LATEST_DB_VERSION);
+
+      request.onerror = () => {
+        clearTimeout(timeout);
+        console.error('Failed to open IndexedDB:', request.error);
+        reject(request.error);
+      };
+
+      request.onsuccess = () => {
+        clearTimeout(timeout);
+        // Another backend took over when the open timed out
+        if (timedOut) {
+          request.result.close();
+          return;
+        }
+
+        db = request.result;
+        // Let a newer version of the app in another tab upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          db = null;
+        };
+        resolve();
+      };
+
+      // An older tab keeps the database open; wait for it rather than giving up
+      request.onblocked = () => {
+        clearTimeout(timeout);
+        console.warn('PatelChatDB upgrade is waiting for other tabs to close');
+        blockedListeners.forEach(listener => listener());
+      };
+
+      // Schema changes live in migrationService; each one runs once, in order
+      request.onupgradeneeded = (event) => {
+        clearTimeout(timeout);
+        runMigrations(request.result, request.transaction, event.oldVersion, event.newVersion);
+      };
+    }).finally(() => {
+      openPromise = null;
+    });
+
+    return openPromise;
+  },
+
+  getAll: async (storeName) => {
+    await indexedDBBackend.open();
+    return runTransaction([storeName], 'readonly', t => t.objectStore(storeName).getAll());
+  },
+
+  get: async (storeName, id) => {
+    await indexedDBBackend.open();
+    const item = await runTransaction([storeName], 'readonly', t => t.objectStore(storeName).get(id));
+    return item || null;
+  },
+
+  put: async (storeName, item) => {
+    await indexedDBBackend.open();
+    await runTransaction([storeName], 'readwrite', t => t.objectStore(storeName).put(item));
+  },
+
+  putMany: async (storeName, items) => {
+    await indexedDBBackend.open();
+    await runTransaction([storeName], 'readwrite', (t) => {
+      const store = t.objectStore(storeName);
+      items.forEach(item => store.put(item));
+    });
+  },
+
+  delete: async (storeName, id) => {
+    await indexedDBBackend.open();
+    await runTransaction([storeName], 'readwrite', t => t.objectStore(storeName).delete(id));
+  },
+
+  replaceStores: async (itemsByStore) => {
+    await indexedDBBackend.open();
+    const storeNames = Object.keys(itemsByStore);
+
+    await runTransaction(storeNames, 'readwrite', (t) => {
+      storeNames.forEach((storeName) => {
+        const store = t.objectStore(storeName);
+        store.clear();
+        itemsByStore[storeName].forEach(item => store.put(item));
+      });
+    });
+  },
+
+  getAllByIndex: async (storeName, indexName, value) => {
+    await indexedDBBackend.open();
+    return runTransaction([storeName], 'readonly', t => t.objectStore(storeName).index(indexName).getAll(value));
+  },
+
+  deleteByIndex: async (storeName, indexName, value) => {
+    await indexedDBBackend.open();
+    await runTransaction([storeName], 'readwrite', (t) => {
+      const store = t.objectStore(storeName);
+      const request = store.index(indexName).openKeyCursor(IDBKeyRange.only(value));
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          store.delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+    });
+  }
+};
+
+export default indexedDBBackend;
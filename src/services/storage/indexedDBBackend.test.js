@@ -0,0 +1,40 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { runMigrations, LATEST_DB_VERSION } from '../migrationService.js';
+import indexedDBBackend, { onUpgradeBlocked } from './indexedDBBackend.js';
+
+// An older app tab: opened at the previous version, without an onversionchange handler
+const openOlderTab = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open('PatelChatDB', LATEST_DB_VERSION - 1);
+  request.onerror = () => reject(request.error);
+  request.onsuccess = () => resolve(request.result);
+  request.onupgradeneeded = (event) => {
+    runMigrations(request.result, request.transaction, event.oldVersion, event.newVersion);
+  };
+});
+
+describe('indexedDBBackend.open', () => {
+  afterEach(() => vi.useRealTimers());
+
+  it('waits for an older tab to close instead of timing out', async () => {
+    const olderTab = await openOlderTab();
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+    const blocked = new Promise(resolve => onUpgradeBlocked(resolve));
+    let settled = null;
+    const opening = indexedDBBackend.open().then(
+      () => { settled = 'opened'; },
+      () => { settled = 'failed'; }
+    );
+
+    await blocked;
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+    expect(settled).toBeNull();
+
+    olderTab.close();
+    await opening;
+    expect(settled).toBe('opened');
+    await indexedDBBackend.put('chatSessions', { id: 'chat-1', title: 'After the upgrade' });
+    expect(await indexedDBBackend.get('chatSessions', 'chat-1')).toEqual({ id: 'chat-1', title: 'After the upgrade' });
+  });
+});
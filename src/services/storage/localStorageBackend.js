@@ -0,0 +1,62 @@
+// localStorage storage backend for browsers that block IndexedDB, such as some private modes
+
+import { createTableBackend } from './tableBackend.js';
+
+const KEY_PREFIX = 'patel-chat-store-';
+const PROBE_KEY = `${KEY_PREFIX}probe`;
+
+// Attachment blobs cannot be serialized and the search index is rebuilt from
+// chats, so both stay in memory rather than using up the ~5 MB quota
+const MEMORY_ONLY_STORES = ['attachments', 'embeddings'];
+
+// Parsed tables with the JSON they were parsed from. Other tabs write the same
+// keys, so every read checks the stored JSON and re-parses when it changed;
+// writing back a stale copy would delete what the other tab saved.
+const tables = new Map();
+
+const readTable = (storeName) => {
+  if (MEMORY_ONLY_STORES.includes(storeName)) {
+    if (!tables.has(storeName)) tables.set(storeName, { json: null, table: new Map() });
+    return tables.get(storeName).table;
+  }
+
+  const json = localStorage.getItem(KEY_PREFIX + storeName) || '[]';
+  const cached = tables.get(storeName);
+  if (cached && cached.json === json) return cached.table;
+
+  let records = [];
+  try {
+    records = JSON.parse(json);
+  } catch (error) {
+    console.error(`Error reading ${storeName} from localStorage:`, error);
+  }
+  const table = new Map(records.map(record => [record.id, record]));
+  tables.set(storeName, { json, table });
+  return table;
+};
+
+const writeTable = (storeName, table) => {
+  let json = null;
+  if (!MEMORY_ONLY_STORES.includes(storeName)) {
+    json = JSON.stringify([...table.values()]);
+    // Throws QuotaExceededError when full; the table is not updated in that case
+    localStorage.setItem(KEY_PREFIX + storeName, json);
+  }
+  tables.set(storeName, { json, table });
+};
+
+const localStorageBackend = createTableBackend({
+  id: 'localStorage',
+  name: 'localStorage',
+  persistent: true,
+  limitations: 'IndexedDB is unavailable, so chats are saved in localStorage instead. Space is limited to a few megabytes and attachments are kept only until you close this tab.',
+
+  open: async () => {
+    localStorage.setItem(PROBE_KEY, '1');
+    localStorage.removeItem(PROBE_KEY);
+  },
+  readTable,
+  writeTable
+});
+
+export default localStorageBackend;
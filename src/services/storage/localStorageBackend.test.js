@@ -0,0 +1,37 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// One localStorage shared by both tabs, as the browser shares it per origin
+const stored = new Map();
+vi.stubGlobal('localStorage', {
+  getItem: key => stored.get(key) ?? null,
+  setItem: (key, value) => stored.set(key, String(value)),
+  removeItem: key => stored.delete(key)
+});
+
+// Each tab loads its own copy of the module, with its own table cache
+const openTab = async () => {
+  vi.resetModules();
+  const { default: backend } = await import('./localStorageBackend.js');
+  await backend.open();
+  return backend;
+};
+
+describe('localStorageBackend', () => {
+  it('keeps chats saved by another tab when writing', async () => {
+    const tabA = await openTab();
+    const tabB = await openTab();
+
+    // Both tabs have read (and cached) the table before either writes
+    expect(await tabA.getAll('chatSessions')).toEqual([]);
+    expect(await tabB.getAll('chatSessions')).toEqual([]);
+
+    await tabA.put('chatSessions', { id: 'a', title: 'From tab A' });
+    await tabB.put('chatSessions', { id: 'b', title: 'From tab B' });
+    await tabA.delete('chatSessions', 'missing');
+
+    const ids = chats => chats.map(chat => chat.id).sort();
+    expect(ids(await tabA.getAll('chatSessions'))).toEqual(['a', 'b']);
+    expect(ids(await tabB.getAll('chatSessions'))).toEqual(['a', 'b']);
+    expect(await tabB.get('chatSessions', 'a')).toEqual({ id: 'a', title: 'From tab A' });
+  });
+});
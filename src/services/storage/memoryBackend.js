@@ -0,0 +1,20 @@
+// In-memory storage backend: the last resort, data is gone when the tab closes
+
+import { createTableBackend } from './tableBackend.js';
+
+const tables = new Map();
+
+const memoryBackend = createTableBackend({
+  id: 'memory',
+  name: 'Memory',
+  persistent: false,
+  limitations: 'Your browser is blocking local storage, so chats are kept only until you close this tab. Use Backup & Restore or Export to keep them.',
+
+  open: async () => {},
+  readTable: (storeName) => tables.get(storeName) || new Map(),
+  writeTable: (storeName, table) => {
+    tables.set(storeName, table);
+  }
+});
+
+export default memoryBackend;
@@ -0,0 +1,72 @@
+// Shared implementation for storage backends that keep each store as a table of records in memory
+
+/**
+ * Build a storage backend from functions that read and write whole tables.
+ * Index lookups match the record field of the same name, as every index in
+ * PatelChatDB uses its name as its key path.
+ * @param {Object} options - Backend identity (`id`, `name`, `persistent`, `limitations`) plus:
+ * @param {Function} options.open - Checks the backend can be used; throws if not
+ * @param {Function} options.readTable - `(storeName) => Map` of records by id
+ * @param {Function} options.writeTable - `(storeName, Map) => void`; may throw, e.g. on quota errors
+ * @returns {Object} Storage backend
+ */
+export const createTableBackend = ({ readTable, writeTable, ...backend }) => {
+  // IndexedDB hands out copies; match it so callers cannot mutate stored records
+  const copy = (item) => structuredClone(item);
+
+  const updateTable = (storeName, update) => {
+    // Copy first so a failed write leaves the table as it was
+    const table = new Map(readTable(storeName));
+    update(table);
+    writeTable(storeName, table);
+  };
+
+  return {
+    ...backend,
+
+    getAll: async (storeName) => [...readTable(storeName).values()].map(copy),
+
+    get: async (storeName, id) => {
+      const item = readTable(storeName).get(id);
+      return item ? copy(item) : null;
+    },
+
+    put: async (storeName, item) => {
+      updateTable(storeName, table => table.set(item.id, copy(item)));
+    },
+
+    putMany: async (storeName, items) => {
+      updateTable(storeName, table => items.forEach(item => table.set(item.id, copy(item))));
+    },
+
+    delete: async (storeName, id) => {
+      updateTable(storeName, table => table.delete(id));
+    },
+
+    replaceStores: async (itemsByStore) => {
+      const previous = Object.keys(itemsByStore).map(storeName => [storeName, readTable(storeName)]);
+
+      try {
+        Object.entries(itemsByStore).forEach(([storeName, items]) => {
+          writeTable(storeName, new Map(items.map(item => [item.id, copy(item)])));
+        });
+      } catch (error) {
+        // Put back whatever was already overwritten
+        previous.forEach(([storeName, table]) => writeTable(storeName, table));
+        throw error;
+      }
+    },
+
+    getAllByIndex: async (storeName, indexName, value) => {
+      return [...readTable(storeName).values()].filter(item => item[indexName] === value).map(copy);
+    },
+
+    deleteByIndex: async (storeName, indexName, value) => {
+      updateTable(storeName, (table) => {
+        table.forEach((item, id) => {
+          if (item[indexName] === value) table.delete(id);
+        });
+      });
+    }
+  };
+};
@@ -0,0 +1,292 @@
+// Sync service for the optional self-hosted sync server in server/syncServer.js
+//
+// Protocol: local chat changes are queued per chat and pushed with
+// POST /sync/push; changes from other devices are pulled page by page with
+// GET /sync/pull?since=<cursor>. Both sides resolve conflicts by `lastUpdatedAt`,
+// the most recent write winning. Attachments stay on the device they were added on.
+// Chats are sent decrypted: passphrase encryption protects only this device's
+// storage, and the Sync dialog says so while encryption is on.
+
+import {
+  STORES,
+  getSyncState,
+  saveSyncState,
+  getSyncQueue,
+  saveSyncQueueEntry,
+  deleteSyncQueueEntry,
+  getChatSessions,
+  getChatSession,
+  saveChatSession,
+  deleteChatSession,
+  deleteAttachmentsByChat
+} from './indexedDBService.js';
+import { notifyThisTab } from './tabSyncService.js';
+import { isLocked } from './encryptionService.js';
+import { scheduleChatIndexing, removeChatEmbeddings } from './embeddingService.js';
+
+// Background sync tag handled by public/sw.js
+export const SYNC_TAG = 'chat-sync';
+
+const AUTO_SYNC_INTERVAL_MS = 60 * 1000;
+// Streaming replies save many times a second; wait for them to settle
+const PUSH_DELAY_MS = 3000;
+
+const DEFAULT_SYNC_STATE = {
+  enabled: false,
+  serverUrl: '',
+  token: '',
+  deviceId: null,
+  cursor: 0,
+  lastSyncedAt: null,
+  lastError: null
+};
+
+let syncState = null;
+let syncInFlight = null;
+let pushTimer = null;
+
+/**
+ * Load sync settings and status from storage
+ * @returns {Promise<Object>} `{ enabled, serverUrl, token, deviceId, cursor, lastSyncedAt, lastError }`
+ */
+export const loadSyncSettings = async () => {
+  syncState = { ...DEFAULT_SYNC_STATE, ...(await getSyncState()) };
+  return syncState;
+};
+
+const requestSyncServer = async ({ serverUrl, token }, path, options = {}) => {
+  const response = await fetch(`${serverUrl.replace(/\/+$/, '')}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Sync server responded with ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Ask the service worker to push the queue once the browser is online, even
+ * if the tab is closed first. Background Sync is Chromium-only; elsewhere the
+ * page pushes the queue on its own.
+ */
+const requestBackgroundSync = async () => {
+  try {
+    const registration = await navigator.serviceWorker?.ready;
+    await registration?.sync?.register(SYNC_TAG);
+  } catch (error) {
+    console.warn('Background sync is unavailable:', error);
+  }
+};
+
+const schedulePush = () => {
+  clearTimeout(pushTimer);
+  // Failures are kept in lastError and retried on the next run
+  pushTimer = setTimeout(() => syncNow().catch(() => {}), PUSH_DELAY_MS);
+  requestBackgroundSync();
+};
+
+/**
+ * Save sync settings. Turning sync on, or pointing it at another server,
+ * queues every chat for upload and pulls the server's history from the start.
+ * @param {Object} settings - `{ enabled, serverUrl, token }`
+ * @returns {Promise<Object>} Updated sync state
+ */
+export const saveSyncSettings = async (settings) => {
+  const previous = await loadSyncSettings();
+  const isNewServer = settings.serverUrl !== previous.serverUrl;
+
+  syncState = {
+    ...previous,
+    ...settings,
+    deviceId: previous.deviceId || crypto.randomUUID(),
+    ...(isNewServer && { cursor: 0, lastSyncedAt: null }),
+    lastError: null
+  };
+  await saveSyncState(syncState);
+
+  if (syncState.enabled && (!previous.enabled || isNewServer)) {
+    const sessions = await getChatSessions();
+    await Promise.all(sessions.map(session => (
+      saveSyncQueueEntry({ id: session.id, type: 'put', queuedAt: Date.now() })
+    )));
+  }
+
+  return syncState;
+};
+
+/**
+ * Record that a chat was saved or deleted on this device. Does nothing
+ * unless sync is on.
+ * @param {string} type - 'put' or 'delete'
+ * @param {string} sessionId - Chat session id
+ */
+export const queueSessionChange = async (type, sessionId) => {
+  try {
+    if (!syncState) await loadSyncSettings();
+    if (!syncState.enabled) return;
+
+    await saveSyncQueueEntry({ id: sessionId, type, queuedAt: Date.now() });
+    schedulePush();
+  } catch (error) {
+    console.error('Error queueing sync change:', error);
+  }
+};
+
+/**
+ * Count chats with changes not yet pushed
+ * @returns {Promise<number>}
+ */
+export const getPendingChangeCount = async () => (await getSyncQueue()).length;
+
+/**
+ * Push queued changes. public/sw.js does the same from the `chat-sync`
+ * background sync event; keep the two in step.
+ * @returns {Promise<number>} Number of changes sent
+ */
+const pushPendingChanges = async () => {
+  const queue = await getSyncQueue();
+  if (queue.length === 0) return 0;
+
+  const changes = [];
+  for (const entry of queue) {
+    if (entry.type === 'delete') {
+      changes.push({ type: 'delete', id: entry.id, lastUpdatedAt: entry.queuedAt });
+      continue;
+    }
+
+    // A chat deleted while sync was off has nothing left to send
+    const session = await getChatSession(entry.id);
+    if (session) {
+      changes.push({ type: 'put', id: session.id, lastUpdatedAt: session.lastUpdatedAt, session });
+    }
+  }
+
+  if (changes.length > 0) {
+    await requestSyncServer(syncState, '/sync/push', {
+      method: 'POST',
+      body: JSON.stringify({ deviceId: syncState.deviceId, changes })
+    });
+  }
+
+  // Chats changed again while the request was in flight stay queued
+  const latest = new Map((await getSyncQueue()).map(entry => [entry.id, entry.queuedAt]));
+  await Promise.all(queue
+    .filter(entry => latest.get(entry.id) === entry.queuedAt)
+    .map(entry => deleteSyncQueueEntry(entry.id)));
+
+  return changes.length;
+};
+
+/**
+ * Apply one change from the server unless the local copy is as new or newer
+ * @param {Object} change - `{ type, id, lastUpdatedAt, session? }`
+ * @returns {Promise<boolean>} Whether anything changed locally
+ */
+const applyRemoteChange = async (change) => {
+  const local = await getChatSession(change.id);
+
+  if (change.type === 'delete') {
+    if (!local || local.lastUpdatedAt > change.lastUpdatedAt) return false;
+
+    await deleteChatSession(change.id);
+    await deleteAttachmentsByChat(change.id);
+    removeChatEmbeddings(change.id);
+    notifyThisTab({ type: 'delete', store: STORES.CHAT_SESSIONS, id: change.id });
+    return true;
+  }
+
+  if (local && local.lastUpdatedAt >= change.session.lastUpdatedAt) return false;
+
+  await saveChatSession(change.session);
+  scheduleChatIndexing(change.session);
+  notifyThisTab({ type: 'put', store: STORES.CHAT_SESSIONS, item: change.session });
+  return true;
+};
+
+/**
+ * Pull every change made on other devices since the stored cursor
+ * @returns {Promise<number>} Number of changes applied locally
+ */
+const pullRemoteChanges = async () => {
+  let applied = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const params = new URLSearchParams({ since: String(syncState.cursor), deviceId: syncState.deviceId });
+    const page = await requestSyncServer(syncState, `/sync/pull?${params}`);
+
+    for (const change of page.changes) {
+      if (await applyRemoteChange(change)) applied++;
+    }
+
+    syncState = { ...syncState, cursor: page.cursor };
+    await saveSyncState(syncState);
+    hasMore = page.hasMore;
+  }
+
+  return applied;
+};
+
+/**
+ * Push local changes, then pull remote ones. Concurrent calls share one run.
+ * @returns {Promise<Object|null>} `{ pushed, pulled }`, or null when sync is off or the app is locked
+ */
+export const syncNow = () => {
+  if (!syncInFlight) {
+    syncInFlight = (async () => {
+      await loadSyncSettings();
+      // Encrypted chats can only be read, and so sent, while unlocked
+      if (!syncState.enabled || !syncState.serverUrl || isLocked()) return null;
+
+      try {
+        const pushed = await pushPendingChanges();
+        const pulled = await pullRemoteChanges();
+        syncState = { ...syncState, lastSyncedAt: Date.now(), lastError: null };
+        await saveSyncState(syncState);
+        return { pushed, pulled };
+      } catch (error) {
+        console.error('Error syncing with server:', error);
+        syncState = { ...syncState, lastError: error.message };
+        await saveSyncState(syncState);
+        throw error;
+      }
+    })().finally(() => {
+      syncInFlight = null;
+    });
+  }
+
+  return syncInFlight;
+};
+
+/**
+ * Sync now, then every minute and whenever the browser comes back online
+ * @returns {Function} Stops automatic syncing
+ */
+export const startAutoSync = () => {
+  const run = () => syncNow().catch(() => {});
+
+  run();
+  const interval = setInterval(run, AUTO_SYNC_INTERVAL_MS);
+  window.addEventListener('online', run);
+
+  return () => {
+    clearInterval(interval);
+    window.removeEventListener('online', run);
+  };
+};
+
+/**
+ * Check a server URL and token before saving them
+ * @param {string} serverUrl - Sync server base URL
+ * @param {string} token - Shared secret configured on the server
+ * @returns {Promise<Object>} Server status `{ ok, sessions, cursor }`
+ */
+export const testSyncConnection = (serverUrl, token) => {
+  return requestSyncServer({ serverUrl, token }, '/sync/status');
+};
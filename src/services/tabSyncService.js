@@ -0,0 +1,90 @@
+// Tab sync service for sharing storage changes between open Patel Chat tabs
+
+const CHANNEL_NAME = 'patel-chat-changes';
+
+let channel = null;
+const listeners = new Set();
+
+const notifyListeners = (change) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error('Error applying change from another tab:', error);
+    }
+  });
+};
+
+/**
+ * Open the BroadcastChannel on first use. Messages are never delivered back
+ * to the tab that posted them.
+ * @returns {BroadcastChannel|null} Channel, or null where unsupported
+ */
+const getChannel = () => {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => notifyListeners(event.data);
+  }
+  return channel;
+};
+
+/**
+ * Tell other tabs about a storage change
+ * @param {Object} change - `{ type: 'put', store, item }`, `{ type: 'delete', store, id }` or `{ type: 'reset' }`
+ */
+export const publishChange = (change) => {
+  try {
+    getChannel()?.postMessage(change);
+  } catch (error) {
+    console.error('Error publishing change to other tabs:', error);
+  }
+};
+
+/**
+ * Deliver a change to this tab's listeners, for changes that did not start
+ * here, such as ones pulled from the sync server
+ * @param {Object} change - Change in the same shape as publishChange
+ */
+export const notifyThisTab = (change) => {
+  notifyListeners(change);
+};
+
+/**
+ * Listen for storage changes made in other tabs
+ * @param {Function} listener - Called with each change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToChanges = (listener) => {
+  getChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Last writer wins: a record replaces the current copy unless the current
+ * copy was updated later. Records without `lastUpdatedAt` always replace.
+ * @param {Object} incoming - Record from another tab or a pending write
+ * @param {Object|null} current - Record held locally
+ * @returns {boolean}
+ */
+export const isNewerRecord = (incoming, current) => {
+  if (!current) return true;
+  return (incoming.lastUpdatedAt ?? Infinity) >= (current.lastUpdatedAt ?? 0);
+};
+
+/**
+ * Apply a put or delete from another tab to a list of records held in state
+ * @param {Array} records - Current records
+ * @param {Object} change - Change from subscribeToChanges
+ * @returns {Array} Updated records; the same array when nothing changed
+ */
+export const applyChangeToList = (records, change) => {
+  if (change.type === 'delete') {
+    return records.some(r => r.id === change.id) ? records.filter(r => r.id !== change.id) : records;
+  }
+
+  const current = records.find(r => r.id === change.item.id);
+  if (!current) return [change.item, ...records];
+  if (!isNewerRecord(change.item, current)) return records;
+  return records.map(r => r.id === change.item.id ? change.item : r);
+};
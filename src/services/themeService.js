@@ -2,6 +2,9 @@
 
 import { getThemes, saveTheme, deleteTheme } from './indexedDBService.js';
 
+// localStorage key holding the id of the applied theme
+export const CURRENT_THEME_KEY = 'patel-chat-current-theme';
+
 /**
  * Default themes available in the application
  */
@@ -182,7 +185,7 @@ export const applyTheme = (theme) => {
     root.style.setProperty('--theme-text-color', theme.textColor);
     
     // Store current theme in localStorage
-    localStorage.setItem('patel-chat-current-theme', theme.id);
+    localStorage.setItem(CURRENT_THEME_KEY, theme.id);
     
     // Add theme class to body
     document.body.className = document.body.className.replace(/theme-\w+/g, '');
@@ -199,7 +202,7 @@ export const applyTheme = (theme) => {
  */
 export const getCurrentTheme = async () => {
   try {
-    const currentThemeId = localStorage.getItem('patel-chat-current-theme') || 'ocean-breeze';
+    const currentThemeId = localStorage.getItem(CURRENT_THEME_KEY) || 'ocean-breeze';
     const theme = await getThemeById(currentThemeId);
     return theme || DEFAULT_THEMES[0];
   } catch (error) {
@@ -6,19 +6,71 @@
  * @property {'user' | 'bot'} sender - Who sent the message
  * @property {string} text - The message content
  * @property {number} timestamp - When the message was sent
+ * @property {string|null} [parentId] - Message this one replies to (null for the first message)
+ * @property {Attachment[]} [attachments] - Files sent with a user message; blobs live in the attachments store
  * @property {boolean} isLoading - Whether the message is still loading
  * @property {boolean} [isError] - Whether there was an error with this message
- * @property {Array} [sources] - Sources for the message (if any)
+ * @property {boolean} [isStopped] - Whether the response was stopped before it finished streaming
+ * @property {Source[]} [sources] - Web sources the answer was grounded on (if any)
+ * @property {Citation[]} [citations] - Inline citations linking parts of `text` to sources
+ * @property {string[]} [searchQueries] - Web searches the model ran for this answer
+ * @property {MessageAlternative[]} [alternatives] - Regenerated answers; the fields above mirror the active one
+ * @property {number} [activeAlternative] - Index of the alternative currently shown and used as history
+ */
+
+/**
+ * @typedef {Object} MessageAlternative
+ * @property {string} text - The answer content
+ * @property {number} timestamp - When the answer was generated
+ * @property {boolean} [isError] - Whether generating this answer failed
+ * @property {boolean} [isStopped] - Whether this answer was stopped early
+ * @property {Source[]} [sources] - Sources for this answer (if any)
+ * @property {Citation[]} [citations] - Inline citations for this answer (if any)
+ * @property {string[]} [searchQueries] - Web searches run for this answer (if any)
+ */
+
+/**
+ * @typedef {Object} Attachment
+ * @property {string} id - Key of the blob in the attachments store
+ * @property {string} name - Original file name
+ * @property {string} mimeType - MIME type of the file
+ * @property {number} size - File size in bytes
+ */
+
+/**
+ * @typedef {Object} Source
+ * @property {string} uri - Link to the source page
+ * @property {string} title - Title of the source
+ */
+
+/**
+ * @typedef {Object} Citation
+ * @property {number} endIndex - Position in the message text right after the cited claim
+ * @property {number[]} sourceIndices - Indices into `sources` supporting the claim
  */
 
 /**
  * @typedef {Object} ChatSession
  * @property {string} id - Unique identifier for the chat session
  * @property {string} title - Display title for the chat
- * @property {Message[]} messages - Array of messages in this chat
+ * @property {Message[]} messages - Every message of every branch; `parentId` links them into a tree
+ * @property {string} [activeLeafId] - Last message of the branch currently shown
  * @property {number} createdAt - When the chat was created
  * @property {number} lastUpdatedAt - When the chat was last updated
  * @property {string} [systemInstruction] - Custom system instruction for this chat
+ * @property {string} [provider] - Id of the LLM provider used for this chat ('gemini', 'openai', 'mock')
+ * @property {GenerationConfig} [generationConfig] - Model and sampling parameters for this chat
+ */
+
+/**
+ * @typedef {Object} GenerationConfig
+ * @property {string} model - Model name, or '' for the provider's default
+ * @property {number|null} temperature - Sampling temperature
+ * @property {number|null} topK - Top-K sampling (ignored by providers that lack it)
+ * @property {number|null} topP - Nucleus sampling probability
+ * @property {number|null} maxOutputTokens - Maximum tokens in a response
+ * @property {string[]} stopSequences - Sequences that end generation
+ * @property {boolean} searchEnabled - Whether the web search tool is offered to the model
  */
 
 /**
@@ -28,6 +80,15 @@
  * @property {string} text - The prompt text content
  */
 
+/**
+ * @typedef {Object} Persona
+ * @property {string} id - Unique identifier for the persona
+ * @property {string} name - Display name for the persona
+ * @property {string} systemInstruction - System instruction applied when the persona is used
+ * @property {number} createdAt - When the persona was created
+ * @property {number} updatedAt - When the persona was last updated
+ */
+
 /**
  * @typedef {Object} UserStats
  * @property {number} totalMessages - Total messages sent
@@ -11,4 +11,8 @@ export default defineConfig({
       "@": path.resolve(__dirname, "./src"),
     },
   },
+  // The embedding worker bundles transformers.js, which splits into chunks
+  worker: {
+    format: 'es',
+  },
 })